@@ -0,0 +1,151 @@
+// agent/cassette.js
+// Record/replay wrapper around run() from the Agents SDK.
+//
+// Env:
+//   AGENT_CASSETTE_MODE=off|record|replay   (default: off)
+//   AGENT_CASSETTE=./cassettes/default.json (cassette file)
+//
+// record: every call goes to the model; prompt items + validated finalOutput
+//         are appended to the cassette under a hash of (agent name, input).
+// replay: outputs are served from the cassette without a network call. Repeated
+//         calls with the same input replay the recorded outputs in order.
+//
+// While recording or replaying, cassetteRandom() is a seeded PRNG (AGENT_CASSETTE_SEED,
+// default: the cassette path) so the planners' random picks line up between the
+// recorded session and its replay.
+//
+// Both the PRNG and the replay cursor belong to a session: server.js opens one per
+// /api/agent request (cassetteSessions), so each request replays the same way
+// whatever ran before it or alongside it. Calls outside a request share one session.
+
+import dotenv from "dotenv";
+dotenv.config();
+
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { run } from "@openai/agents";
+
+const MODES = new Set(["off", "record", "replay"]);
+
+export function cassetteMode() {
+  const m = String(process.env.AGENT_CASSETTE_MODE || "off").trim().toLowerCase();
+  return MODES.has(m) ? m : "off";
+}
+
+export function cassettePath() {
+  return path.resolve(process.env.AGENT_CASSETTE || "./cassettes/default.json");
+}
+
+/** Stable hash of one agent call: agent name + prompt items */
+export function cassetteKey(agentName, input) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ agent: agentName, input }))
+    .digest("hex");
+}
+
+// ---------- sessions ----------
+const newSession = () => ({ rng: null, replayCursor: new Map() }); // replayCursor: key -> next entry index
+const sessions = new AsyncLocalStorage();
+const defaultSession = newSession();
+const session = () => sessions.getStore() ?? defaultSession;
+
+/** Run fn (and everything it awaits) in a fresh session: PRNG from its seed, replay from the first entry */
+export function cassetteSession(fn) {
+  return sessions.run(newSession(), fn);
+}
+
+/** Express middleware: one session per request */
+export function cassetteSessions(_req, _res, next) {
+  cassetteSession(next);
+}
+
+// ---------- file I/O (cached per path; written after every recorded call) ----------
+let loaded = { file: null, data: null };
+
+function loadCassette(file) {
+  if (loaded.file === file) return loaded.data;
+  let data = { version: 1, entries: {} };
+  try {
+    const j = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (j && typeof j.entries === "object") data = j;
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn(`[cassette] Could not read ${file}: ${e.message}`);
+  }
+  loaded = { file, data };
+  session().replayCursor.clear();
+  return data;
+}
+
+function saveCassette(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+}
+
+/** Drop the in-memory copy so the next call re-reads the cassette file */
+export function resetCassette() {
+  loaded = { file: null, data: null };
+  Object.assign(session(), newSession());
+}
+
+// ---------- seeded randomness ----------
+
+// mulberry32: tiny, fast, good enough for shuffles and weighted picks
+function mulberry32(a) {
+  return function () {
+    a |= 0; a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Math.random() unless a cassette is active, then a PRNG seeded per cassette */
+export function cassetteRandom() {
+  if (cassetteMode() === "off") return Math.random();
+  const seed = String(process.env.AGENT_CASSETTE_SEED || cassettePath());
+  const s = session();
+  if (s.rng?.seed !== seed) {
+    const h = crypto.createHash("sha256").update(seed).digest();
+    s.rng = { seed, next: mulberry32(h.readUInt32LE(0)) }; // { seed, next }
+  }
+  return s.rng.next();
+}
+
+/** Drop-in replacement for run(agent, input, options) that honours AGENT_CASSETTE_MODE */
+export async function runAgent(agent, input, options) {
+  const mode = cassetteMode();
+  if (mode === "off") return run(agent, input, options);
+
+  const file = cassettePath();
+  const data = loadCassette(file);
+  const key = cassetteKey(agent.name, input);
+
+  if (mode === "replay") {
+    const recorded = data.entries[key];
+    if (!recorded?.length) {
+      throw new Error(`Cassette miss for ${agent.name} (${key.slice(0, 12)}) in ${file}`);
+    }
+    const { replayCursor } = session();
+    const i = replayCursor.get(key) ?? 0;
+    replayCursor.set(key, i + 1);
+    const entry = recorded[Math.min(i, recorded.length - 1)];
+    // Re-validate so an edited cassette can't smuggle in a bad shape
+    const schema = agent.outputType;
+    const finalOutput = typeof schema?.parse === "function" ? schema.parse(entry.finalOutput) : entry.finalOutput;
+    return { finalOutput, replayed: true };
+  }
+
+  // record
+  const result = await run(agent, input, options);
+  (data.entries[key] ||= []).push({
+    agent: agent.name,
+    recordedAt: new Date().toISOString(),
+    input,
+    finalOutput: result.finalOutput ?? null,
+  });
+  saveCassette(file, data);
+  return result;
+}
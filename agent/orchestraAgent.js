@@ -2,6 +2,7 @@
 import { Agent } from "@openai/agents";
 import { OpenAIResponsesModel, setDefaultOpenAIKey } from "@openai/agents-openai";
 import { NextOrchestras } from "../schemas/nextOrchestras.js";
+import { modelFor } from "./providers.js";
 
 setDefaultOpenAIKey(process.env.OPENAI_API_KEY);
 
@@ -18,5 +19,5 @@ export const orchestraAgent = new Agent({
     "Return a ranked list with short reasons. JSON only.",
   ].join(" "),
   outputType: NextOrchestras,
-  model: "gpt-4o",
+  model: modelFor("NextOrchestraRanker"),
 });
@@ -0,0 +1,210 @@
+// agent/providers.js
+// Chooses the model behind each agent (NextTandaPlanner, NextOrchestraRanker,
+// TrackReplaceAgent, PlaylistReviewer).
+//
+// Env:
+//   LLM_PROVIDER=openai|compatible|mock   (default: openai if OPENAI_API_KEY is set, else mock)
+//   LLM_MODEL=gpt-4o                      (model name for openai/compatible)
+//   LLM_BASE_URL=http://localhost:11434/v1 (compatible: any OpenAI-style /chat/completions server)
+//   LLM_API_KEY=...                       (compatible: optional, falls back to OPENAI_API_KEY)
+// Per-agent overrides use the agent name in SNAKE_CASE, e.g.
+//   LLM_PROVIDER_PLAYLIST_REVIEWER=openai  LLM_MODEL_NEXT_TANDA_PLANNER=gpt-4o-mini
+
+import dotenv from "dotenv";
+dotenv.config();
+
+import OpenAI from "openai";
+import { OpenAIChatCompletionsModel, Usage, setTracingDisabled } from "@openai/agents";
+
+const PROVIDERS = new Set(["openai", "compatible", "mock"]);
+
+// Traces are uploaded with the OpenAI key; without one there is nowhere to send them
+if (!process.env.OPENAI_API_KEY) setTracingDisabled(true);
+
+// "NextTandaPlanner" -> "NEXT_TANDA_PLANNER"
+function envSuffix(agentName) {
+  return String(agentName).replace(/([a-z0-9])([A-Z])/g, "$1_$2").toUpperCase();
+}
+
+/** Resolve { provider, model, baseURL } for one agent from env */
+export function providerConfig(agentName, defaultModel = "gpt-4o") {
+  const suffix = envSuffix(agentName);
+  const env = process.env;
+  const fallback = env.OPENAI_API_KEY ? "openai" : "mock";
+  let provider = String(env[`LLM_PROVIDER_${suffix}`] || env.LLM_PROVIDER || fallback).trim().toLowerCase();
+  if (!PROVIDERS.has(provider)) {
+    console.warn(`[providers] Unknown LLM provider "${provider}" for ${agentName}; using ${fallback}`);
+    provider = fallback;
+  }
+  return {
+    provider,
+    model: env[`LLM_MODEL_${suffix}`] || env.LLM_MODEL || defaultModel,
+    baseURL: env[`LLM_BASE_URL_${suffix}`] || env.LLM_BASE_URL || null,
+  };
+}
+
+/** Model for an Agent's `model` field: a model name (OpenAI), a Chat Completions model, or the mock */
+export function modelFor(agentName, defaultModel = "gpt-4o") {
+  const { provider, model, baseURL } = providerConfig(agentName, defaultModel);
+  if (provider === "mock") return new MockModel(agentName);
+  if (provider === "compatible") {
+    if (!baseURL) throw new Error(`LLM_BASE_URL is required for the compatible provider (${agentName})`);
+    const client = new OpenAI({
+      baseURL,
+      apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || "not-needed",
+    });
+    return new OpenAIChatCompletionsModel(client, model);
+  }
+  return model;
+}
+
+/** Short label for logs and response metadata, e.g. "openai:gpt-4o" or "mock" */
+export function describeModel(agentName, defaultModel = "gpt-4o") {
+  const { provider, model } = providerConfig(agentName, defaultModel);
+  return provider === "mock" ? "mock" : `${provider}:${model}`;
+}
+
+// ==================================================================
+//                         SCRIPTED MOCK MODEL
+// ==================================================================
+// Reads the same labelled input_text blocks the real prompts send
+// (CANDIDATES, USED_IDS, ORCHESTRA_PROFILES, ...) and answers with
+// schema-valid JSON built from them. Deterministic: first eligible wins.
+
+// Flatten a run() input (string or items) into its text blocks
+function inputTexts(input) {
+  if (typeof input === "string") return [input];
+  const out = [];
+  for (const item of Array.isArray(input) ? input : []) {
+    if (typeof item?.content === "string") out.push(item.content);
+    else if (Array.isArray(item?.content)) {
+      for (const c of item.content) if (typeof c?.text === "string") out.push(c.text);
+    }
+  }
+  return out;
+}
+
+// JSON payload of the block starting with LABEL (e.g. "CANDIDATES:\n[...]", "AVOID_IDS (current tanda): [...]")
+function section(texts, label, fallback) {
+  const re = new RegExp(`^${label}[^:\\n]*:\\s*`);
+  const block = texts.find((t) => re.test(t));
+  if (!block) return fallback;
+  try {
+    return JSON.parse(block.replace(re, ""));
+  } catch {
+    return fallback;
+  }
+}
+
+function match(texts, re) {
+  for (const t of texts) {
+    const m = t.match(re);
+    if (m) return m[1];
+  }
+  return null;
+}
+
+const STYLES = ["Tango", "Vals", "Milonga"];
+const asStyle = (s) => STYLES.find((x) => x.toLowerCase() === String(s || "").toLowerCase()) || "Tango";
+// Same precedence as getId() in generate.js (candidates may be slim rows or raw catalog tracks)
+const candidateId = (c) =>
+  typeof c === "string" ? c : c?.id ?? c?.file?.id ?? c?.file?.absPath ?? c?.file?.wavPath ?? c?.path ?? null;
+
+const scripts = {
+  NextTandaPlanner(texts) {
+    const style = asStyle(match(texts, /style=(\w+)/));
+    const size = Number(match(texts, /EXACTLY (\d+) tracks/)) || 4;
+    const used = new Set(section(texts, "USED_IDS", []));
+    const ids = section(texts, "CANDIDATES", [])
+      .map(candidateId)
+      .filter((id) => id && !used.has(id));
+    const tracks = [...new Set(ids)].slice(0, Math.min(6, size));
+    const warnings = [];
+    // NextTanda needs at least 2 ids; the planner pads "replace" placeholders the same way
+    while (tracks.length < 2) tracks.push("replace");
+    if (tracks.length < size) warnings.push(`Mock: only ${tracks.length} of ${size} tracks available`);
+    return { style, tracks, notes: "Mock planner: first unused candidates", warnings: warnings.length ? warnings : null };
+  },
+
+  NextOrchestraRanker(texts) {
+    const style = asStyle(match(texts, /Style to follow: (\w+)/));
+    const K = Number(match(texts, /Return top (\d+)/)) || 5;
+    const recent = new Set(section(texts, "RECENT_ORCHESTRAS", []));
+    // "Unknown" groups the tracks without a parsed orchestra; it is not one to rank
+    const profiles = section(texts, "ORCHESTRA_PROFILES", []).filter((p) => p?.orchestra && p.orchestra !== "Unknown");
+    const fresh = profiles.filter((p) => !recent.has(p.orchestra));
+    const picked = (fresh.length ? fresh : profiles).slice(0, K);
+    const suggestions = picked.map((p) => ({
+      orchestra: p.orchestra,
+      reason: `Mock ranking${p.commonCamelot?.length ? `; keys ${p.commonCamelot.join("/")}` : ""}`,
+    }));
+    if (!suggestions.length) {
+      return { style, suggestions: [{ orchestra: "any orchestra", reason: "Mock: no profiles given" }], warnings: ["No orchestra profiles"] };
+    }
+    return { style, suggestions, warnings: null };
+  },
+
+  TrackReplaceAgent(texts) {
+    const avoid = new Set([
+      ...section(texts, "AVOID_IDS", []),
+      ...section(texts, "PREVIOUSLY_SELECTED", []),
+    ]);
+    const ids = section(texts, "CANDIDATES", []).map(candidateId).filter(Boolean);
+    const fresh = ids.filter((id) => !avoid.has(id));
+    const pool = fresh.length ? fresh : ids;
+    if (!pool.length) throw new Error("Mock TrackReplaceAgent: no candidates in prompt");
+    return {
+      chosenId: pool[0],
+      suggestions: pool.slice(0, 3).map((id, i) => ({ id, reason: i === 0 ? "Mock: first eligible candidate" : null })),
+    };
+  },
+
+  PlaylistReviewer(texts) {
+    const tandas = match(texts, /Total tandas: (\d+)/) ?? "?";
+    const minutes = match(texts, /Duration: (\d+) minutes/) ?? "?";
+    const note = "(mock review: no language model configured)";
+    return {
+      orchestraAnalysis: `${tandas} tandas over ~${minutes} minutes. ${note}`,
+      musicalFlow: `See the programmatic analysis for key and BPM transitions. ${note}`,
+      styleBalance: `Style distribution not assessed. ${note}`,
+      danceability: `Not assessed. ${note}`,
+      djCraft: `Not assessed. ${note}`,
+      audienceEngagement: `Not assessed. ${note}`,
+      overallAssessment: `Set LLM_PROVIDER=openai (or compatible) for a real review.`,
+      recommendations: null,
+    };
+  },
+};
+
+/** Agents SDK Model that answers from the scripts above instead of calling an API */
+export class MockModel {
+  constructor(agentName) {
+    this.agentName = agentName;
+  }
+
+  async getResponse(request) {
+    const script = scripts[this.agentName];
+    if (!script) throw new Error(`No mock script for agent "${this.agentName}"`);
+    const output = script(inputTexts(request.input));
+    return {
+      usage: new Usage(),
+      responseId: `mock-${Date.now()}`,
+      output: [
+        {
+          type: "message",
+          role: "assistant",
+          status: "completed",
+          content: [{ type: "output_text", text: JSON.stringify(output) }],
+        },
+      ],
+    };
+  }
+
+  async *getStreamedResponse(request) {
+    const response = await this.getResponse(request);
+    yield {
+      type: "response_done",
+      response: { id: response.responseId, usage: { requests: 1, inputTokens: 0, outputTokens: 0, totalTokens: 0 }, output: response.output },
+    };
+  }
+}
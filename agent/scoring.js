@@ -1,17 +1,20 @@
+import { effectiveYear } from "../recording-years.js";
+import { orchestraEntry, orchestrasForRole, inEra } from "../orchestra-registry.js";
+
+// Role fit from the orchestra registry (orchestra-registry.js): +60 when the track's
+// orchestra suits the role and it was recorded in one of that orchestra's eras, +30
+// for the orchestra outside them, +20 for another orchestra recorded in an era of one
+// that suits the role; -40 when the tanda already has this artist.
 export function scoreTrackByRole(track, role, tandaSoFar = []) {
-  const year = track.tags?.year ?? 0;
+  const year = effectiveYear(track) ?? 0; // recording date over a remaster's tag year
   const artist = (track.tags?.artist || "").toLowerCase();
 
-  const pool = orchestraByRole[role] || [];
+  const pool = orchestrasForRole(role);
+  const entry = orchestraEntry(track);
   let score = 0;
 
-  for (const entry of pool) {
-    const match = artist.includes(entry.name.toLowerCase());
-    const yearMatch = year >= entry.era[0] && year <= entry.era[1];
-    if (match && yearMatch) score += 60;
-    else if (match) score += 30;
-    else if (yearMatch) score += 20;
-  }
+  if (entry && pool.includes(entry)) score += inEra(entry, year) ? 60 : 30;
+  else if (pool.some((e) => inEra(e, year))) score += 20;
 
   if (tandaSoFar.some(t => (t.tags?.artist || "").toLowerCase() === artist)) {
     score -= 40; // avoid repetition
@@ -20,34 +23,6 @@ export function scoreTrackByRole(track, role, tandaSoFar = []) {
   return score;
 }
 
-const orchestraByRole = {
-  classic: [
-    { name: "Juan D'Arienzo", era: [1935, 1945] },
-    { name: "Rodolfo Biagi", era: [1938, 1944] },
-    { name: "Alfredo De Angelis", era: [1940, 1952] },
-  ],
-  rich: [
-    { name: "Anibal Troilo", era: [1940, 1955] },
-    { name: "Ricardo Tanturi", era: [1940, 1950] },
-    { name: "Carlos Di Sarli", era: [1940, 1958] },
-  ],
-  modern: [
-    { name: "Osvaldo Pugliese", era: [1950, 1970] },
-    { name: "Color Tango", era: [1990, 2010] },
-    { name: "Sexteto Milonguero", era: [2005, 2020] },
-  ],
-  alt: [
-    { name: "Otros Aires", era: [2005, 2020] },
-    { name: "Tanghetto", era: [2005, 2020] },
-    { name: "Bajofondo", era: [2002, 2015] },
-  ],
-};
-// /agent/planner.js
-const b64u = {
-  enc: (s) => Buffer.from(String(s)).toString("base64url"),
-  dec: (s) => Buffer.from(String(s), "base64url").toString("utf8"),
-};
-
 export function inferRoleByPosition(pos) {
   if (pos <= 2) return "classic";
   if (pos <= 5) return "rich";
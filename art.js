@@ -0,0 +1,200 @@
+// art.js (ESM)
+//
+// Cover art for every track, resolved in one place:
+//   1. art the catalog recorded (track.art, written by scan-library.js)
+//   2. the picture embedded in the audio file (music-metadata)
+//   3. Folder.jpg / cover.jpg / front.jpg ... next to the audio file
+// and served by server.js as resized JPEG thumbnails from /art/:trackId,
+// cached in ART_DIR/thumbs (one file per image and size, shared by an album).
+//
+// The catalog records where a track's art came from:
+//   "art": { "source": "embedded", "url": "/album-art/<file>" }       saved from the tags into ART_DIR
+//   "art": { "source": "folder", "path": "music:Artist/Album/Folder.jpg" }
+//   "art": { "source": "none" }
+// Catalogs written before track.art are read through artUrl / tags.coverPath ("catalog").
+//
+// Env:
+//   ART_DIR=/path/to/Art   (via library-config.js)
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import sharp from "sharp";
+import { parseFile, selectCover } from "music-metadata";
+import { config, resolveLibraryPath } from "./library-config.js";
+
+export const ART_SOURCES = ["embedded", "folder", "catalog", "none"];
+export const THUMB_SIZES = [64, 128, 256, 512];
+export const DEFAULT_THUMB_SIZE = 256;
+export const THUMBS_DIR = path.join(config.artDir, "thumbs");
+
+// Checked in order, case-insensitively
+const FOLDER_ART_NAMES = ["folder", "cover", "front", "albumart", "album"];
+const FOLDER_ART_EXT = [".jpg", ".jpeg", ".png", ".webp"];
+
+const absOf = (t) => t?.file?.absPath ?? t?.file?.absolutePath ?? t?.file?.path ?? null;
+
+/** "/album-art/<file>" -> the file in ART_DIR (null for anything else) */
+function artDirFile(url) {
+  const m = typeof url === "string" ? url.match(/^\/album-art\/(.+)$/) : null;
+  return m ? path.join(config.artDir, decodeURIComponent(m[1])) : null;
+}
+
+/**
+ * Where the catalog says a track's art is, without touching the disk:
+ * { source, path } (path = local image file) or { source: "none" }.
+ */
+export function recordedArt(t) {
+  const a = t?.art;
+  if (a?.source === "embedded" && a.url) return { source: "embedded", path: artDirFile(a.url) };
+  if (a?.source === "folder" && a.path) return { source: "folder", path: resolveLibraryPath(a.path) };
+  if (a?.source === "none") return { source: "none" };
+
+  const legacy = artDirFile(t?.artUrl) ?? (t?.tags?.coverPath ? resolveLibraryPath(t.tags.coverPath) : null);
+  return legacy ? { source: "catalog", path: legacy } : { source: "none" };
+}
+
+/** Folder.jpg / cover.jpg / ... in the audio file's directory, or null */
+export async function findFolderArt(audioPath) {
+  if (!audioPath) return null;
+  const dir = path.dirname(audioPath);
+  let names;
+  try {
+    names = await fs.readdir(dir);
+  } catch {
+    return null;
+  }
+  const byName = new Map(names.map((n) => [n.toLowerCase(), n]));
+  for (const base of FOLDER_ART_NAMES) {
+    for (const ext of FOLDER_ART_EXT) {
+      const hit = byName.get(base + ext);
+      if (hit) return path.join(dir, hit);
+    }
+  }
+  return null;
+}
+
+/** Embedded cover of an audio file -> { data, format } or null */
+export async function readEmbeddedArt(audioPath) {
+  const { common } = await parseFile(audioPath, { duration: false });
+  const pic = selectCover(common.picture);
+  return pic?.data?.length ? { data: Buffer.from(pic.data), format: pic.format } : null;
+}
+
+async function exists(p) {
+  try {
+    await fs.access(p);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Run the pipeline for one track: recorded art, embedded picture, folder image.
+ * -> { source, path } | { source: "embedded", data } | null
+ */
+export async function resolveArt(t) {
+  const rec = recordedArt(t);
+  if (rec.path && (await exists(rec.path))) return rec;
+
+  const abs = absOf(t);
+  if (!abs || !(await exists(abs))) return null;
+  try {
+    const pic = await readEmbeddedArt(abs);
+    if (pic) return { source: "embedded", data: pic.data };
+  } catch (e) {
+    console.warn(`[art] could not read ${abs}:`, e.message);
+  }
+  const folder = await findFolderArt(abs);
+  return folder ? { source: "folder", path: folder } : null;
+}
+
+/** Requested size -> the smallest configured size that covers it */
+export function thumbSize(v) {
+  const n = Number.parseInt(v, 10);
+  if (!Number.isFinite(n) || n <= 0) return DEFAULT_THUMB_SIZE;
+  return THUMB_SIZES.find((s) => s >= n) ?? THUMB_SIZES.at(-1);
+}
+
+// ---------- thumbnails ----------
+const resolved = new Map(); // track id -> Promise<{ source, path, key } | null>
+const missedAt = new Map(); // track id -> when it last resolved to no art
+const rendering = new Map(); // thumb file -> Promise<void>
+const MISS_TTL_MS = 60_000; // "no art" is looked up again after this: a cover may have been added since
+
+/** Resolved art -> { source, path, key }; an embedded picture is kept once in THUMBS_DIR rather than in memory */
+async function cacheable(art) {
+  if (!art.data) {
+    const st = await fs.stat(art.path);
+    const key = crypto.createHash("sha1").update(`${art.path}|${st.mtimeMs}|${st.size}`).digest("hex").slice(0, 20);
+    return { source: art.source, path: art.path, key };
+  }
+  const key = crypto.createHash("sha1").update(art.data).digest("hex").slice(0, 20);
+  const file = path.join(THUMBS_DIR, `${key}-full`);
+  if (!(await exists(file))) {
+    await fs.mkdir(THUMBS_DIR, { recursive: true });
+    await fs.writeFile(`${file}.${process.pid}.tmp`, art.data);
+    await fs.rename(`${file}.${process.pid}.tmp`, file);
+  }
+  return { source: art.source, path: file, key };
+}
+
+async function renderThumb(art, file, size) {
+  await fs.mkdir(THUMBS_DIR, { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await sharp(art.path)
+    .rotate()
+    .resize(size, size, { fit: "cover" })
+    .jpeg({ quality: 82 })
+    .toFile(tmp);
+  await fs.rename(tmp, file);
+}
+
+/**
+ * Cached JPEG thumbnail of a track's cover -> { file, source } or null when it has none.
+ * Art found is remembered per track until clearArtCache(), "no art" for MISS_TTL_MS;
+ * thumbnails persist on disk.
+ */
+export async function trackThumbnail(t, size = DEFAULT_THUMB_SIZE) {
+  const px = thumbSize(size);
+  const id = t?.id ?? absOf(t);
+  if (missedAt.get(id) < Date.now() - MISS_TTL_MS) {
+    resolved.delete(id);
+    missedAt.delete(id);
+  }
+  if (!resolved.has(id)) {
+    resolved.set(id, resolveArt(t).then((art) => (art ? cacheable(art) : null)));
+  }
+  let art;
+  try {
+    art = await resolved.get(id);
+  } catch (e) {
+    resolved.delete(id);
+    throw e;
+  }
+  if (!art) {
+    if (!missedAt.has(id)) missedAt.set(id, Date.now());
+    return null;
+  }
+
+  const file = path.join(THUMBS_DIR, `${art.key}-${px}.jpg`);
+  if (!(await exists(file))) {
+    if (!rendering.has(file)) rendering.set(file, renderThumb(art, file, px).finally(() => rendering.delete(file)));
+    try {
+      await rendering.get(file);
+    } catch (e) {
+      console.warn(`[art] unreadable image for ${id} (${art.source}):`, e.message);
+      resolved.set(id, Promise.resolve(null));
+      missedAt.set(id, Date.now());
+      return null;
+    }
+  }
+  return { file, source: art.source };
+}
+
+/** Forget resolved art (call when the catalog changes) */
+export function clearArtCache() {
+  resolved.clear();
+  missedAt.clear();
+}
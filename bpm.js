@@ -0,0 +1,110 @@
+// bpm.js (ESM)
+//
+// Half/double-time BPM correction. Analysers often count a tango at double or
+// half its tempo (146.5 for a ~73 reading of the same pulse) and disagree most on
+// valses, so every BPM the app compares goes through here.
+//
+// Each dance style has a window, at least an octave wide, in the scale the
+// analysers mostly write; a reading inside it is kept as read and only one
+// outside it is folded (x2 / ÷2) in, so the half and double readings of one
+// recording land on the same value. The windows follow the raw readings of the
+// shipped catalogs: tangos mostly read 110–170 and thin out at 180–199 before
+// the double-time cluster at 200+, milongas read 120–180. The narrower `core`
+// is where most recordings of the style are, and is only used for the confidence.
+//
+//   correctBpm(track) -> { bpm, raw, field, factor, confidence, style }
+//     factor      1 = as read, 0.5 = was double-time, 2 = was half-time (0.25 / 4: twice)
+//     confidence  0–1: 0.9 read inside the core, 0.7 inside the window,
+//                 0.6 / 0.45 folded once into / outside the core, 0.25 folded twice,
+//                 0.5 no dance style to check against; +0.1 when two fields agree;
+//                 1 for a BPM set by hand (track-overlay.js)
+//
+// catalog.js runs correctTrackBpm() on every track at load: tags.BPM becomes the
+// corrected value and track.bpmCorrection keeps { raw, field, factor, confidence }.
+// bpmOf() reads any track/row shape and corrects on the fly what was not loaded
+// through the catalog (client rows, agent candidates).
+
+import { danceStyleOf } from "./genres.js";
+
+export const STYLE_BPM = {
+  tango: { window: [90, 190], core: [110, 160] },
+  vals: { window: [90, 180], core: [110, 170] },
+  milonga: { window: [100, 200], core: [120, 180] },
+};
+
+// Fields a BPM may be read from, in the order they were trusted before
+const BPM_FIELDS = [
+  ["BPM", (t) => t?.BPM],
+  ["bpm", (t) => t?.bpm],
+  ["audio.bpm", (t) => t?.audio?.bpm],
+  ["tags.BPM", (t) => t?.tags?.BPM],
+  ["tags.tempoBPM", (t) => t?.tags?.tempoBPM],
+  ["tempoBPM", (t) => t?.tempoBPM],
+];
+
+const AGREE = 0.03; // two readings within 3% (after folding) agree
+
+const num = (v) => {
+  const n = typeof v === "number" ? v : Number.parseFloat(v);
+  return Number.isFinite(n) && n > 0 ? n : null;
+};
+const round1 = (v) => Math.round(v * 10) / 10;
+const inRange = (v, [lo, hi]) => v >= lo && v <= hi;
+
+/** Dance style of a catalog track or compact row ("tango" | "vals" | "milonga" | null); sub-genres use their core style's window */
+export function bpmStyleOf(t) {
+  return danceStyleOf(t);
+}
+
+/** One reading folded into a style's window -> { bpm, factor, confidence } */
+export function foldBpm(raw, style) {
+  const range = STYLE_BPM[style];
+  if (!range) return { bpm: round1(raw), factor: 1, confidence: 0.5 };
+  const [lo, hi] = range.window;
+  let bpm = raw;
+  let factor = 1;
+  while (bpm > hi && factor > 0.25) { bpm /= 2; factor /= 2; }
+  while (bpm < lo && factor < 4) { bpm *= 2; factor *= 2; }
+  const core = inRange(bpm, range.core);
+  const folds = Math.abs(Math.log2(factor));
+  const confidence = !inRange(bpm, [lo, hi]) ? 0.1 : folds === 0 ? (core ? 0.9 : 0.7) : folds === 1 ? (core ? 0.6 : 0.45) : 0.25;
+  return { bpm: round1(bpm), factor, confidence };
+}
+
+/**
+ * Best corrected BPM of a track: every field that holds a reading is folded and
+ * the most plausible one wins (ties: the first field). null if there is no reading.
+ */
+export function correctBpm(t, style = bpmStyleOf(t)) {
+  const readings = [];
+  for (const [field, get] of BPM_FIELDS) {
+    const raw = num(get(t));
+    if (raw != null) readings.push({ field, raw, ...foldBpm(raw, style) });
+  }
+  if (!readings.length) return null;
+  let best = readings[0];
+  for (const r of readings) if (r.confidence > best.confidence) best = r;
+  const agrees = readings.some((r) => r !== best && Math.abs(r.bpm - best.bpm) <= best.bpm * AGREE && r.raw !== best.raw);
+  return { ...best, confidence: Math.min(1, Math.round((best.confidence + (agrees ? 0.1 : 0)) * 100) / 100), style };
+}
+
+/** Catalog load step: tags.BPM = corrected value, bpmCorrection = how it was derived */
+export function correctTrackBpm(t) {
+  if (t?.overlay?.fields?.includes("BPM")) {
+    const bpm = num(t.tags?.BPM);
+    return bpm == null ? t : { ...t, bpmCorrection: { raw: bpm, field: "overlay", factor: 1, confidence: 1 } };
+  }
+  const c = correctBpm(t);
+  if (!c) return t;
+  return {
+    ...t,
+    tags: { ...t.tags, BPM: c.bpm },
+    bpmCorrection: { raw: c.raw, field: c.field, factor: c.factor, confidence: c.confidence },
+  };
+}
+
+/** Corrected BPM of any track / compact row / candidate row (null if none) */
+export function bpmOf(t) {
+  if (t?.bpmCorrection) return num(t.tags?.BPM);
+  return correctBpm(t)?.bpm ?? null;
+}
@@ -0,0 +1,321 @@
+// catalog-db.js (ESM)
+//
+// Persistent, indexed catalog store (SQLite via better-sqlite3) built from the
+// catalog JSON (array OR {tracks:[]}). The full track object is kept as JSON so
+// existing code sees the same shape; the columns below exist for indexed queries.
+//
+// Owned by catalog.js (load/validate/reload); other modules go through that.
+//
+// Env:
+//   LIBRARY_JSON=./catalog-Art.json   (source the index is built from)
+//   CATALOG_DB=./catalog.db           (index file; rebuilt when the source changes)
+
+import dotenv from "dotenv";
+dotenv.config();
+
+import fs from "node:fs";
+import path from "node:path";
+import Database from "better-sqlite3";
+import { canonicalOrchestra, canonicalSinger, foldName } from "./orchestra.js";
+import { buildSearchIndex } from "./search-index.js";
+import { recordedArt } from "./art.js";
+import { parseKey, keyToCamelot, camelotNeighbors } from "./key.js";
+import { styleKey, trackGenreKeys } from "./genres.js";
+
+export const LIBRARY_JSON = process.env.LIBRARY_JSON || path.join(process.cwd(), "catalog-Art.json");
+export const CATALOG_DB = process.env.CATALOG_DB || path.join(process.cwd(), "catalog.db");
+
+// Version of the tables below and of what rowFromTrack / replaceAll write into them; bump it
+// on any change to either, so an index written by another version is dropped and rebuilt
+const SCHEMA_VERSION = "12";
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+  key   TEXT PRIMARY KEY,
+  value TEXT
+);
+CREATE TABLE IF NOT EXISTS tracks (
+  rowid        INTEGER PRIMARY KEY,
+  abs_path     TEXT,
+  wav_path     TEXT,
+  title        TEXT,
+  artist       TEXT,
+  album        TEXT,
+  albumartist  TEXT,
+  year         INTEGER,
+  bpm          REAL,
+  energy       REAL,
+  key          TEXT,
+  camelot_key  TEXT,
+  duration_sec REAL,
+  art_url      TEXT,
+  has_art      INTEGER NOT NULL DEFAULT 0,
+  orchestra    TEXT,                   -- canonical (orchestra.js)
+  orchestra_key TEXT,                  -- foldName(orchestra), for "contains" matches
+  json         TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS track_genres (
+  track_rowid INTEGER NOT NULL REFERENCES tracks(rowid) ON DELETE CASCADE,
+  genre       TEXT NOT NULL            -- folded genre tag, or a genres.js id the tag belongs to
+);
+CREATE TABLE IF NOT EXISTS track_singers (
+  track_rowid INTEGER NOT NULL REFERENCES tracks(rowid) ON DELETE CASCADE,
+  singer      TEXT NOT NULL            -- canonical
+);
+CREATE INDEX IF NOT EXISTS idx_tracks_abs_path    ON tracks(abs_path);
+CREATE INDEX IF NOT EXISTS idx_tracks_artist      ON tracks(artist COLLATE NOCASE);
+CREATE INDEX IF NOT EXISTS idx_tracks_year        ON tracks(year);
+CREATE INDEX IF NOT EXISTS idx_tracks_bpm         ON tracks(bpm);
+CREATE INDEX IF NOT EXISTS idx_tracks_camelot_key ON tracks(camelot_key);
+CREATE INDEX IF NOT EXISTS idx_tracks_sort        ON tracks(artist, album, title);
+CREATE INDEX IF NOT EXISTS idx_track_genres_genre ON track_genres(genre, track_rowid);
+CREATE INDEX IF NOT EXISTS idx_tracks_orchestra   ON tracks(orchestra);
+CREATE INDEX IF NOT EXISTS idx_tracks_energy      ON tracks(energy);
+CREATE INDEX IF NOT EXISTS idx_tracks_duration    ON tracks(duration_sec);
+CREATE INDEX IF NOT EXISTS idx_track_singers      ON track_singers(singer, track_rowid);
+`;
+
+// ---------- field readers (same fallbacks the routes use) ----------
+function num(v) {
+  if (v == null || v === "") return null;
+  const n = Number.parseFloat(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+
+function rowFromTrack(t) {
+  const tags = t?.tags || {};
+  const abs = t?.file?.absPath ?? t?.file?.absolutePath ?? t?.file?.path ?? null;
+  const year = num(t?.recordedYear) ?? num(tags.year); // recording date over the tag year
+  return {
+    abs_path: abs,
+    wav_path: t?.file?.wavPath ?? null,
+    title: tags.title ?? null,
+    artist: tags.artist ?? null,
+    album: tags.album ?? null,
+    albumartist: tags.albumartist ?? null,
+    year: year == null ? null : Math.round(year),
+    bpm: num(tags.BPM) ?? num(tags.tempoBPM), // corrected on load (bpm.js)
+    energy: num(tags.Energy), // 0–10, normalized on load (energy.js)
+    key: tags.Key ?? null,
+    camelot_key: keyToCamelot(t),
+    duration_sec: num(tags.durationSec) ?? num(t?.format?.durationSec),
+    art_url: t?.artUrl ?? null,
+    has_art: recordedArt(t).source === "none" ? 0 : 1,
+    orchestra: t?.orchestra ?? null,
+    orchestra_key: t?.orchestra ? foldName(t.orchestra) : null,
+    json: JSON.stringify(t),
+  };
+}
+
+// ==================================================================
+//                             CatalogDb
+// ==================================================================
+export class CatalogDb {
+  constructor(dbPath = CATALOG_DB) {
+    this.dbPath = dbPath;
+    this.db = new Database(dbPath);
+    this.db.pragma("journal_mode = WAL");
+    this.db.pragma("foreign_keys = ON");
+    this.db.exec("CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT)");
+    // Index written by an older version: drop it (columns changed) so catalog.js rebuilds it
+    const schema = this.meta("schema");
+    if (schema && schema !== SCHEMA_VERSION) {
+      this.db.exec("DROP TABLE IF EXISTS track_singers; DROP TABLE IF EXISTS track_genres; DROP TABLE IF EXISTS tracks; DELETE FROM meta;");
+    }
+    this.db.exec(SCHEMA);
+    this._cache = null; // parsed tracks, invalidated on rebuild
+    this._search = null; // search-index.js over the same rows
+  }
+
+  meta(key) {
+    return this.db.prepare("SELECT value FROM meta WHERE key = ?").get(key)?.value ?? null;
+  }
+
+  /** Replace all rows in one transaction */
+  replaceAll(tracks, meta = {}) {
+    const insTrack = this.db.prepare(`
+      INSERT INTO tracks (abs_path, wav_path, title, artist, album, albumartist, year, bpm, energy,
+                          key, camelot_key, duration_sec, art_url, has_art, orchestra, orchestra_key, json)
+      VALUES (@abs_path, @wav_path, @title, @artist, @album, @albumartist, @year, @bpm, @energy,
+              @key, @camelot_key, @duration_sec, @art_url, @has_art, @orchestra, @orchestra_key, @json)`);
+    const insGenre = this.db.prepare("INSERT INTO track_genres (track_rowid, genre) VALUES (?, ?)");
+    const insSinger = this.db.prepare("INSERT INTO track_singers (track_rowid, singer) VALUES (?, ?)");
+    const setMeta = this.db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)");
+
+    this.db.transaction(() => {
+      this.db.exec("DELETE FROM track_singers; DELETE FROM track_genres; DELETE FROM tracks;");
+      for (const t of tracks) {
+        if (!t) continue;
+        const { lastInsertRowid } = insTrack.run(rowFromTrack(t));
+        for (const g of trackGenreKeys(t)) insGenre.run(lastInsertRowid, g);
+        for (const name of new Set(t.singers || [])) insSinger.run(lastInsertRowid, name);
+      }
+      setMeta.run("schema", SCHEMA_VERSION);
+      setMeta.run("builtAt", new Date().toISOString());
+      for (const [k, v] of Object.entries(meta)) setMeta.run(k, v);
+    })();
+    this._cache = null;
+    this._search = null;
+  }
+
+  count() {
+    return this.db.prepare("SELECT COUNT(*) AS n FROM tracks").get().n;
+  }
+
+  /** Every track object, in catalog order (cached until the next rebuild): catalog.js keeps this array as its snapshot */
+  allTracks() {
+    if (!this._cache) {
+      this._cache = this.db
+        .prepare("SELECT json FROM tracks ORDER BY rowid")
+        .all()
+        .map((r) => JSON.parse(r.json));
+    }
+    return this._cache;
+  }
+
+  /** Fuzzy search index keyed by rowid (built on first search after a rebuild) */
+  searchIndex() {
+    if (!this._search) {
+      const rows = this.db.prepare("SELECT rowid, json FROM tracks").all();
+      this._search = buildSearchIndex(rows.map((r) => ({ key: r.rowid, track: JSON.parse(r.json) })));
+    }
+    return this._search;
+  }
+
+  /** rowid -> relevance for a search string (the last string is cached: facets reuse it) */
+  searchHits(text) {
+    const q = String(text);
+    if (this._search?.lastQuery !== q) {
+      const index = this.searchIndex();
+      index.lastQuery = q;
+      index.lastHits = index.search(q);
+    }
+    return this._search.lastHits;
+  }
+
+  /**
+   * WHERE clause for query()/facets(). `skip` leaves one filter out, so a facet
+   * counts what picking another value of it would give.
+   */
+  where(opts = {}, skip = null) {
+    const where = [];
+    const params = {};
+    // "milonga" also finds candombes (genres.js); "jazz" only jazz
+    const styles = [...new Set((opts.styles || []).map(styleKey).filter(Boolean))];
+    if (styles.length) {
+      where.push(`rowid IN (SELECT track_rowid FROM track_genres WHERE genre IN (${styles.map((_, i) => `@g${i}`).join(",")}))`);
+      styles.forEach((s, i) => { params[`g${i}`] = s; });
+    }
+    if (opts.artist) { where.push("artist = @artist COLLATE NOCASE"); params.artist = opts.artist; }
+    if (opts.orchestra && skip !== "orchestra") {
+      // Canonical name / alias ("Di Sarli"), or part of one ("arienzo")
+      const key = foldName(opts.orchestra);
+      where.push(key ? "(orchestra = @orchestra OR instr(orchestra_key, @orchestraKey) > 0)" : "orchestra = @orchestra");
+      params.orchestra = canonicalOrchestra(opts.orchestra);
+      if (key) params.orchestraKey = key;
+    }
+    if (opts.singer) {
+      if (String(opts.singer).toLowerCase() === "instrumental") {
+        where.push("rowid NOT IN (SELECT track_rowid FROM track_singers)");
+      } else {
+        where.push("rowid IN (SELECT track_rowid FROM track_singers WHERE singer = @singer)");
+        params.singer = canonicalSinger(opts.singer);
+      }
+    }
+    if (skip !== "decades") {
+      if (opts.yearMin != null) { where.push("year >= @yearMin"); params.yearMin = opts.yearMin; }
+      if (opts.yearMax != null) { where.push("year <= @yearMax"); params.yearMax = opts.yearMax; }
+    }
+    if (opts.bpmMin != null) { where.push("bpm >= @bpmMin"); params.bpmMin = opts.bpmMin; }
+    if (opts.bpmMax != null) { where.push("bpm <= @bpmMax"); params.bpmMax = opts.bpmMax; }
+    if (opts.energyMin != null) { where.push("energy >= @energyMin"); params.energyMin = opts.energyMin; }
+    if (opts.energyMax != null) { where.push("energy <= @energyMax"); params.energyMax = opts.energyMax; }
+    if (opts.durationMin != null) { where.push("duration_sec >= @durationMin"); params.durationMin = opts.durationMin; }
+    if (opts.durationMax != null) { where.push("duration_sec <= @durationMax"); params.durationMax = opts.durationMax; }
+    if (opts.hasArt != null) { where.push("has_art = @hasArt"); params.hasArt = opts.hasArt ? 1 : 0; }
+    let keys = (opts.camelotKeys || []).map(parseKey).filter(Boolean); // "8A", "Am", "1m" ...
+    if (opts.keyNeighbors) keys = [...new Set(keys.flatMap((k) => [k, ...camelotNeighbors(k)]))];
+    if (opts.camelotKeys?.length && skip !== "keys") {
+      if (!keys.length) where.push("0"); // only unreadable keys: nothing matches
+      else where.push(`camelot_key IN (${keys.map((_, i) => `@k${i}`).join(",")})`);
+      keys.forEach((k, i) => { params[`k${i}`] = k; });
+    }
+    if (opts.search) {
+      where.push("rowid IN (SELECT value FROM json_each(@searchHits))");
+      params.searchHits = JSON.stringify([...this.searchHits(opts.search).keys()]);
+    }
+    return { whereSql: where.length ? `WHERE ${where.join(" AND ")}` : "", params };
+  }
+
+  /**
+   * Indexed filter + paging. All filters optional:
+   *   { styles: ["tango"] (any genres.js spelling; a style includes its sub-genres), artist, orchestra, singer ("instrumental" = no singer),
+   *     yearMin, yearMax, bpmMin, bpmMax, energyMin, energyMax, durationMin, durationMax,
+   *     camelotKeys: ["8A"], keyNeighbors, hasArt, search (fuzzy, search-index.js),
+   *     page = 1, pageSize = 500, orderBy: "relevance" (default with search) | "artist" | "catalog" }
+   * -> { total, tracks }
+   */
+  query(opts = {}) {
+    const { whereSql, params } = this.where(opts);
+    const total = this.db.prepare(`SELECT COUNT(*) AS n FROM tracks ${whereSql}`).get(params).n;
+
+    const pageSize = Number.isFinite(opts.pageSize) ? opts.pageSize : total || 1;
+    const page = Math.max(1, opts.page || 1);
+
+    if (opts.search && (opts.orderBy ?? "relevance") === "relevance") {
+      // Rank in JS (the index holds the scores), then load just the page
+      const hits = this.searchHits(opts.search);
+      const ids = this.db.prepare(`SELECT rowid FROM tracks ${whereSql}`).all(params).map((r) => r.rowid);
+      ids.sort((a, b) => hits.get(b) - hits.get(a) || a - b);
+      const pageIds = ids.slice((page - 1) * pageSize, page * pageSize);
+      const byId = new Map(
+        this.db.prepare("SELECT rowid, json FROM tracks WHERE rowid IN (SELECT value FROM json_each(?))")
+          .all(JSON.stringify(pageIds))
+          .map((r) => [r.rowid, r.json])
+      );
+      return { total, tracks: pageIds.map((id) => JSON.parse(byId.get(id))) };
+    }
+
+    const order = opts.orderBy === "catalog"
+      ? "rowid"
+      : "COALESCE(artist, '') COLLATE NOCASE, COALESCE(album, '') COLLATE NOCASE, COALESCE(title, '') COLLATE NOCASE";
+    const rows = this.db
+      .prepare(`SELECT json FROM tracks ${whereSql} ORDER BY ${order} LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit: pageSize, offset: (page - 1) * pageSize });
+    return { total, tracks: rows.map((r) => JSON.parse(r.json)) };
+  }
+
+  /** Stable ids (track-id.js) of every track matching the query() filters, in catalog order; no track is parsed */
+  ids(opts = {}) {
+    const { whereSql, params } = this.where(opts);
+    return this.db
+      .prepare(`SELECT json_extract(json, '$.id') AS id FROM tracks ${whereSql} ORDER BY rowid`)
+      .all(params)
+      .map((r) => r.id);
+  }
+
+  /**
+   * Facet counts for the same filters as query(); each facet ignores its own filter.
+   * -> { orchestras: [{ value, count }], decades: [{ value: 1940, count }], keys: [{ value: "8A", count }] }
+   */
+  facets(opts = {}) {
+    const count = (skip, expr, notNull) => {
+      const { whereSql, params } = this.where(opts, skip);
+      const cond = whereSql ? `${whereSql} AND ${notNull}` : `WHERE ${notNull}`;
+      return this.db
+        .prepare(`SELECT ${expr} AS value, COUNT(*) AS count FROM tracks ${cond} GROUP BY value ORDER BY count DESC, value`)
+        .all(params);
+    };
+    const camelotOrder = (k) => parseInt(k, 10) * 2 + (k.endsWith("B") ? 1 : 0);
+    return {
+      orchestras: count("orchestra", "orchestra", "orchestra IS NOT NULL"),
+      decades: count("decades", "(year / 10) * 10", "year IS NOT NULL").sort((a, b) => a.value - b.value),
+      keys: count("keys", "camelot_key", "camelot_key IS NOT NULL").sort((a, b) => camelotOrder(a.value) - camelotOrder(b.value)),
+    };
+  }
+
+  close() {
+    this.db.close();
+  }
+}
@@ -0,0 +1,256 @@
+// catalog-health.js (ESM)
+//
+// Full catalog audit, run as a background job so the UI can follow progress.
+//
+//   const job = startHealthJob();        // one at a time; a second call returns the running job
+//   job.on("progress", ({ phase, done, total }) => ...)
+//   job.on("done", (summary) => ...) / job.on("failed", (err) => ...)
+//   job.report                           // grouped by orchestra once done (healthReportCsv for CSV)
+//
+// Checks every track of the active catalog for:
+//   missing_file     audio file not on disk (file.absPath)
+//   no_duration      duration missing or 0
+//   bpm_missing      no BPM / tempoBPM
+//   bpm_doubled      BPM read at double time and halved on load (bpm_halved: doubled on load; bpm.js)
+//   key_missing      neither Key nor camelotKey, or one key.js cannot read
+//   unknown_artist   no artist, "Unknown", "Various artists"
+//   suspicious_year  tango/vals/milonga dated >= 1990 on a remaster/compilation, or far later than the orchestra's other recordings
+//                    (not reported once recording-years.js knows when it was recorded)
+//   art_missing      no cover art recorded (art.js), or its image file is gone
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import { EventEmitter } from "node:events";
+import { catalog } from "./catalog.js";
+import { recordedArt } from "./art.js";
+import { STYLE_BPM, bpmStyleOf } from "./bpm.js";
+import { keyToCamelot } from "./key.js";
+import { looksRemasterish, TRUST_YEAR_CUTOFF } from "./recording-years.js";
+
+export const ISSUE_TYPES = {
+  missing_file: "Audio file not found",
+  no_duration: "Missing or zero duration",
+  bpm_missing: "No BPM",
+  bpm_doubled: "BPM read at double time (corrected)",
+  bpm_halved: "BPM read at half time (corrected)",
+  key_missing: "No Key / camelotKey",
+  unknown_artist: "Unknown artist",
+  suspicious_year: "Suspicious (remaster/compilation) year",
+  art_missing: "No cover art",
+};
+
+const FILE_CHECK_CONCURRENCY = 16;
+const KEEP_JOBS = 5;
+
+const num = (v) => {
+  const n = Number.parseFloat(v);
+  return Number.isFinite(n) ? n : null;
+};
+const styleOf = (t) => bpmStyleOf(t); // core style, sub-genres included (genres.js)
+const titleOf = (t) => t?.tags?.title ?? path.basename(String(t?.file?.absPath ?? t?.file?.path ?? "")).replace(/\.[^.]+$/, "");
+const yearOf = (t) => {
+  const y = num(t?.recordedYear ?? t?.tags?.year);
+  return y == null ? null : Math.round(y);
+};
+
+async function exists(p) {
+  try {
+    await fs.stat(p);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Median year of each orchestra's dance tracks dated before the cutoff
+function orchestraEras(tracks) {
+  const years = new Map();
+  for (const t of tracks) {
+    const y = yearOf(t);
+    if (!t.orchestra || y == null || y >= TRUST_YEAR_CUTOFF || !styleOf(t)) continue;
+    if (!years.has(t.orchestra)) years.set(t.orchestra, []);
+    years.get(t.orchestra).push(y);
+  }
+  const eras = new Map();
+  for (const [o, ys] of years) {
+    if (ys.length < 3) continue;
+    ys.sort((a, b) => a - b);
+    eras.set(o, ys[Math.floor(ys.length / 2)]);
+  }
+  return eras;
+}
+
+/** Metadata checks for one track (no disk access) -> [{ type, detail }] */
+function metadataIssues(t, eras) {
+  const tags = t.tags || {};
+  const issues = [];
+  const add = (type, detail = null) => issues.push({ type, detail });
+
+  const dur = num(tags.durationSec) ?? num(t.format?.durationSec);
+  if (!dur) add("no_duration", dur === 0 ? "0 s" : "missing");
+
+  const bpm = num(tags.BPM) ?? num(tags.tempoBPM);
+  const style = styleOf(t);
+  const fix = t.bpmCorrection;
+  if (bpm == null || bpm <= 0) add("bpm_missing", bpm === 0 ? "0" : "missing");
+  else if (style && fix && fix.factor !== 1) {
+    const [min, max] = STYLE_BPM[style].window;
+    const detail = `${fix.raw} (${fix.field}) read as ${bpm} for ${style} (${min}–${max}; confidence ${fix.confidence})`;
+    add(fix.factor < 1 ? "bpm_doubled" : "bpm_halved", detail);
+  }
+
+  if (!keyToCamelot(t)) add("key_missing", tags.Key || tags.camelotKey ? `unreadable "${tags.Key ?? tags.camelotKey}"` : null);
+  if (!t.orchestra) add("unknown_artist", tags.artist ? `"${tags.artist}"` : "no artist tag");
+
+  const y = yearOf(t);
+  if (style && y != null && y >= TRUST_YEAR_CUTOFF && t.recordedYear == null) {
+    const era = t.orchestra ? eras.get(t.orchestra) : null;
+    if (looksRemasterish(t)) add("suspicious_year", `${y} on "${tags.album ?? tags.title}"`);
+    else if (era != null && y - era >= 30) add("suspicious_year", `${y}; ${t.orchestra} recordings here are mostly ~${era}`);
+  }
+  return issues;
+}
+
+/** Disk checks for one track -> [{ type, detail }] */
+async function fileIssues(t) {
+  const issues = [];
+  const abs = t.file?.absPath ?? t.file?.absolutePath ?? t.file?.path ?? null;
+  if (!abs || !(await exists(abs))) issues.push({ type: "missing_file", detail: abs });
+
+  const art = recordedArt(t);
+  if (!art.path) issues.push({ type: "art_missing", detail: "none" });
+  else if (!(await exists(art.path))) issues.push({ type: "art_missing", detail: `${art.source} image not found: ${art.path}` });
+  return issues;
+}
+
+/** Findings -> report grouped by orchestra (most issues first) */
+function buildReport(snap, findings) {
+  const summary = Object.fromEntries(Object.keys(ISSUE_TYPES).map((k) => [k, 0]));
+  const byOrchestra = new Map();
+  for (const { track: t, issues } of findings) {
+    const name = t.orchestra ?? "Unknown orchestra";
+    if (!byOrchestra.has(name)) byOrchestra.set(name, { orchestra: name, tracks: 0, tracksWithIssues: 0, issueCount: 0, issues: {} });
+    const g = byOrchestra.get(name);
+    g.tracks++;
+    if (!issues.length) continue;
+    g.tracksWithIssues++;
+    for (const { type, detail } of issues) {
+      summary[type]++;
+      g.issueCount++;
+      (g.issues[type] ??= []).push({ id: t.id, title: titleOf(t) || null, artist: t.tags?.artist ?? null, detail });
+    }
+  }
+  return {
+    generatedAt: new Date().toISOString(),
+    catalog: { file: snap.file, version: snap.version, tracks: snap.count },
+    issueTypes: ISSUE_TYPES,
+    summary: { ...summary, tracksWithIssues: findings.filter((f) => f.issues.length).length },
+    orchestras: [...byOrchestra.values()]
+      .filter((g) => g.issueCount)
+      .sort((a, b) => b.issueCount - a.issueCount || a.orchestra.localeCompare(b.orchestra)),
+  };
+}
+
+/** One row per issue: orchestra,issue,id,title,artist,detail */
+export function healthReportCsv(report) {
+  const cell = (v) => {
+    const s = String(v ?? "");
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const rows = [["orchestra", "issue", "id", "title", "artist", "detail"]];
+  for (const g of report.orchestras) {
+    for (const [type, list] of Object.entries(g.issues)) {
+      for (const i of list) rows.push([g.orchestra, type, i.id, i.title, i.artist, i.detail]);
+    }
+  }
+  return rows.map((r) => r.map(cell).join(",")).join("\n") + "\n";
+}
+
+// ---------- jobs ----------
+const jobs = new Map(); // id -> job, newest last
+
+class HealthJob extends EventEmitter {
+  constructor() {
+    super();
+    this.id = crypto.randomBytes(6).toString("hex");
+    this.status = "running";
+    this.startedAt = new Date().toISOString();
+    this.finishedAt = null;
+    this.progress = { phase: "metadata", done: 0, total: 0 };
+    this.report = null;
+    this.error = null;
+  }
+
+  info() {
+    return {
+      id: this.id,
+      status: this.status,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      progress: this.progress,
+      summary: this.report?.summary ?? null,
+      error: this.error,
+    };
+  }
+
+  setProgress(p) {
+    this.progress = { ...this.progress, ...p };
+    this.emit("progress", this.progress);
+  }
+
+  async run() {
+    const snap = catalog.snapshot();
+    const tracks = snap.tracks;
+    const eras = orchestraEras(tracks);
+    const findings = tracks.map((track) => ({ track, issues: metadataIssues(track, eras) }));
+    this.setProgress({ phase: "files", done: 0, total: tracks.length });
+
+    // Disk checks, a few at a time; progress at most every ~2%
+    const step = Math.max(1, Math.floor(tracks.length / 50));
+    let next = 0;
+    let done = 0;
+    const worker = async () => {
+      while (next < findings.length) {
+        const f = findings[next++];
+        f.issues.push(...(await fileIssues(f.track)));
+        if (++done % step === 0 || done === findings.length) this.setProgress({ done });
+      }
+    };
+    await Promise.all(Array.from({ length: FILE_CHECK_CONCURRENCY }, worker));
+
+    this.report = buildReport(snap, findings);
+    return this.report;
+  }
+}
+
+/** Start an audit of the active catalog (or return the one already running) */
+export function startHealthJob() {
+  const running = [...jobs.values()].find((j) => j.status === "running");
+  if (running) return running;
+
+  const job = new HealthJob();
+  jobs.set(job.id, job);
+  while (jobs.size > KEEP_JOBS) jobs.delete(jobs.keys().next().value);
+
+  job.run().then(
+    (report) => {
+      job.status = "done";
+      job.finishedAt = new Date().toISOString();
+      console.log(`[health] ${job.id}: ${report.summary.tracksWithIssues}/${report.catalog.tracks} tracks with issues`);
+      job.emit("done", report.summary);
+    },
+    (e) => {
+      job.status = "failed";
+      job.finishedAt = new Date().toISOString();
+      job.error = String(e?.message || e);
+      console.error(`[health] ${job.id} failed:`, e);
+      job.emit("failed", job.error);
+    }
+  );
+  return job;
+}
+
+export function healthJob(id) {
+  return jobs.get(id) ?? null;
+}
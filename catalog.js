@@ -0,0 +1,341 @@
+// catalog.js (ESM)
+//
+// The one catalog the whole app reads. Owns loading LIBRARY_JSON, validating
+// it, indexing it into catalog.db, hot reload, and change events. server.js
+// routes and dj-lib.js (→ generate.js) all read catalog.snapshot(), so the
+// planner and the catalog API always agree on which library is loaded.
+//
+// The snapshot is still the whole library in memory: a (re)index parses every
+// catalog file, and every load reads all tracks back from catalog.db
+// (CatalogDb.allTracks). Lists, filters, search, facets and id lookups are served
+// from the index; the planners, the orchestra profiles, the health job and
+// /api/catalog/full walk the array, so memory and load time grow with the library.
+//
+//   catalog.snapshot() -> { version, source, file, sources, energyScales, loadedAt, count, invalid, tracks }
+//   catalog.info()     -> same without tracks (for /api/catalog/info)
+//   catalog.query(opts) / catalog.ids(opts) / catalog.facets(opts) -> indexed filters (catalog-db.js)
+//   catalog.list()     -> catalog-*.json files in CATALOGS_DIR (for the switcher)
+//   catalog.activate(["Fall"]) / (["Art", "Fall"]) -> switch at runtime; several = merged virtual catalog
+//   catalog.resolveId(id)   -> track for a stable id or a legacy base64url/path id (track-id.js)
+//   catalog.canonicalId(id) -> that track's stable id (the input unchanged if unknown)
+//   catalog.on("change", (snapshot) => ...)  after a successful (re)load
+//   catalog.on("reloadFailed", (err) => ...) reload failed; previous snapshot stays active
+//
+// A track is its catalog entry plus what these modules derive from it:
+//   orchestra.js         orchestra + singers[] parsed from the artist (alias table)
+//   track-overlay.js     corrections saved via PATCH /api/tracks/:id
+//   energy.js, bpm.js    tags.Energy on 0–10 whatever the file's scale; tags.BPM in its style's range (track.bpmCorrection)
+//   recording-years.js   recordedYear / recordedYearSource
+//   genres.js            how genre tags read (styles, sub-genres, cortina-only)
+// The catalog files, the library roots and the tables behind these modules (tableStamps)
+// are what the index is built from: when one changes it is rebuilt and the version changes.
+
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { EventEmitter } from "node:events";
+import { z } from "zod";
+import { CatalogDb, LIBRARY_JSON, CATALOG_DB } from "./catalog-db.js";
+import { config, resolveTrackPaths } from "./library-config.js";
+import { assignTrackIds, buildIdIndex } from "./track-id.js";
+import { ALIASES_PATH, refreshAliases, withOrchestra } from "./orchestra.js";
+import { OVERLAY_PATH, refreshOverlay, applyOverlay } from "./track-overlay.js";
+import { normalizeEnergy } from "./energy.js";
+import { correctTrackBpm } from "./bpm.js";
+import { RECORDING_YEARS_PATH, refreshRecordingYears, resolveRecordedYear } from "./recording-years.js";
+import { GENRES_PATH, refreshGenres } from "./genres.js";
+
+// Where the switcher looks for catalog-<Name>.json files
+export const CATALOGS_DIR = process.env.CATALOGS_DIR || path.dirname(path.resolve(LIBRARY_JSON));
+const CATALOG_FILE_RE = /^catalog-(.+)\.json$/i;
+
+// Minimal shape every track must have; everything else is passed through untouched
+const TrackSchema = z
+  .object({
+    file: z
+      .object({
+        absPath: z.string().min(1).optional(),
+        absolutePath: z.string().min(1).optional(),
+        path: z.string().min(1).optional(),
+      })
+      .passthrough()
+      .refine((f) => f.absPath || f.absolutePath || f.path, { message: "file.absPath is required" }),
+    tags: z.object({}).passthrough().optional(),
+  })
+  .passthrough();
+
+/** Validate a parsed catalog document; returns valid tracks + a sample of what was dropped */
+export function validateCatalog(doc) {
+  const tracks = Array.isArray(doc) ? doc : Array.isArray(doc?.tracks) ? doc.tracks : null;
+  if (!tracks) throw new Error("Invalid library JSON: expected array or {tracks:[]}");
+  const valid = [];
+  const invalid = [];
+  tracks.forEach((t, index) => {
+    const r = TrackSchema.safeParse(t);
+    if (r.success) valid.push(t);
+    else invalid.push({ index, error: r.error.issues.map((i) => `${i.path.join(".") || "track"}: ${i.message}`).join("; ") });
+  });
+  return { valid, invalid };
+}
+
+// "catalog-Fall.json" -> "Fall"
+function catalogName(file) {
+  const base = path.basename(file);
+  return base.match(CATALOG_FILE_RE)?.[1] ?? base.replace(/\.json$/i, "");
+}
+
+// Stamps of the editable tables tracks are derived with (json-table.js)
+const tableStamps = () => [
+  `aliases:${refreshAliases()}`,
+  `overlay:${refreshOverlay()}`,
+  `years:${refreshRecordingYears()}`,
+  `genres:${refreshGenres()}`,
+];
+
+// Everything the index is built from; it is reused only while this matches
+function sourceStamp(sources) {
+  return sources
+    .map((p) => {
+      const st = fs.statSync(p);
+      return `${p}:${st.mtimeMs}:${st.size}`;
+    })
+    .concat(JSON.stringify(config.roots), tableStamps())
+    .join("|");
+}
+
+// Merge track lists; the first catalog wins per absPath, later ones only fill gaps
+function mergeTrackLists(lists) {
+  const byPath = new Map();
+  for (const tracks of lists) {
+    for (const t of tracks) {
+      const abs = t.file?.absPath ?? t.file?.absolutePath ?? t.file?.path;
+      const prev = byPath.get(abs);
+      if (!prev) {
+        byPath.set(abs, t);
+        continue;
+      }
+      const tags = { ...prev.tags };
+      for (const [k, v] of Object.entries(t.tags || {})) if (tags[k] == null && v != null) tags[k] = v;
+      byPath.set(abs, { ...t, ...prev, tags, artUrl: prev.artUrl ?? t.artUrl ?? null });
+    }
+  }
+  return [...byPath.values()];
+}
+
+class CatalogService extends EventEmitter {
+  constructor({ source = LIBRARY_JSON, dbPath = CATALOG_DB } = {}) {
+    super();
+    this.sources = [path.resolve(source)];
+    this.dbPath = dbPath;
+    this.db = null;
+    this.current = null;
+    this.watchers = [];
+    this.watching = false;
+    this.reloadTimer = null;
+    this.idIndex = null;
+  }
+
+  /** (Re)load from the active source(s) and swap the snapshot. Throws if a file is unreadable/invalid. */
+  load() {
+    if (!this.db) this.db = new CatalogDb(this.dbPath);
+    const sources = this.sources;
+    const stamp = sourceStamp(sources);
+    let invalid = [];
+    let energyScales = [];
+    let version;
+
+    if (this.db.meta("stamp") === stamp && this.db.meta("version")) {
+      // Index already matches the file(s) on disk: skip the parse + validate
+      version = this.db.meta("version");
+      invalid = JSON.parse(this.db.meta("invalid") || "[]");
+      energyScales = JSON.parse(this.db.meta("energyScales") || "[]");
+    } else {
+      const lists = [];
+      const hash = crypto.createHash("sha1");
+      for (const src of sources) {
+        const raw = fs.readFileSync(src, "utf8");
+        const { valid, invalid: bad } = validateCatalog(JSON.parse(raw));
+        // Energy scale is detected per file, before files are merged
+        const { tracks: normalized, scale } = normalizeEnergy(valid);
+        energyScales.push({ file: path.basename(src), scale });
+        lists.push(normalized.map((t) => withOrchestra(resolveTrackPaths(t)))); // root-relative paths -> this machine; + orchestra/singers
+        invalid.push(...bad.map((b) => ({ ...b, file: path.basename(src) })));
+        hash.update(raw);
+      }
+      // Overlay edits are keyed by stable id, so they apply after ids are assigned
+      const tracks = assignTrackIds(lists.length === 1 ? lists[0] : mergeTrackLists(lists))
+        .map((t) => {
+          const edited = applyOverlay(t);
+          // re-parse: orchestra/singers may be corrected; BPM after the overlay (genre edits change the range, hand-set BPM is kept)
+          // and the recording year after it too (a hand-set year wins over the table)
+          return resolveRecordedYear(correctTrackBpm(edited === t ? t : withOrchestra(edited)));
+        });
+      for (const s of tableStamps()) hash.update(s);
+      version = hash.digest("hex").slice(0, 12); // the files' content + the tables
+      this.db.replaceAll(tracks, {
+        stamp,
+        version,
+        sources: JSON.stringify(sources),
+        invalid: JSON.stringify(invalid.slice(0, 50)),
+        energyScales: JSON.stringify(energyScales),
+      });
+      const dated = tracks.filter((t) => t.recordedYearSource?.startsWith("table")).length;
+      console.log(`[catalog] indexed ${tracks.length} tracks from ${sources.map((p) => path.basename(p)).join(" + ")} (version ${version}; energy ${energyScales.map((e) => e.scale).join(" + ")}; ${dated} dated from ${path.basename(RECORDING_YEARS_PATH)})`);
+      if (invalid.length) console.warn(`[catalog] skipped ${invalid.length} invalid track(s), e.g. ${invalid[0].file} #${invalid[0].index}: ${invalid[0].error}`);
+    }
+
+    const tracks = this.db.allTracks();
+    const previous = this.current;
+    this.current = Object.freeze({
+      version,
+      source: sources.length === 1 ? sources[0] : null,
+      file: sources.map((p) => path.basename(p)).join(" + "),
+      sources: sources.map((p) => ({ name: catalogName(p), file: path.basename(p) })),
+      energyScales,
+      loadedAt: new Date().toISOString(),
+      count: tracks.length,
+      invalid: invalid.length,
+      tracks,
+    });
+    if (previous?.version !== version) this.emit("change", this.current);
+    return this.current;
+  }
+
+  /** Like load(), but never throws: on failure keeps the previous snapshot and emits "reloadFailed" */
+  reload() {
+    try {
+      return this.load();
+    } catch (e) {
+      console.error(`[catalog] reload failed, keeping version ${this.current?.version ?? "none"}:`, e.message);
+      this.emit("reloadFailed", e);
+      return this.current;
+    }
+  }
+
+  /** The active snapshot (loads on first use) */
+  snapshot() {
+    if (!this.current) this.reload();
+    return this.current ?? Object.freeze({ version: null, source: null, file: null, sources: [], energyScales: [], loadedAt: null, count: 0, invalid: 0, tracks: [] });
+  }
+
+  info() {
+    const { tracks, ...info } = this.snapshot();
+    return { ...info, dbPath: this.dbPath, watching: this.watching };
+  }
+
+  /** Indexed query against the active snapshot (see CatalogDb.query) */
+  query(opts) {
+    this.snapshot();
+    return this.db ? this.db.query(opts) : { total: 0, tracks: [] };
+  }
+
+  /** Ids of the tracks matching the same filters, without loading them (see CatalogDb.ids) */
+  ids(opts) {
+    this.snapshot();
+    return this.db ? this.db.ids(opts) : [];
+  }
+
+  /** Orchestra / decade / key counts for the same filters (see CatalogDb.facets) */
+  facets(opts) {
+    this.snapshot();
+    return this.db ? this.db.facets(opts) : { orchestras: [], decades: [], keys: [] };
+  }
+
+  /** Track for a stable id or any legacy id (base64url path, raw/root-relative path); null if unknown */
+  resolveId(id) {
+    const snap = this.snapshot();
+    if (this.idIndex?.version !== snap.version) this.idIndex = { version: snap.version, ...buildIdIndex(snap.tracks) };
+    return this.idIndex.resolve(id);
+  }
+
+  /** Stable id for any id form; ids outside the catalog (e.g. CORTINAS_DIR files) come back unchanged */
+  canonicalId(id) {
+    return this.resolveId(id)?.id ?? id;
+  }
+
+  /** Catalog files available for switching (catalog-<Name>.json in CATALOGS_DIR) */
+  list() {
+    const active = new Set(this.sources);
+    let files = [];
+    try {
+      files = fs.readdirSync(CATALOGS_DIR).filter((f) => CATALOG_FILE_RE.test(f));
+    } catch (e) {
+      console.error(`[catalog] cannot list ${CATALOGS_DIR}:`, e.message);
+    }
+    // The env-configured catalog may live elsewhere or be named differently
+    for (const p of this.sources) if (!files.includes(path.basename(p)) && path.dirname(p) === CATALOGS_DIR) files.push(path.basename(p));
+    return files.sort().map((f) => {
+      const abs = path.join(CATALOGS_DIR, f);
+      const st = fs.statSync(abs);
+      return { name: catalogName(f), file: f, sizeBytes: st.size, modifiedAt: st.mtime.toISOString(), active: active.has(abs) };
+    });
+  }
+
+  /**
+   * Switch the active catalog at runtime. `names` are catalog names or file
+   * names from list(); more than one builds a merged virtual catalog.
+   * On failure the previous catalog stays active and the error is thrown.
+   */
+  activate(names) {
+    const wanted = (Array.isArray(names) ? names : [names]).map((n) => String(n || "").trim()).filter(Boolean);
+    if (!wanted.length) throw new Error("No catalog name given");
+    const available = this.list();
+    const sources = wanted.map((n) => {
+      const hit = available.find((c) => c.name.toLowerCase() === n.toLowerCase() || c.file === n);
+      if (!hit) throw new Error(`Unknown catalog "${n}" (available: ${available.map((c) => c.name).join(", ")})`);
+      return path.join(CATALOGS_DIR, hit.file);
+    });
+
+    const previous = this.sources;
+    this.sources = [...new Set(sources)];
+    try {
+      this.load();
+    } catch (e) {
+      this.sources = previous;
+      this.reload();
+      throw e;
+    }
+    if (this.watching) {
+      this.unwatch();
+      this.watch();
+    }
+    return this.info();
+  }
+
+  /**
+   * Hot reload. Watches the directories rather than the files: writers that
+   * replace a file via rename (scan-library.js) would orphan a file watch.
+   */
+  watch() {
+    if (this.watching) return;
+    this.watching = true;
+    const byDir = new Map();
+    for (const p of [...this.sources, ALIASES_PATH, OVERLAY_PATH, RECORDING_YEARS_PATH, GENRES_PATH]) {
+      const dir = path.dirname(p);
+      if (!byDir.has(dir)) byDir.set(dir, new Set());
+      byDir.get(dir).add(path.basename(p));
+    }
+    for (const [dir, bases] of byDir) {
+      try {
+        this.watchers.push(fs.watch(dir, { persistent: false }, (_event, filename) => {
+          if (filename && !bases.has(filename)) return;
+          clearTimeout(this.reloadTimer);
+          this.reloadTimer = setTimeout(() => {
+            if (this.sources.every((p) => fs.existsSync(p))) this.reload();
+          }, 300); // writers emit several events per save
+        }));
+      } catch (e) {
+        console.error(`[catalog] cannot watch ${dir}:`, e.message);
+      }
+    }
+  }
+
+  unwatch() {
+    for (const w of this.watchers) w.close();
+    this.watchers = [];
+    this.watching = false;
+    clearTimeout(this.reloadTimer);
+  }
+}
+
+export const catalog = new CatalogService();
@@ -1,7 +1,7 @@
 // agent/dj-lib.js (ESM)
 //
 // Minimal DJ utilities + an in-memory library model that match generate.js.
-// You can replace the in-memory LIBRARY with a DB/JSON loader later.
+// LIBRARY follows the shared catalog service (catalog.js).
 
 // ------------------------------------------------------------
 // In-memory library (you can replace this with your datastore)
@@ -10,7 +10,7 @@
 /**
  * Track shape (example)
  * {
- *   id?: string,                          // stable ID (optional if file.absolutePath is stable)
+ *   id?: string,                          // stable ID ("trk_…", assigned by catalog.js / track-id.js)
  *   title: string,
  *   artist?: string | null,
  *   album?: string | null,
@@ -20,7 +20,7 @@
  *   key?: string,                         // e.g., "G"
  *   camelotKey?: string,                  // e.g., "9B"
  *   BPM?: number,                         // BPM if you have it
- *   Energy?: number,                      // 0..10 scale (or whatever you prefer)
+ *   Energy?: number,                      // 0..10 scale (energy.js)
  *   audio?: { duration?: number },        // seconds (preferred) or
  *   duration?: number,                    // seconds
  *   durationMs?: number,                  // milliseconds
@@ -28,27 +28,42 @@
  * }
  */
 import path from "node:path";
+import { matchesStyle, coreStyleOf, genreLabel } from "./genres.js";
+import { b64u } from "./library-config.js"; // id = base64url(absolutePath)
 // Exported as a mutable array so you can replace its contents at runtime.
 export let LIBRARY = [];
 
-/** Replace the in-memory library with your own array of tracks (same shape). */
+/** Replace the in-memory library with a copy of your array of tracks (same shape). */
 export function setLibrary(tracksArray) {
   if (!Array.isArray(tracksArray)) throw new Error("setLibrary expects an array");
-  LIBRARY = tracksArray;
+  LIBRARY = tracksArray.slice(); // never the catalog snapshot's own array
 }
 
-/** Append tracks to the current in-memory library. */
+/** Append tracks to the current in-memory library (the catalog snapshot is not touched). */
 export function addToLibrary(tracksArray) {
   if (!Array.isArray(tracksArray)) throw new Error("addToLibrary expects an array");
   LIBRARY.push(...tracksArray);
 }
-// create library by reading in ./tracks.enriched.json 
-import fs from "fs";
-//const data = fs.readFileSync("./tracks.enriched.json", "utf-8");
+// LIBRARY mirrors the shared catalog snapshot (catalog.js), including hot reloads
+import { catalog } from "./catalog.js";
 
-const data = fs.readFileSync("./catalog-Art.json", "utf-8");
-const json = JSON.parse(data);
-setLibrary(json.tracks);
+setLibrary(catalog.snapshot().tracks);
+catalog.on("change", (snap) => setLibrary(snap.tracks));
+
+/** Stable id (track-id.js) for any id a client may send: stable, base64url path or raw path */
+export function canonicalTrackId(id) {
+  return catalog.canonicalId(id);
+}
+
+/** Library track for any id form (as indexed, before request overrides); null if unknown */
+export function libraryTrack(id) {
+  return catalog.resolveId(id);
+}
+
+/** Ids of the library tracks of a style or any of its sub-genres, from the catalog index */
+export function styleTrackIds(style) {
+  return catalog.ids({ styles: [style] });
+}
 console.log(`Loaded ${LIBRARY.length} tracks into the in-memory library.`);
 // ------------------------------------------------------------
 // Cortinas
@@ -88,24 +103,6 @@ function stripExt(p) {
 
 
 
-// Minimal base64url helper (id = base64url(absolutePath))
-const b64u = {
-  enc: (s) => Buffer.from(String(s)).toString("base64url"),
-  dec: (s) => Buffer.from(String(s), "base64url").toString(),
-};
-
-function canonStyles(arrOrStr) {
-  if (!arrOrStr) return [];
-  const src = Array.isArray(arrOrStr) ? arrOrStr : [arrOrStr];
-  const out = new Set();
-  for (const s of src) {
-    const v = String(s || "").trim().toLowerCase();
-    if (v === "tango") out.add("Tango");
-    else if (v === "vals" || v === "valse" || v === "waltz") out.add("Vals");
-    else if (v === "milonga") out.add("Milonga");
-  }
-  return [...out];
-}
 
 // Canonicalize to a single absolute path string (no variants)
 function canonicalAbs(item) {
@@ -160,37 +157,11 @@ export function extractCatalogPathsAndStyles({ tracks }) {
   return { ids, idsNoExt, overrides };
 }
 
-/**
- * Merge catalog-provided overrides into a library track.
- * We do not mutate the original track; we return a new object.
- */
-export function mergeSlotsAndTagsIntoTrack(track, override) {
-  if (!override) return track;
-
-  const mergedTags = { ...(track.tags ?? {}), ...(override.tags ?? {}) };
+// Lives in track-overlay.js (catalog.js merges overlay edits with it); re-exported for the planner routes
+export { mergeSlotsAndTagsIntoTrack } from "./track-overlay.js";
 
-  // sync genre to both top-level and tags.genre (array or string tolerated)
-  const mergedGenre = override.genre ?? track.genre ?? mergedTags?.genre;
-  if (mergedGenre) {
-    mergedTags.genre = mergedGenre;
-  }
-
-  // adopt schedule “slots” and artUrl if provided
-  const merged = {
-    ...track,
-    tags: mergedTags,
-    styles: { ...(track.styles ?? {}), ...(override.styles ?? {}) },
-    genre: mergedGenre,
-    artUrl: override.tags?.artUrl ?? override.artUrl ?? track.artUrl ?? null,
-    // normalize a usable year on top-level to simplify scorers:
-    year: mergedTags.year ?? track.year ?? null,
-    // carry optional catalog slot signals:
-    slot: override.slot ?? track.slot ?? null,
-    role: override.role ?? track.role ?? null,
-  };
-
-  return merged;
-}
+/** Tracks marked "exclude from planning" (track overlay) never enter a candidate pool */
+export const isPlannable = (t) => !t?.excludeFromPlanning;
 
 
 // ------------------------------------------------------------
@@ -226,25 +197,22 @@ function getTrackSeconds(t) {
 
 /**
  * Very simple deterministic planner used as a fallback when the agent fails.
- * - Partitions by genre (Tango/ Vals/ Milonga)
+ * - Partitions by style (Tango/ Vals/ Milonga, or any sub-genre of genres.js)
  * - Greedily fills pattern with requested sizes until time budget is exhausted
  */
 export function makePlan(merged, pattern, minutes, sizes, cortinas) {
-  const genreOf = (t) => (t?.tags?.genre ?? t?.genre ?? "")
-  
-  const byGenre = {
-    Tango:   merged.filter((t) => genreOf(t) === "Tango"),
-    Vals:    merged.filter((t) => genreOf(t) === "Vals"),
-    Milonga: merged.filter((t) => genreOf(t) === "Milonga"),
-  };
-
-  const picks = { Tango: 0, Vals: 0, Milonga: 0 };
+  // Pool per pattern entry (genres.js: "Milonga" includes candombes, "Candombe" only those)
+  const byGenre = {};
+  const poolOf = (style) => (byGenre[style] ??= merged.filter((t) => matchesStyle(t, style)));
+
+  const picks = {};
   const tandas = [];
   let timeLeft = Math.max(60, Math.floor(minutes) * 60);
 
   for (const style of pattern) {
-    const size = Math.max(2, Number(sizes?.[style] ?? 3));
-    const pool = byGenre[style] ?? [];
+    const size = Math.max(2, Number(sizes?.[style] ?? sizes?.[genreLabel(coreStyleOf(style))] ?? 3));
+    const pool = poolOf(style);
+    picks[style] ??= 0;
     const chosen = [];
 
     while (chosen.length < size && picks[style] < pool.length) {
@@ -0,0 +1,87 @@
+// energy.js (ESM)
+//
+// One energy scale for the whole app. After ingest (catalog.js) every track has
+//   tags.Energy      0–10: 0 = calm/quiet, 10 = most driving. A typical dance
+//                    track sits around ENERGY_MID (7), where the shortlists aim.
+//   tags.loudnessDb  the raw loudness (dBFS, e.g. -17.0) when the source stored
+//                    loudness in Energy instead of an energy rating
+//
+// Sources write Energy on different scales, so each catalog file is detected
+// as a whole (a single 0.8 could be 0–1 or 0–10):
+//   loudness  negative values, dB           -> (dB + 30) / 2, clamped (-30 dB = 0, -10 dB = 10)
+//   unit      all values within 0–1         -> x 10
+//   ten       all values within 0–10        -> as is (tracks.enriched.json)
+//   percent   all values within 0–100       -> / 10
+// Negative values are always loudness, even in a file that is otherwise "ten"
+// (merge-catalog.js can leave such mixes behind).
+
+export const ENERGY_MAX = 10;
+export const ENERGY_MID = 7;
+
+// dB -> energy: the catalog's loudness spans about -26 to -14 dB, most tracks -18 to -16
+const LOUDNESS_FLOOR_DB = -30;
+const LOUDNESS_DB_PER_POINT = 2;
+
+const num = (v) => {
+  const n = typeof v === "number" ? v : Number.parseFloat(v);
+  return Number.isFinite(n) ? n : null;
+};
+const round1 = (v) => Math.round(v * 10) / 10;
+const clamp = (v) => Math.min(ENERGY_MAX, Math.max(0, v));
+
+export const isLoudnessDb = (v) => num(v) != null && num(v) < 0;
+
+/** Loudness in dB -> 0–10 energy */
+export function loudnessToEnergy(db) {
+  const v = num(db);
+  return v == null ? null : round1(clamp((v - LOUDNESS_FLOOR_DB) / LOUDNESS_DB_PER_POINT));
+}
+
+/** Scale of one source's raw Energy values: "loudness" | "unit" | "ten" | "percent" | "none" | "unknown", "+"-joined when mixed */
+export function detectEnergyScale(values) {
+  const nums = values.map(num).filter((v) => v != null);
+  if (!nums.length) return "none";
+  const loud = nums.some((v) => v < 0);
+  const rest = nums.filter((v) => v >= 0);
+  const max = rest.length ? Math.max(...rest) : null;
+  const scale = max == null ? null : max <= 1 ? "unit" : max <= 10 ? "ten" : max <= 100 ? "percent" : "unknown";
+  return [loud && "loudness", scale].filter(Boolean).join("+");
+}
+
+function fromScale(v, scale) {
+  if (v < 0) return loudnessToEnergy(v);
+  if (scale.endsWith("unit")) return round1(clamp(v * 10));
+  if (scale.endsWith("percent")) return round1(clamp(v / 10));
+  if (scale.endsWith("ten")) return round1(v);
+  return null; // unknown scale: better no energy than a wrong one
+}
+
+/**
+ * Ingest step for one source's tracks: detect its scale and rewrite tags.Energy
+ * on 0–10, moving loudness to tags.loudnessDb. Returns { tracks, scale }.
+ */
+export function normalizeEnergy(tracks) {
+  const scale = detectEnergyScale(tracks.map((t) => t?.tags?.Energy));
+  if (scale === "none" || scale === "ten") return { tracks, scale };
+  const out = tracks.map((t) => {
+    const raw = num(t?.tags?.Energy);
+    if (raw == null) return t;
+    const tags = { ...t.tags, Energy: fromScale(raw, scale) };
+    if (raw < 0) tags.loudnessDb = t.tags.loudnessDb ?? round1(raw);
+    return { ...t, tags };
+  });
+  return { tracks: out, scale };
+}
+
+/**
+ * 0–10 energy of a catalog track, compact row or agent candidate (Energy / energy /
+ * audio.energy / tags.Energy); a stray dB value is converted, not trusted.
+ */
+export function energyOf(t) {
+  for (const v of [t?.Energy, t?.energy, t?.audio?.energy, t?.tags?.Energy]) {
+    const n = num(v);
+    if (n == null) continue;
+    return n < 0 ? loudnessToEnergy(n) : clamp(n);
+  }
+  return null;
+}
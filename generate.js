@@ -5,20 +5,46 @@
 import dotenv from "dotenv";
 dotenv.config();
 
-import { Agent, run, system } from "@openai/agents";
+import { Agent, system } from "@openai/agents";
 import { setDefaultOpenAIKey } from "@openai/agents-openai";
 import { z } from "zod";
 // NOTE: generate.js is already inside /agent, so import sibling:
 import { orchestraAgent } from "./agent/orchestraAgent.js";
 import crypto from "node:crypto";
 import { scoreTrackByRole, inferRoleByPosition } from "./agent/scoring.js";
+import { modelFor, describeModel } from "./agent/providers.js";
+import { runAgent, cassetteRandom } from "./agent/cassette.js";
 
 // Your shared library helpers/singleton
 import {
   LIBRARY,
   extractCatalogPathsAndStyles,
   mergeSlotsAndTagsIntoTrack,
+  canonicalTrackId,
+  isPlannable,
+  styleTrackIds,
+  libraryTrack,
 } from "./dj-lib.js";
+import { canonicalOrchestra, parseArtist, trackOrchestra } from "./orchestra.js";
+import { energyOf, ENERGY_MID } from "./energy.js";
+import { bpmOf } from "./bpm.js";
+import { effectiveYear, clampYear, TRUST_YEAR_CUTOFF } from "./recording-years.js";
+import { keyToCamelot, camelotDistance, camelotNeighbors, keyCompatibility, keyName } from "./key.js";
+import {
+  canonStyles,
+  trackGenres,
+  trackGenreKeys,
+  matchesStyle,
+  sameStyle,
+  styleKey,
+  genreLineage,
+  coreStyleOf,
+  genreLabel,
+  cortinaGenres,
+} from "./genres.js";
+import { findOrchestra, orchestraEntry, describeOrchestra } from "./orchestra-registry.js";
+import { buildOrchestraProfiles, median } from "./orchestra-profiles.js";
+import { b64u } from "./library-config.js"; // base64url path ids (trackToCompactPlayable)
 
 // -------------------- OpenAI key for Agents SDK --------------------
 setDefaultOpenAIKey(process.env.OPENAI_API_KEY);
@@ -57,7 +83,7 @@ const playlistReviewAgent = new Agent({
     "Consider both traditional milonga expectations and modern DJ techniques.",
   ].join(" "),
   outputType: PlaylistReview,
-  model: "gpt-4o",
+  model: modelFor("PlaylistReviewer"),
 });
 
 const nextTandaAgent = new Agent({
@@ -74,7 +100,7 @@ const nextTandaAgent = new Agent({
     "Return ONLY JSON that matches the output schema.",
   ].join(" "),
   outputType: NextTanda,
-  model: "gpt-4o",
+  model: modelFor("NextTandaPlanner"),
   modelSettings: { temperature: 0.7 },
 });
 
@@ -103,7 +129,7 @@ const replaceAgent = new Agent({
     "Return only JSON matching the output schema.",
   ].join(" "),
   outputType: ReplacementResult,
-  model: "gpt-4o",
+  model: modelFor("TrackReplaceAgent"),
 });
 
 // Replacement options schema used for ranked list
@@ -117,12 +143,51 @@ const ReplacementOptions = z.object({
 // ==================================================================
 //                               HELPERS
 // ==================================================================
+/** Canonical orchestra of a catalog track or candidate row (parsed at ingest, see orchestra.js) */
+function orchestraOf(t) {
+  return trackOrchestra(t) || "Unknown";
+}
+
+/** Singers of a catalog track or candidate row ([] = instrumental) */
+function singersOf(t) {
+  if (Array.isArray(t?.singers)) return t.singers;
+  return parseArtist(t?.tags?.artist ?? t?.artist ?? t?.metadata?.artist).singers;
+}
+
+/** One key per vocal line-up: "" (instrumental), "Raúl Berón", "Alberto Morán & Juan Carlos Cobos" */
+function singerKeyOf(t) {
+  return [...singersOf(t)].sort().join(" & ");
+}
+
+// Singer consistency per schedule: "strict" (one line-up per tanda), "prefer" (soft), "off"
+const SINGER_MODES = new Set(["strict", "prefer", "off"]);
+
+function normalizeSingerMode(v) {
+  const m = String(v ?? "").trim().toLowerCase();
+  return SINGER_MODES.has(m) ? m : "off";
+}
+
+/** Rows grouped by vocal line-up, largest group first: [[key, rows], ...] */
+function groupBySinger(rows) {
+  const groups = new Map();
+  for (const r of rows) {
+    const k = singerKeyOf(r);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(r);
+  }
+  return [...groups.entries()].sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]));
+}
+
+const singerLabel = (key) => key || "instrumental";
+
 function trackToCompactPlayable(t) {
   const abs = getAbsolutePath(t?.file);
   return {
-    id: abs ? b64u.enc(abs) : (getId(t) || null),         // streamable id
+    id: t?.id ?? (abs ? b64u.enc(abs) : (getId(t) || null)), // stable id; /stream accepts it
     title: t?.tags?.title ?? t?.title ?? (abs ? abs.split(/[\\/]/).pop() : "Unknown"),
     artist: t?.tags?.artist ?? t?.artist ?? t?.metadata?.artist ?? null,
+    orchestra: orchestraOf(t),
+    singers: singersOf(t),
     album: t?.tags?.album ?? t?.album ?? null,
     BPM: bpmOf(t),
     Energy: energyOf(t),
@@ -176,18 +241,6 @@ function interleaveWithCortinas(tandasResolved, cortinas) {
 
   return { sequence: seq, totalMinutes: minutes };
 }
-function bpmOf(t) {
-  const cands = [t?.BPM, t?.bpm, t?.audio?.bpm, t?.tags?.BPM, t?.tags?.tempoBPM, t?.tempoBPM];
-  for (const v of cands) {
-    const n = Number.parseFloat(v);
-    if (Number.isFinite(n)) return Math.round(n * 10) / 10;
-  }
-  return null;
-}
-
-function energyOf(t) {
-  return t?.tags?.Energy ?? t?.Energy ?? t?.audio?.energy ?? null;
-}
 
 function toSeconds(v) {
   if (v == null) return 0;
@@ -225,12 +278,6 @@ function getId(t) {
   return t?.id ?? t?.file?.id ?? getAbsolutePath(t?.file) ?? t?.path ?? t?.uri ?? null;
 }
 
-function getGenre(t) {
-  const g = t?.tags?.genre ?? t?.genre ?? "";
-  if (Array.isArray(g)) return (g[0] ?? "").trim();
-  return String(g).trim();
-}
-
 function fmtClock(totalSec) {
   const s = Math.max(0, Math.round(totalSec));
   const h = Math.floor(s / 3600);
@@ -245,26 +292,31 @@ function pickTrackFields(t) {
   const artist = t?.artist ?? t?.tags?.artist ?? t?.metadata?.artist ?? null;
   const genre = t?.tags?.genre ?? t?.genre ?? null;
   const BPM = bpmOf(t);
-  const energy = t?.Energy ?? t?.energy ?? t?.audio?.energy ?? t?.tags?.Energy ?? null;
+  const energy = energyOf(t);
   const seconds = durationSec(t);
-  const key = t?.camelotKey ?? t?.Key ?? t?.key ?? t?.tags?.camelotKey ?? null;
+  const key = keyToCamelot(t) ?? t?.Key ?? t?.key ?? t?.tags?.Key ?? null;
   const album = t?.album ?? t?.tags?.album ?? null;
   const artUrl = t.artUrl;
-  const year = t.year;
-  return { id, title, artist, genre, BPM, energy, seconds, key, album, artUrl, year};
+  const year = effectiveYear(t) ?? t.year;
+  const orchestra = orchestraOf(t);
+  const singers = singersOf(t);
+  return { id, title, artist, orchestra, singers, genre, BPM, energy, seconds, key, album, artUrl, year};
 }
 function pickTrackFieldsForClient(t) {
   return {
     id: getId(t),
     title: t?.title ?? t?.tags?.title ?? t?.metadata?.title ?? "Unknown",
     artist: (t?.artist ?? t?.tags?.artist ?? t?.metadata?.artist ?? "Unknown").trim(),
+    orchestra: orchestraOf(t),
+    singers: singersOf(t),
     seconds: durationSec(t),
     BPM: bpmOf(t),
     Energy: energyOf(t),
     Key: t?.Key ?? t?.key ?? t?.tags?.Key ?? null,
     camelotKey: keyToCamelot(t),
     artUrl: t?.artUrl ?? t?.tags?.coverUrl ?? null, // normalized by toCompactTrack
-    year: t?.tags?.year
+    year: t?.tags?.year,
+    recordedYear: t?.recordedYear ?? null,
   };
 }
 
@@ -312,147 +364,65 @@ function buildDisplayTimeline(resolvedTandas) {
   return timeline;
 }
 
-function median(arr) {
-  if (!arr.length) return null;
-  const s = [...arr].sort((a, b) => a - b);
-  const m = Math.floor(s.length / 2);
-  return s.length % 2 ? s[m] : Math.round((s[m - 1] + s[m]) / 2);
-}
-
-// Key helpers (Camelot mapping)
-const CAMELOT_ORDER = [
-  "1A",
-  "2A",
-  "3A",
-  "4A",
-  "5A",
-  "6A",
-  "7A",
-  "8A",
-  "9A",
-  "10A",
-  "11A",
-  "12A",
-  "1B",
-  "2B",
-  "3B",
-  "4B",
-  "5B",
-  "6B",
-  "7B",
-  "8B",
-  "9B",
-  "10B",
-  "11B",
-  "12B",
-];
-const KEY_TO_CAMELOT = {
-  // minor (A)
-  Am: "8A",
-  Em: "9A",
-  Bm: "10A",
-  "F#m": "11A",
-  "C#m": "12A",
-  "G#m": "1A",
-  "D#m": "2A",
-  "A#m": "3A",
-  Dm: "7A",
-  Gm: "6A",
-  Cm: "5A",
-  Fm: "4A",
-  Bbm: "3A",
-  Ebm: "2A",
-  Abm: "1A",
-  // major (B)
-  C: "8B",
-  G: "9B",
-  D: "10B",
-  A: "11B",
-  E: "12B",
-  B: "1B",
-  "F#": "2B",
-  "C#": "3B",
-  F: "7B",
-  Bb: "6B",
-  Eb: "5B",
-  Ab: "4B",
-  Db: "3B",
-  Gb: "2B",
-  Cb: "1B",
+// ---------- Role rules + era helpers (shared by every planning engine) ----------
+// You can tune these ranges over time:
+const ROLE_RULES = {
+  classic: { minYear: 1930, maxYear: 1945, preferAlt: false, allowNuevo: false },
+  rich:    { minYear: 1946, maxYear: 1958, preferAlt: false, allowNuevo: true  },
+  modern:  { minYear: 1990, maxYear: 2100, preferAlt: false, allowNuevo: true  },
+  alt:     { minYear: 1995, maxYear: 2100, preferAlt: true,  allowNuevo: true  },
 };
 
-function keyToCamelot(track) {
-  const cam = track?.camelotKey || track?.Camelot || track?.camelot || track?.tags?.camelotKey || null;
-  if (cam && CAMELOT_ORDER.includes(cam)) return cam;
-  const k = track?.Key || track?.key || track?.tags?.Key || null;
-  if (k && KEY_TO_CAMELOT[k]) return KEY_TO_CAMELOT[k];
-  return null;
+function readGenres(t) {
+  const g = Array.isArray(t?.tags?.genre) ? t.tags.genre : (t?.tags?.genre ? [t.tags.genre] : []);
+  return g.map((s) => String(s || "").toLowerCase());
 }
 
-function camelotDistance(k1, k2) {
-  if (!k1 || !k2) return 99;
-  const i = CAMELOT_ORDER.indexOf(k1);
-  const j = CAMELOT_ORDER.indexOf(k2);
-  if (i < 0 || j < 0) return 99;
-  const diff = Math.abs(i - j);
-  return Math.min(diff, 24 - diff);
-}
+// Soft scoring boost for role (used to sort candidates)
+function roleScoreBoost(t, role) {
+  if (!role || !ROLE_RULES[role]) return 0;
+  const { minYear, maxYear, preferAlt } = ROLE_RULES[role];
 
-// Build compact per-orchestra profiles
-function buildOrchestraProfiles(tracks) {
-  const byArtist = new Map();
-  for (const t of tracks) {
-    const artist = (t?.artist ?? t?.tags?.artist ?? t?.metadata?.artist ?? "Unknown").trim();
-    if (!byArtist.has(artist)) byArtist.set(artist, []);
-    byArtist.get(artist).push(t);
+  const y = effectiveYear(t);                 // ← use robust year
+  let s = 0;
+
+  if (y == null) {
+    // Unknown year gets small grace so it’s not penalized out
+    s += 0.25;
+  } else {
+    const mid = (minYear + maxYear) / 2;
+    const d = Math.abs((y - mid) / (maxYear - minYear || 1));
+    s += Math.max(0, 1.2 - d * 2.0); // [~1.2 .. 0]
   }
-  const profiles = [];
-  for (const [artist, arr] of byArtist.entries()) {
-    const styles = new Set(arr.map(getGenre).filter(Boolean));
-    const era = new Set(arr.map((x) => (x?.tags?.era ?? x?.era ?? null)).filter(Boolean));
-    const bpms = arr
-      .map((x) => x?.BPM ?? x?.bpm ?? x?.audio?.bpm ?? x?.tags?.BPM)
-      .filter((v) => typeof v === "number" && isFinite(v));
-    const energies = arr
-      .map((x) => x?.Energy ?? x?.energy ?? x?.audio?.energy ?? x?.tags?.Energy)
-      .filter((v) => typeof v === "number" && isFinite(v));
-    const cams = arr.map(keyToCamelot).filter(Boolean);
-    const secs = arr.map(durationSec).filter((v) => v > 0);
-    const ids = arr.map(getId).filter(Boolean).slice(0, 30);
-
-    const freq = {};
-    for (const c of cams) freq[c] = (freq[c] || 0) + 1;
-    const commonCamelot = Object.entries(freq)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 3)
-      .map(([k]) => k);
-
-    profiles.push({
-      orchestra: artist,
-      styles: Array.from(styles),
-      eras: Array.from(era),
-      bpmMedian: bpms.length ? Math.round(median(bpms)) : null,
-      energyMedian: energies.length ? Math.round(median(energies) * 10) / 10 : null,
-      commonCamelot,
-      avgSeconds: secs.length ? Math.round(secs.reduce((s, x) => s + x, 0) / secs.length) : null,
-      sampleIds: ids,
-    });
+
+  if (preferAlt) {
+    const hay = [...readGenres(t), ...(Array.isArray(t?.styles) ? t.styles : [])]
+      .map(String).join(" ").toLowerCase();
+    if (/alt|alternative|nuevo|neo|electro|pop|rock|jazz|swing|blues|folk/.test(hay)) s += 0.7;
+  }
+
+  // If the raw year is modern but we suspected remaster (effectiveYear returned null),
+  // give a tiny penalty for classic/rich so real Golden Age with correct years wins.
+  if ((role === "classic" || role === "rich")) {
+    const rawY = clampYear(t?.tags?.year ?? t?.year ?? t?.metadata?.year ?? null);
+    if (rawY != null && rawY >= TRUST_YEAR_CUTOFF && y == null) s -= 0.2;
   }
-  return profiles;
+
+  return s;
 }
 
-// Get compatible styles for broadening search when replacement fails
+// Get compatible styles for broadening search when replacement fails:
+// a sub-genre widens to its parents first ("candombe" -> milonga), then by core style
 function getCompatibleStyles(mainStyle) {
   const styleMap = {
     'tango': ['tango', 'vals', 'milonga'],
     'vals': ['vals', 'tango'],
     'milonga': ['milonga', 'tango'],
-    'waltz': ['vals', 'tango'],
-    'valz': ['vals', 'tango']
   };
   
-  const normalized = mainStyle.toLowerCase();
-  return styleMap[normalized] || [normalized];
+  const lineage = genreLineage(mainStyle);
+  if (!lineage.length) return [mainStyle.toLowerCase()];
+  return [...new Set([...lineage, ...(styleMap[coreStyleOf(mainStyle)] ?? [])])];
 }
 
 // ---------- Normalization helpers (ID/path) ----------
@@ -467,10 +437,11 @@ const norm = (s) => {
 const stripExt = (p) => p.replace(/\.[a-z0-9]+$/i, "");
 const matchKey = (s) => stripExt(norm(s));
 
-// ensure we always have a Set<string> (normalized keys)
+// ensure we always have a Set<string> (normalized keys); legacy path ids map to stable ids first
 function toSet(maybeSetOrArray) {
-  if (maybeSetOrArray instanceof Set) return new Set(Array.from(maybeSetOrArray).map(matchKey));
-  if (Array.isArray(maybeSetOrArray)) return new Set(maybeSetOrArray.map(matchKey));
+  const key = (id) => matchKey(canonicalTrackId(id));
+  if (maybeSetOrArray instanceof Set) return new Set(Array.from(maybeSetOrArray).map(key));
+  if (Array.isArray(maybeSetOrArray)) return new Set(maybeSetOrArray.map(key));
   return new Set();
 }
 
@@ -518,10 +489,7 @@ function shortlistCandidates(style, library, usedIds, maxN = 80) {
   const want = String(style || "").trim().toLowerCase();
 
   const pool = library
-    .filter((t) => {
-      const g = Array.isArray(t?.tags?.genre) ? t.tags.genre : t?.tags?.genre ? [t.tags.genre] : [];
-      return g.map((x) => String(x).toLowerCase()).includes(want);
-    })
+    .filter((t) => matchesStyle(t, want))
     .map((t) => {
       const id = getId(t);
       return {
@@ -529,13 +497,14 @@ function shortlistCandidates(style, library, usedIds, maxN = 80) {
         id,
         key: matchKey(id),
         sec: durationSec(t),
-        energy: t?.Energy ?? t?.energy ?? t?.audio?.energy ?? t?.tags?.Energy ?? null,
+        energy: energyOf(t),
       };
     })
     .filter((x) => x.id && !usedNorm.has(x.key) && x.sec >= 60 && x.sec <= 480)
   ;
+  // bias toward mid energy (0–10 scale, energy.js)
   pool.sort(
-    (a, b) => Math.abs((a.energy ?? 7) - 7) - Math.abs((b.energy ?? 7) - 7)
+    (a, b) => Math.abs((a.energy ?? ENERGY_MID) - ENERGY_MID) - Math.abs((b.energy ?? ENERGY_MID) - ENERGY_MID)
   );
 
   const chosen = pool.slice(0, maxN).map((x) => x.t);
@@ -543,9 +512,11 @@ function shortlistCandidates(style, library, usedIds, maxN = 80) {
     id: getId(t),
     title: t.title ?? t?.tags?.title ?? t?.metadata?.title ?? "Unknown",
     artist: (t?.artist ?? t?.tags?.artist ?? t?.metadata?.artist ?? "Unknown").trim(),
+    orchestra: orchestraOf(t),
+    singers: singersOf(t),
     seconds: durationSec(t) || null,
-    bpm: t?.BPM ?? t?.bpm ?? t?.audio?.bpm ?? t?.tags?.BPM ?? t?.tags?.tempoBPM ?? null,
-    energy: t?.Energy ?? t?.energy ?? t?.audio?.energy ?? t?.tags?.Energy ?? null,
+    bpm: bpmOf(t),
+    energy: energyOf(t),
     camelotKey: keyToCamelot(t),
   }));
 
@@ -598,6 +569,12 @@ function getAlternativeOrchestras(profiles, excludeOrchestras = []) {
     .map(item => item.orchestra);
 }
 
+// Orchestra names compare by canonical form: "Di Sarli" = "Carlos Di Sarli y su Orquesta Típica"
+function normalizeOrchestra(orch) {
+  if (!orch) return "";
+  return canonicalOrchestra(orch) || "Unknown";
+}
+
 /** Ask the LLM to build one tanda from restricted candidates with retry logic */
 async function planOneTandaWithRetry({
   style,
@@ -611,14 +588,20 @@ async function planOneTandaWithRetry({
   onLLMOutput = null,
   profiles = [], // Orchestra profiles for retry
   maxRetries = 3,
+  engine = "agent", // "agent" (LLM) | "local" (deterministic, offline)
+  role = null,
+  resolveTrack = null, // id -> full library track (local engine reads era/artist from it)
+  singerMode = "off", // "strict" | "prefer" | "off"
 }) {
   const attempts = [];
   let lastResult = null;
+  const planTanda = engine === "local" ? planOneTandaLocal : planOneTanda;
 
   // First attempt with requested orchestra
   try {
-    lastResult = await planOneTanda({
-      style, size, remainingMinutes, usedIds, candidates, allStyleCandidates, orchestra, prevKey, onLLMOutput
+    lastResult = await planTanda({
+      style, size, remainingMinutes, usedIds, candidates, allStyleCandidates, orchestra, prevKey, onLLMOutput,
+      role, resolveTrack, singerMode,
     });
     attempts.push({ orchestra, result: lastResult });
     
@@ -645,9 +628,9 @@ async function planOneTandaWithRetry({
       const altOrchestra = alternativeOrchestras[i];
       
       try {
-        const retryResult = await planOneTanda({
+        const retryResult = await planTanda({
           style, size, remainingMinutes, usedIds, candidates, allStyleCandidates,
-          orchestra: altOrchestra, prevKey, onLLMOutput
+          orchestra: altOrchestra, prevKey, onLLMOutput, role, resolveTrack, singerMode,
         });
         
         attempts.push({ orchestra: altOrchestra, result: retryResult });
@@ -683,9 +666,9 @@ async function planOneTandaWithRetry({
     }
     
     try {
-      const fallbackResult = await planOneTanda({
+      const fallbackResult = await planTanda({
         style, size, remainingMinutes, usedIds, candidates, allStyleCandidates,
-        orchestra: null, prevKey, onLLMOutput
+        orchestra: null, prevKey, onLLMOutput, role, resolveTrack, singerMode,
       });
       
       if (countReal(fallbackResult) > countReal(lastResult)) {
@@ -701,7 +684,20 @@ async function planOneTandaWithRetry({
     }
   }
 
-  return lastResult || { style, trackIds: [], notes: "No tracks found after retries", warnings: ["Empty tanda"] };
+  const result = lastResult || { style, trackIds: [], notes: "No tracks found after retries", warnings: ["Empty tanda"] };
+
+  // The orchestra the tanda really is (an alternative or the unrestricted fallback may have won):
+  // the local engine says so, otherwise it is the one most of its tracks belong to (the requested one on a tie)
+  if (!result.orchestra && resolveTrack) {
+    const counts = new Map();
+    for (const id of result.trackIds) {
+      const tr = id !== "replace" ? resolveTrack(id) : null;
+      if (tr) counts.set(orchestraOf(tr), (counts.get(orchestraOf(tr)) || 0) + 1);
+    }
+    result.orchestra = [...counts]
+      .sort((a, b) => b[1] - a[1] || (b[0] === orchestra) - (a[0] === orchestra))[0]?.[0] ?? null;
+  }
+  return result;
 }
 
 /** Ask the LLM to build one tanda from restricted candidates */
@@ -715,6 +711,7 @@ async function planOneTanda({
   orchestra,
   prevKey,
   onLLMOutput = null, // Optional callback for streaming LLM output
+  singerMode = "off",
 }) {
   const wantStyle = String(style || "").trim();
   const wantSize = Number.isFinite(size) ? size : 4;
@@ -729,14 +726,15 @@ async function planOneTanda({
     `Use ONLY IDs from CANDIDATES.`,
     `Restrict to ORCHESTRA="${orchText}" if specified.`,
     `Do NOT use any ID from USED_IDS.`,
-    `Prefer keys close to previous Camelot key ${prevKey}; avoid large changes.`,
+    prevKey
+      ? `Prefer keys close to previous Camelot key ${prevKey} (compatible: ${camelotNeighbors(prevKey).join("/")}); avoid large changes.`
+      : null,
     `Prefer typical key continuity within the tanda.`,
     `Try to keep total duration within the remaining time (~${remainMin} minutes).`,
     `If candidates are insufficient, return fewer tracks and add a warning.`,
     `JSON only.`,
   ].filter(Boolean);
 
-  const prompt = lines.join("\n");
   const CAND_MAX = 80;
   
   // Filter candidates by orchestra if specified (create a copy to avoid mutating original)
@@ -751,21 +749,6 @@ async function planOneTanda({
   
   if (orchestra && orchestra !== "any orchestra") {
     console.log(`[PLAN ONE TANDA] ✅ Entering orchestra filtering for "${orchestra}"`);
-    const normalizeOrchestra = (orch) => {
-      if (!orch) return "";
-      let normalized = String(orch).trim();
-      
-      // More gentle normalization - only remove common suffixes, preserve main name
-      normalized = normalized
-        .replace(/\s+O\.T\.\s+con\s+.*$/i, '') // Remove "O.T. con ..." part
-        .replace(/\s+y\s+su\s+orquesta\s*.*$/i, '') // Remove "y su orquesta" part
-        .replace(/\s+Y\s+Su\s*.*$/i, '') // Remove "Y Su" part
-        .trim();
-      
-      // Ensure we don't return empty string unless input was empty
-      return normalized || String(orch).trim();
-    };
-    
     const targetNorm = normalizeOrchestra(orchestra);
     
     console.log(`[PLAN ONE TANDA] Looking for normalized orchestra: "${targetNorm}"`);
@@ -787,7 +770,7 @@ async function planOneTanda({
       // Show sample candidate orchestras
       const sampleOrchs = filteredCandidates.slice(0, 5).map(t => {
         const candidateOrch = t.artist || t.orchestra || "";
-        const candNorm = normalizeOrchestra(candidateOrch);
+        const candNorm = normalizeOrchestra(orchestraOf(t));
         return `"${candidateOrch}" -> "${candNorm}"`;
       });
       onLLMOutput(`Sample candidate orchestras: ${sampleOrchs.join(', ')}\n`);
@@ -800,7 +783,7 @@ async function planOneTanda({
     
     filteredCandidates = filteredCandidates.filter(t => {
       const candidateOrch = t?.tags?.artist ?? t?.artist ?? t?.orchestra ?? "";
-      const candNorm = normalizeOrchestra(candidateOrch);
+      const candNorm = normalizeOrchestra(orchestraOf(t));
       const isMatch = candNorm === targetNorm;
       
       // Debug first few matches/mismatches
@@ -840,6 +823,31 @@ async function planOneTanda({
     console.log(`[PLAN ONE TANDA] ⚠️ Orchestra filtering skipped for "${orchestra}"`);
   }
   
+  // Singer consistency: keep (strict) or front-load (prefer) the largest vocal line-up
+  // (strict with no line-up big enough: the largest one first, topped up with the others)
+  let singerKey = null;
+  let singerRule = null;
+  if (singerMode !== "off" && filteredCandidates.length) {
+    const [[key, sameSinger]] = groupBySinger(filteredCandidates);
+    const strict = singerMode === "strict" && sameSinger.length >= wantSize;
+    singerKey = key;
+    filteredCandidates = strict
+      ? sameSinger
+      : [...sameSinger, ...filteredCandidates.filter((t) => singerKeyOf(t) !== key)];
+    singerRule = strict
+      ? `Use ONLY tracks whose singers match SINGER ("instrumental" = no singer).`
+      : singerMode === "strict"
+        ? `Use every track whose singers match SINGER first; only then add tracks of one other line-up.`
+        : `Prefer tracks whose singers match SINGER; avoid mixing singers within the tanda.`;
+    if (onLLMOutput) {
+      onLLMOutput(`🎤 Singer (${singerMode}): ${singerLabel(key)} - ${sameSinger.length} candidates${
+        singerMode === "strict" && !strict ? " (too few for the tanda, topped up with other line-ups)" : ""
+      }\n`);
+    }
+  }
+  if (singerRule) lines.splice(lines.length - 2, 0, singerRule);
+  const prompt = lines.join("\n");
+
   console.log(`[PLAN ONE TANDA] Final candidate count: ${filteredCandidates.length}`);
   const candSlim = filteredCandidates.slice(0, CAND_MAX);
 
@@ -859,8 +867,9 @@ async function planOneTanda({
         { type: "input_text", text: prompt },
         { type: "input_text", text: `USED_IDS:\n${JSON.stringify(Array.from(usedSet))}` },
         { type: "input_text", text: `ORCHESTRA:\n${orchText}` },
+        singerKey != null ? { type: "input_text", text: `SINGER:\n${singerLabel(singerKey)}` } : null,
         { type: "input_text", text: `CANDIDATES:\n${JSON.stringify(candSlim)}` },
-      ],
+      ].filter(Boolean),
     },
   ];
 
@@ -874,7 +883,7 @@ async function planOneTanda({
     onLLMOutput(`\n--- Agent Request ---\n${prompt}\n\n`);
   }
 
-  const result = await run(nextTandaAgent, items, { maxTurns: 1 });
+  const result = await runAgent(nextTandaAgent, items, { maxTurns: 1 });
   const out = result.finalOutput; // zod-validated by NextTanda
 
   // Log the agent response if callback provided
@@ -912,18 +921,284 @@ async function planOneTanda({
     console.log(`[PLAN ONE TANDA] ⚠️ Padded ${need} placeholder track(s) to reach ${wantSize} tracks`);
   }
 
+  if (singerMode !== "off") {
+    const lineUps = new Set(out.tracks.map((id) => candSlim.find((t) => getId(t) === id)).filter(Boolean).map(singerKeyOf));
+    if (lineUps.size > 1) {
+      out.warnings = out.warnings || [];
+      out.warnings.push(`Mixed singers: ${[...lineUps].map(singerLabel).join(" / ")}`);
+    }
+  }
+
   return {
-    style: out.style,
+    style: wantStyle || out.style, // the slot's style; the agent answers with its core style
     trackIds: returnedTracks,
     notes: out.notes ?? null,
     warnings: out.warnings ?? null,
   };
 }
-// -------- base64url helper (needed by trackToCompactPlayable) -------
-const b64u = {
-  enc: (s) => Buffer.from(String(s)).toString("base64url"),
-  dec: (s) => Buffer.from(String(s), "base64url").toString(),
-};
+// ==================================================================
+//                  LOCAL ENGINE (deterministic, offline)
+// ==================================================================
+// Drop-in replacements for suggestNextOrchestras/planOneTanda that never call
+// OpenAI. They return the same shapes (NextOrchestras / planOneTanda result),
+// so the routes emit identical NDJSON events whichever engine ran.
+
+const PLANNING_ENGINES = new Set(["agent", "local"]);
+
+function normalizeEngine(v) {
+  const e = String(v ?? "").trim().toLowerCase();
+  return PLANNING_ENGINES.has(e) ? e : "agent";
+}
+
+// Cost of moving from one Camelot key to another (capped so one bad key can't dominate)
+function keyCost(fromKey, toKey) {
+  if (!fromKey || !toKey) return 0;
+  return 0.7 * Math.min(4, camelotDistance(fromKey, toKey));
+}
+
+/** Orchestras of a playlist for the review prompt, as the orchestra registry describes them */
+function orchestraNotes(tandas) {
+  const names = [...new Set(tandas.filter((t) => t.type !== "cortina" && t.orchestra).map((t) => t.orchestra))];
+  const known = [];
+  const unknown = [];
+  for (const name of names) {
+    const e = findOrchestra(name) ?? orchestraEntry(tandas.find((t) => t.orchestra === name)?.tracks?.[0]);
+    if (e) known.push(`- ${describeOrchestra(e)}`);
+    else unknown.push(name);
+  }
+  if (unknown.length) known.push(`- Not in the registry: ${unknown.join(", ")}`);
+  return known.join("\n") || "- none";
+}
+
+/**
+ * Key moves of a playlist for the review prompt: every move between consecutive
+ * tracks (and across tandas) scoring below 0.6 on key.js's compatibility scale.
+ */
+function keyFlowSummary(tandas) {
+  const label = (k) => `${k} (${keyName(k)})`;
+  const lines = [];
+  let moves = 0;
+  let smooth = 0;
+  let unknown = 0;
+  let prev = null; // { key, title, tanda }
+  tandas.forEach((tanda, i) => {
+    if (tanda.type === "cortina") return;
+    for (const t of tanda.tracks || []) {
+      const key = keyToCamelot(t);
+      if (!key) unknown++;
+      if (key && prev?.key) {
+        moves++;
+        const score = keyCompatibility(prev.key, key);
+        if (score >= 0.6) smooth++;
+        else {
+          const where = prev.tanda === i ? `Tanda ${i + 1}` : `Tanda ${prev.tanda + 1} -> ${i + 1}`;
+          lines.push(`- ${where}: "${prev.title}" ${label(prev.key)} -> "${t.title}" ${label(key)} (${camelotDistance(prev.key, key)} steps)`);
+        }
+      }
+      prev = { key, title: t.title, tanda: i };
+    }
+  });
+  const head = `${moves} key moves, ${smooth} smooth (same, adjacent, relative or one diagonal step)${unknown ? `, ${unknown} without a key` : ""}`;
+  return [head, ...lines].join("\n");
+}
+
+// Distance of a year from a role's window (0 inside, grows by decade outside)
+function eraCost(year, role) {
+  const rules = role ? ROLE_RULES[role] : null;
+  if (!rules || year == null) return 0;
+  if (year < rules.minYear) return Math.min(3, (rules.minYear - year) / 10);
+  if (year > rules.maxYear) return Math.min(3, (year - rules.maxYear) / 10);
+  return 0;
+}
+
+/** Rank orchestras for the next tanda without an LLM (same shape as NextOrchestras) */
+function suggestNextOrchestrasLocal({ style, prevKey, recentOrchestras = [], profiles, K = 7, role = null, onLLMOutput = null }) {
+  const window = recentOrchestras.slice(-2);
+  const last = recentOrchestras[recentOrchestras.length - 1] ?? null;
+
+  const ranked = profiles
+    .filter((p) => p.styles.some((s) => sameStyle(s, style)) && p.orchestra !== "Unknown")
+    .map((p) => {
+      const kCost = prevKey && p.commonCamelot.length
+        ? Math.min(...p.commonCamelot.map((k) => keyCost(prevKey, k)))
+        : 0;
+      const rotation = (window.includes(p.orchestra) ? 6 : 0) + (p.orchestra === last ? 3 : 0);
+      const roleScore = role
+        ? scoreTrackByRole({ orchestra: p.orchestra, tags: { artist: p.orchestra, year: p.yearMedian } }, role, [])
+        : 0;
+      const cost = kCost + rotation + eraCost(p.yearMedian, role) - roleScore / 20;
+      return { p, cost, kCost, roleScore };
+    })
+    .sort((a, b) => a.cost - b.cost || a.p.orchestra.localeCompare(b.p.orchestra))
+    .slice(0, K);
+
+  const suggestions = ranked.map(({ p, kCost, roleScore }) => ({
+    orchestra: p.orchestra,
+    reason: [
+      p.commonCamelot[0] ? `keys ${p.commonCamelot.join("/")} (cost ${kCost.toFixed(1)})` : "no key data",
+      p.yearMedian ? `median year ${p.yearMedian}` : null,
+      p.character,
+      p.bpmMedian ? `~${p.bpmMedian} BPM` : null,
+      role ? `${role} score ${roleScore}` : null,
+    ].filter(Boolean).join(", "),
+  }));
+
+  if (onLLMOutput) {
+    onLLMOutput(`\n--- Orchestra Selection (local engine) ---\n`);
+    onLLMOutput(`Style: ${style}, previous key: ${prevKey || 'none'}, role: ${role || 'none'}\n`);
+    suggestions.forEach((s, i) => onLLMOutput(`${i + 1}. ${s.orchestra} - ${s.reason}\n`));
+    onLLMOutput(`\n`);
+  }
+
+  return {
+    style,
+    suggestions,
+    warnings: suggestions.length ? null : [`No orchestras with ${style} tracks`],
+  };
+}
+
+/** Build one tanda deterministically from restricted candidates (same result shape as planOneTanda) */
+function planOneTandaLocal({
+  style,
+  size,
+  remainingMinutes,
+  usedIds,
+  candidates,
+  allStyleCandidates = null,
+  orchestra,
+  prevKey,
+  role = null,
+  resolveTrack = null,
+  onLLMOutput = null,
+  singerMode = "off",
+}) {
+  const wantSize = Number.isFinite(size) ? size : 4;
+  const usedNorm = toSet(usedIds);
+  const full = (row) => (resolveTrack && resolveTrack(row.id)) || row;
+
+  const available = (rows) => (Array.isArray(rows) ? rows : [])
+    .filter((row) => getId(row) && !usedNorm.has(matchKey(getId(row))));
+
+  // A tanda is one orchestra: the target's tracks when they fill it (distinct titles), else the whole
+  // style pool, where the best seed picks the orchestra. The result's `orchestra` says which one it is.
+  const titleOf = (row) => String(row?.title ?? full(row)?.tags?.title ?? "").trim().toLowerCase();
+  const fills = (rows) => new Set(rows.map(titleOf)).size >= wantSize;
+  let pool = available(candidates);
+  if (orchestra && orchestra !== "any orchestra") {
+    const target = normalizeOrchestra(orchestra);
+    const wide = available(allStyleCandidates || candidates);
+    const sameOrch = [...new Map([...pool, ...wide].map((row) => [getId(row), row])).values()]
+      .filter((row) => orchestraOf(row) === target);
+    pool = fills(sameOrch) ? sameOrch : wide;
+  }
+
+  // Pre-compute the features we score on
+  const rows = pool.map((row) => {
+    const t = full(row);
+    return {
+      id: getId(row),
+      title: titleOf(row),
+      orch: orchestraOf(row),
+      singer: singerKeyOf(t),
+      bpm: bpmOf(row) ?? bpmOf(t),
+      cam: keyToCamelot(row) ?? keyToCamelot(t),
+      year: effectiveYear(t),
+      roleScore: role ? scoreTrackByRole(t, role, []) + 20 * roleScoreBoost(t, role) : 0,
+    };
+  });
+
+  const bpms = rows.map((r) => r.bpm).filter((v) => v != null);
+  const bpmMid = bpms.length ? median(bpms) : null;
+
+  // Distinct titles per orchestra: seeds come from an orchestra that fills the tanda when one does
+  const orchTitles = new Map();
+  for (const r of rows) {
+    if (!orchTitles.has(r.orch)) orchTitles.set(r.orch, new Set());
+    orchTitles.get(r.orch).add(r.title);
+  }
+  const orchFits = (r) => orchTitles.get(r.orch).size >= wantSize;
+  const anyOrchFits = rows.some(orchFits);
+
+  // Tracks per vocal line-up (of one orchestra): with singer consistency on, a seed whose singer can't fill the tanda starts badly
+  const lineUp = (r) => `${r.orch}\u0000${r.singer}`;
+  const singerCount = new Map();
+  for (const r of rows) singerCount.set(lineUp(r), (singerCount.get(lineUp(r)) || 0) + 1);
+  const singerSeedCost = (r) => (singerMode === "off" || singerCount.get(lineUp(r)) >= wantSize ? 0 : 2);
+  // Strict: seed from a line-up that fills the tanda; when none does, from the largest one and top up with the others
+  const fillable = new Set([...singerCount].filter(([, n]) => n >= wantSize).map(([k]) => k));
+  const largest = [...singerCount].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0]?.[0];
+  const strictFits = singerMode === "strict" && fillable.size > 0;
+  const seedAllowed = (r) =>
+    (!anyOrchFits || orchFits(r)) &&
+    (singerMode !== "strict" || (strictFits ? fillable.has(lineUp(r)) : lineUp(r) === largest));
+
+  // Seed: continuity with the previous tanda + role fit, near the pool's tempo centre
+  const seedCost = (r) =>
+    keyCost(prevKey, r.cam) +
+    (bpmMid != null && r.bpm != null ? 0.05 * Math.abs(r.bpm - bpmMid) : 0) +
+    eraCost(r.year, role) +
+    singerSeedCost(r) -
+    r.roleScore / 20;
+
+  // Next: continuity with the last chosen track (close tempo/key/era)
+  const stepCost = (r, last, seed) =>
+    keyCost(last.cam, r.cam) +
+    (last.bpm != null && r.bpm != null ? 0.05 * Math.abs(r.bpm - last.bpm) : 0) +
+    (last.year != null && r.year != null ? Math.min(3, Math.abs(r.year - last.year) / 5) : 0) +
+    (singerMode !== "off" && r.singer !== seed.singer ? 2 : 0) +
+    eraCost(r.year, role) -
+    r.roleScore / 20;
+
+  const byCost = (costFn) => (a, b) => costFn(a) - costFn(b) || a.id.localeCompare(b.id);
+
+  const chosen = [];
+  let remaining = rows.slice().sort(byCost(seedCost));
+  const seedAt = remaining.findIndex(seedAllowed);
+  if (seedAt >= 0) chosen.push(...remaining.splice(seedAt, 1));
+  if (chosen.length) remaining = remaining.filter((r) => r.orch === chosen[0].orch);
+  if (strictFits && chosen.length) remaining = remaining.filter((r) => r.singer === chosen[0].singer);
+  while (chosen.length < wantSize && remaining.length) {
+    const last = chosen[chosen.length - 1];
+    remaining.sort(byCost((r) => stepCost(r, last, chosen[0])));
+    const next = remaining.shift();
+    // Never repeat a title inside one tanda (different transfers of the same recording)
+    if (next.title && next.title !== "unknown" && chosen.some((c) => c.title === next.title)) continue;
+    chosen.push(next);
+  }
+
+  const trackIds = chosen.map((r) => r.id);
+  const warnings = [];
+  if (trackIds.length < wantSize) {
+    const need = wantSize - trackIds.length;
+    for (let i = 0; i < need; i++) trackIds.push("replace");
+    warnings.push(`Padded ${need} placeholder track(s)`);
+  }
+  const lineUps = new Set(chosen.map((r) => r.singer));
+  if (singerMode === "strict" && !strictFits && chosen.length) {
+    warnings.push(`No line-up has ${wantSize} tracks; used ${singerLabel(chosen[0].singer)} (${singerCount.get(lineUp(chosen[0]))}) and topped up`);
+  }
+  if (singerMode !== "off" && lineUps.size > 1) warnings.push(`Mixed singers: ${[...lineUps].map(singerLabel).join(" / ")}`);
+
+  const picked = chosen[0]?.orch ?? null;
+  if (picked && orchestra && orchestra !== "any orchestra" && picked !== normalizeOrchestra(orchestra)) {
+    warnings.push(`${orchestra} has fewer than ${wantSize} ${style} tracks left; built from ${picked}`);
+  }
+  const notes = picked ? `Local engine: ${picked}${bpmMid != null ? `, ~${Math.round(bpmMid)} BPM` : ""}` : null;
+
+  if (onLLMOutput) {
+    const remainMin = Number.isFinite(remainingMinutes) ? Math.max(0, Math.floor(remainingMinutes)) : null;
+    onLLMOutput(`\n=== Planning ${style} Tanda (${wantSize} tracks, local engine) ===\n`);
+    onLLMOutput(`Orchestra: ${orchestra || "any orchestra"}, role: ${role || 'none'}, singers: ${singerMode}, remaining: ~${remainMin} minutes\n`);
+    onLLMOutput(`Previous key: ${prevKey || 'none'}, candidates scored: ${rows.length}\n`);
+    chosen.forEach((r, i) => {
+      onLLMOutput(`${i + 1}. ${r.orch} (${singerLabel(r.singer)}) ${r.cam ?? "?"} ${r.bpm ?? "?"} BPM ${r.year ?? "?"}\n`);
+    });
+    if (warnings.length) onLLMOutput(`Warnings: ${warnings.join(', ')}\n`);
+  }
+
+  return { style, orchestra: picked, trackIds, notes, warnings: warnings.length ? warnings : null };
+}
+
 
 function makePlaceholderTrack(style) {
   return {
@@ -944,10 +1219,14 @@ function makePlaceholderTrack(style) {
 /** Use the LLM to rank orchestras for the next tanda */
 async function suggestNextOrchestras({ style, prevKey, recentOrchestras, profiles, K = 7, role = null, onLLMOutput = null }) {
   const relevant = profiles
-    .filter(p => p.styles.includes(style))
+    .filter(p => p.styles.some((s) => sameStyle(s, style)) && p.orchestra !== "Unknown")
     .map(p => ({
       orchestra: p.orchestra,
       eras: p.eras,
+      character: p.character,
+      activeEras: p.activeEras,
+      typicalSingers: p.typicalSingers,
+      roles: p.roles,
       bpmMedian: p.bpmMedian,
       energyMedian: p.energyMedian,
       commonCamelot: p.commonCamelot,
@@ -955,7 +1234,9 @@ async function suggestNextOrchestras({ style, prevKey, recentOrchestras, profile
     }))
     .slice(0, 200);
 
-  const roleHint = role ? `\nRole focus: "${role}". Bias toward orchestras whose peak recordings match the target era for that role.` : "";
+  const roleHint = role
+    ? `\nRole focus: "${role}". Bias toward orchestras whose roles include "${role}" and whose active eras match the target era for that role.`
+    : "";
 
   const prompt = [
     `Style to follow: ${style}`,
@@ -989,7 +1270,7 @@ async function suggestNextOrchestras({ style, prevKey, recentOrchestras, profile
     },
   ];
 
-  const result = await run(orchestraAgent, items, { maxTurns: 1 });
+  const result = await runAgent(orchestraAgent, items, { maxTurns: 1 });
   
   // Log the orchestra selection result
   if (onLLMOutput && result.finalOutput?.suggestions) {
@@ -1036,44 +1317,67 @@ function summarize(resolvedTandas, minutesRequested) {
 
 function shortlistForReplacement({ style, orchestra, workingSet, avoidIdsSet, maxN = 80 }) {
   const avoid = toSet(avoidIdsSet); // normalized set
+  const target = normalizeOrchestra(orchestra);
 
   const pool = workingSet
     .filter(
       (t) =>
-        getGenre(t) === style &&
-        ((t?.artist ?? t?.metadata?.artist ?? "Unknown").trim() === orchestra) &&
+        matchesStyle(t, style) &&
+        orchestraOf(t) === target &&
         !avoid.has(matchKey(getId(t)))
     )
     .map((t) => ({
       id: getId(t),
       title: t.tags?.title ?? t.title ?? "Unknown",
-      artist: (t?.artist ?? t?.metadata?.artist ?? "Unknown").trim(),
+      artist: (t?.artist ?? t?.tags?.artist ?? t?.metadata?.artist ?? "Unknown").trim(),
+      orchestra: orchestraOf(t),
       seconds: durationSec(t) || null,
       bpm: bpmOf(t),
       energy: energyOf(t),
       camelotKey: keyToCamelot(t),
     }));
 
-  // bias toward mid energy
+  // bias toward mid energy (0–10 scale, energy.js)
   pool.sort((a, b) => {
-    const da = Math.abs((a.energy ?? 7) - 7);
-    const db = Math.abs((b.energy ?? 7) - 7);
+    const da = Math.abs((a.energy ?? ENERGY_MID) - ENERGY_MID);
+    const db = Math.abs((b.energy ?? ENERGY_MID) - ENERGY_MID);
     return da - db;
   });
 
   return pool.slice(0, maxN);
 }
-function countAvailableByOrchestra({ workingSet, style, isUsed }) {
+function countAvailableByOrchestra(pool) {
   const map = new Map();
+  for (const t of pool) {
+    const orch = orchestraOf(t);
+    map.set(orch, (map.get(orch) || 0) + 1);
+  }
+  return map; // Map<canonical orchestra, number>
+}
+
+/**
+ * Per-request style lookup: (style) -> unused working-set tracks of that style
+ * (sub-genres included), in catalog order. The catalog index (styleTrackIds)
+ * selects them; only tracks whose genre tag the request overrides are matched here.
+ */
+function styleCandidatesOf({ workingSet, isUsed }) {
+  const genreTagOf = (t) => [t?.tags?.genre].flat().join("|");
+  const byId = new Map();
+  const retagged = [];
   for (const t of workingSet) {
-    const g = Array.isArray(t?.tags?.genre) ? t.tags.genre[0] : t?.tags?.genre;
-    if (g !== style) continue;
     const id = getId(t);
-    if (!id || isUsed(id)) continue;
-    const orch = (t?.artist ?? t?.tags?.artist ?? t?.metadata?.artist ?? "Unknown").trim();
-    map.set(orch, (map.get(orch) || 0) + 1);
+    if (genreTagOf(t) === genreTagOf(libraryTrack(id))) byId.set(id, t);
+    else retagged.push(t);
   }
-  return map; // Map<string, number>
+  return (style) => {
+    const pool = [];
+    for (const id of styleTrackIds(style)) {
+      const t = byId.get(id);
+      if (t && !isUsed(id)) pool.push(t);
+    }
+    for (const t of retagged) if (matchesStyle(t, style) && !isUsed(getId(t))) pool.push(t);
+    return pool;
+  };
 }
 
 /**
@@ -1101,11 +1405,11 @@ function pickOrchestraWeighted({
   // Build weighted bag
   const bag = [];
   for (const s of suggestions) {
-    const orch = String(s.orchestra || "").trim();
+    const orch = normalizeOrchestra(String(s.orchestra || "").trim()); // LLM may answer "Di Sarli"
     const avail = availabilityMap.get(orch) || 0;
     if (avail < sizeTarget) continue; // must support the tanda size
     const rc = recentCount(orch);     // 0, 1, 2...
-    const jitter = 0.85 + 0.30 * Math.random();
+    const jitter = 0.85 + 0.30 * cassetteRandom();
     
     // Apply diversity bonus: reduce dominance of orchestras with too many tracks
     let diversityMultiplier = 1.0;
@@ -1123,7 +1427,7 @@ function pickOrchestraWeighted({
 
   // Roulette-wheel pick
   const total = bag.reduce((s, x) => s + x.weight, 0);
-  let r = Math.random() * total;
+  let r = cassetteRandom() * total;
   for (const x of bag) {
     if ((r -= x.weight) <= 0) return x.orch;
   }
@@ -1151,34 +1455,34 @@ export async function listCortinas(arg = undefined) {
     genresIn     = arg.genres ?? arg.cortinaGenres ?? null; // support either key
   }
 
-  // Normalize desired genres (case-insensitive tokens)
-  const DEFAULT_GENRES = ["jazz", "swing", "country", "rock", "pop", "electro", "lounge", "blues"];
-  const desiredGenres = normalizeGenreList(genresIn ?? DEFAULT_GENRES); // Set<string>
+  // Desired genres: the cortina-only genres of the taxonomy (genres.js) unless given
+  const desiredGenres = normalizeGenreList(genresIn ?? cortinaGenres()); // Set<string>
 
   // Build candidate pool from LIBRARY
   // A "cortina candidate" is any playable track whose genre tokens intersect desiredGenres,
-  // and which is *not* a tango/vals/milonga dance track (to avoid collisions with tandas).
-  const isNonDance = (tokens) => !tokens.has("tango") && !tokens.has("vals") && !tokens.has("milonga");
+  // and which is *not* a dance track of any style or sub-genre (to avoid collisions with tandas).
+  const isNonDance = (t) => !trackGenres(t).some(coreStyleOf);
 
   const poolRaw = (Array.isArray(LIBRARY) ? LIBRARY : [])
-    .filter(Boolean)
+    .filter((t) => t && isPlannable(t))
     .map((t) => ({ t, id: safeGetId(t) }))
     .filter(({ id }) => !!id);
 
   // Extract tokens once per track
   const poolTokenized = poolRaw.map(({ t, id }) => {
     const tokens = genreTokens(t); // Set<string>
+    for (const k of trackGenreKeys(t)) tokens.add(k);
     return { t, id, tokens };
   });
 
   let pool = poolTokenized
-    .filter(({ tokens }) => intersects(tokens, desiredGenres) && isNonDance(tokens))
+    .filter(({ t, tokens }) => intersects(tokens, desiredGenres) && isNonDance(t))
     .map(({ t, id }) => toCortinaRow(t, id));
 
   // Fallback: if nothing matches requested genres, relax to ANY non-dance track
   if (!pool.length) {
     pool = poolTokenized
-      .filter(({ tokens }) => isNonDance(tokens))
+      .filter(({ t }) => isNonDance(t))
       .map(({ t, id }) => toCortinaRow(t, id));
   }
 
@@ -1209,7 +1513,7 @@ export async function listCortinas(arg = undefined) {
   // ---- helpers ----
   function normalizeGenreList(g) {
     const arr = Array.isArray(g) ? g : typeof g === "string" ? g.split(/[,\|]/) : [];
-    return new Set(arr.map((s) => String(s || "").toLowerCase().trim()).filter(Boolean));
+    return new Set(arr.map((s) => styleKey(s)).filter(Boolean));
   }
 
   function genreTokens(t) {
@@ -1247,7 +1551,7 @@ export async function listCortinas(arg = undefined) {
   function shuffled(arr) {
     const a = arr.slice();
     for (let i = a.length - 1; i > 0; i--) {
-      const j = (Math.random() * (i + 1)) | 0;
+      const j = (cassetteRandom() * (i + 1)) | 0;
       [a[i], a[j]] = [a[j], a[i]];
     }
     return a;
@@ -1306,6 +1610,9 @@ export function registerAgentRoutes(app) {
         Vals:    sizesIn.Vals    ?? 3,
         Milonga: sizesIn.Milonga ?? 3,
       };
+      const engine = normalizeEngine(req.body?.engine); // "agent" | "local"
+      const singerMode = normalizeSingerMode(req.body?.singerConsistency); // "strict" | "prefer" | "off"
+      const onLLMOutput = null; // bulk answers once; no transcript to stream
 
       if (!catalogIn || !Array.isArray(catalogIn.tracks)) {
         throw new Error("Missing catalog.tracks");
@@ -1319,6 +1626,7 @@ export function registerAgentRoutes(app) {
       const idKeysNoExt = new Set([...idKeysExact].map(stripExt)); // "/a/b/foo"
 
       const workingSet = LIBRARY
+        .filter(isPlannable)
         .filter((t) => {
           const cands = [
             getAbsolutePath(t?.file),
@@ -1336,7 +1644,7 @@ export function registerAgentRoutes(app) {
         .map((t) => {
           const k1 = getAbsolutePath(t?.file);
           const k2 = getId(t);
-          return mergeStylesIntoTrack(t, overrides.get(k1) || overrides.get(k2));
+          return mergeSlotsAndTagsIntoTrack(t, overrides.get(k1) || overrides.get(k2));
         });
 
       if (!workingSet.length) {
@@ -1354,7 +1662,7 @@ export function registerAgentRoutes(app) {
       // ----------- Fast lookups + orchestra profiles -----------
       const libById        = new Map(workingSet.map((t) => [getId(t), t]));
       const libByNormKey   = new Map(workingSet.map((t) => [stripExt(norm(getId(t))), t]));
-      const resolveByAnyId = (id) => libById.get(id) || libByNormKey.get(stripExt(norm(id))) || null;
+      const resolveByAnyId = (id) => libById.get(id) || libById.get(canonicalTrackId(id)) || libByNormKey.get(stripExt(norm(id))) || null;
 
       const profiles = buildOrchestraProfiles(workingSet);
 
@@ -1363,59 +1671,69 @@ export function registerAgentRoutes(app) {
       const used     = new Set();                               // normalized, extensionless
       const markUsed = (id) => used.add(stripExt(norm(id)));
       const isUsed   = (id) => used.has(stripExt(norm(id)));
+      const styleCandidates = styleCandidatesOf({ workingSet, isUsed });
 
       const tandasResolved = [];
       let remainingSeconds = minutes * 60;
       const recentOrchestras = [];
       let prevKey = null; // Camelot of the last played track
 
-      for (const style of pattern) {
+      for (const [slotIndex, style] of pattern.entries()) {
         if (remainingSeconds <= 60) break;
+        const role = inferRoleByPosition(slotIndex);
 
-        const sizeTarget =
-          style === "Tango"   ? sizes.Tango   :
-          style === "Vals"    ? sizes.Vals    :
-          style === "Milonga" ? sizes.Milonga : 3;
+        const sizeTarget = sizes[style] ?? sizes[genreLabel(coreStyleOf(style))] ?? 3;
 
         let tandaMade = false;
+        const stylePool = styleCandidates(style); // unused tracks of this style
 
-        // ---- 1) Ask LLM to rank orchestras + weighted randomized pick
+        // ---- 1) Rank orchestras (LLM or local engine) + weighted randomized pick
         let targetOrchestra = null;
         try {
-          const rank = await suggestNextOrchestras({
-            style,
-            prevKey,
-            recentOrchestras: recentOrchestras.slice(-2),
-            profiles,
-            K: 7, // slightly larger candidate set
-          });
-
           // Build availability (unused tracks per orchestra for this style)
-          const availabilityMap = countAvailableByOrchestra({
-            workingSet,
-            style,
-            isUsed,
-          });
+          const availabilityMap = countAvailableByOrchestra(stylePool);
 
-          // Weighted random pick that penalizes repeats in the last 2 tandas
-          targetOrchestra = pickOrchestraWeighted({
-            suggestions: rank?.suggestions || [],
-            availabilityMap,
-            recentOrchestras,
-            sizeTarget,
-            windowLen: 2,
-          });
+          const rank = engine === "local"
+            ? suggestNextOrchestrasLocal({
+                style,
+                prevKey,
+                recentOrchestras,
+                profiles: profiles.filter((p) => (availabilityMap.get(p.orchestra) || 0) >= sizeTarget),
+                K: 7,
+                role,
+              })
+            : await suggestNextOrchestras({
+                style,
+                prevKey,
+                recentOrchestras: recentOrchestras.slice(-2),
+                profiles,
+                K: 7, // slightly larger candidate set
+              });
+
+          // Weighted random pick that penalizes repeats in the last 2 tandas;
+          // the local engine stays deterministic and takes the best feasible rank.
+          targetOrchestra = engine === "local"
+            ? (rank?.suggestions || [])
+                .map((s) => String(s.orchestra || "").trim())
+                .find((orch) => (availabilityMap.get(orch) || 0) >= sizeTarget) || null
+            : pickOrchestraWeighted({
+                suggestions: rank?.suggestions || [],
+                availabilityMap,
+                recentOrchestras,
+                sizeTarget,
+                windowLen: 2,
+              });
 
           // Fallback: if weighted pick failed, choose any orchestra with enough availability,
           // preferring those NOT in the recent window, then randomize within that subset.
           if (!targetOrchestra) {
             const window = new Set(recentOrchestras.slice(-2));
             const eligible = [...availabilityMap.entries()]
-              .filter(([orch, avail]) => avail >= sizeTarget);
+              .filter(([orch, avail]) => avail >= sizeTarget && orch !== "Unknown");
             const nonRecent = eligible.filter(([orch]) => !window.has(orch));
             const pool = (nonRecent.length ? nonRecent : eligible);
             if (pool.length) {
-              const i = Math.floor(Math.random() * pool.length);
+              const i = engine === "local" ? 0 : Math.floor(cassetteRandom() * pool.length);
               targetOrchestra = pool[i][0];
             }
           }
@@ -1423,34 +1741,31 @@ export function registerAgentRoutes(app) {
 
           // Try orchestra-constrained path first
           if (targetOrchestra) {
-            const candidatesAll = workingSet.filter((t) =>
-              (Array.isArray(t?.tags?.genre) ? t.tags.genre[0] : t?.tags?.genre) === style &&
-              (t?.artist ?? t?.tags?.artist ?? t?.metadata?.artist ?? "Unknown").trim() === targetOrchestra &&
-              !isUsed(getId(t))
-            );
+            const candidatesAll = stylePool.filter((t) => orchestraOf(t) === targetOrchestra);
 
             if (candidatesAll.length > 0) {
               const candidates = candidatesAll.slice(0, 200).map((t) => ({
                 id: getId(t),
                 title: t.title ?? t?.tags?.title ?? t?.metadata?.title ?? "Unknown",
                 artist: (t?.artist ?? t?.tags?.artist ?? t?.metadata?.artist ?? "Unknown").trim(),
+                orchestra: orchestraOf(t),
+                singers: singersOf(t),
                 seconds: durationSec(t) || null,
-                bpm: t?.BPM ?? t?.bpm ?? t?.audio?.bpm ?? t?.tags?.BPM ?? t?.tags?.tempoBPM ?? null,
-                energy: t?.Energy ?? t?.energy ?? t?.audio?.energy ?? t?.tags?.Energy ?? null,
+                bpm: bpmOf(t),
+                energy: energyOf(t),
                 camelotKey: keyToCamelot(t),
               }));
 
               // Also prepare broader candidate pool for broadening if needed
-              const allStyleCandidates = workingSet.filter((t) =>
-                (Array.isArray(t?.tags?.genre) ? t.tags.genre[0] : t?.tags?.genre) === style &&
-                !isUsed(getId(t))
-              ).map((t) => ({
+              const allStyleCandidates = stylePool.map((t) => ({
                 id: getId(t),
                 title: t.title ?? t?.tags?.title ?? t?.metadata?.title ?? "Unknown",
                 artist: (t?.artist ?? t?.tags?.artist ?? t?.metadata?.artist ?? "Unknown").trim(),
+                orchestra: orchestraOf(t),
+                singers: singersOf(t),
                 seconds: durationSec(t) || null,
-                bpm: t?.BPM ?? t?.bpm ?? t?.audio?.bpm ?? t?.tags?.BPM ?? t?.tags?.tempoBPM ?? null,
-                energy: t?.Energy ?? t?.energy ?? t?.audio?.energy ?? t?.tags?.Energy ?? null,
+                bpm: bpmOf(t),
+                energy: energyOf(t),
                 camelotKey: keyToCamelot(t),
               }));
 
@@ -1465,13 +1780,22 @@ export function registerAgentRoutes(app) {
                 prevKey,
                 onLLMOutput,
                 profiles, // Pass orchestra profiles for retry logic
+                engine,
+                singerMode,
+                role,
+                resolveTrack: resolveByAnyId,
               });
+              // Build the tanda from the orchestra it was actually planned with
+              if (next.orchestra && next.orchestra !== targetOrchestra) {
+                if (onLLMOutput) onLLMOutput(`Orchestra: ${targetOrchestra} -> ${next.orchestra} (too few ${style} tracks left)\n`);
+                targetOrchestra = next.orchestra;
+              }
 
               const chosenTracks = [];
               for (const id of next.trackIds) {
                 if (isUsed(id)) continue;
                 const tr = resolveByAnyId(id);
-                const trOrch = (tr?.artist ?? tr?.tags?.artist ?? tr?.metadata?.artist ?? "Unknown").trim();
+                const trOrch = orchestraOf(tr);
                 if (tr && trOrch === targetOrchestra) {
                   chosenTracks.push(tr);
                   markUsed(getId(tr));
@@ -1526,7 +1850,7 @@ export function registerAgentRoutes(app) {
 
         // ---- 2) Style-only Agent fallback if no tanda yet
         if (!tandaMade) {
-          const { slim: styleOnlyCandidates } = shortlistCandidates(style, workingSet, used, 80);
+          const { slim: styleOnlyCandidates } = shortlistCandidates(style, stylePool, used, 80);
           styleOnlyCandidates.sort((a, b) =>
             scoreTrackByRole(resolveByAnyId(b.id), role, []) -
             scoreTrackByRole(resolveByAnyId(a.id), role, [])
@@ -1545,6 +1869,10 @@ export function registerAgentRoutes(app) {
               prevKey,
               onLLMOutput,
               profiles, // Pass orchestra profiles for retry logic
+              engine,
+              singerMode,
+              role,
+              resolveTrack: resolveByAnyId,
             });
 
             const chosenTracks = [];
@@ -1602,6 +1930,8 @@ export function registerAgentRoutes(app) {
             id: getId(tr),
             title: tr.title ?? tr?.tags?.title ?? tr?.metadata?.title ?? "Unknown",
             artist: (tr.artist ?? tr?.tags?.artist ?? tr?.metadata?.artist ?? "Unknown").trim(),
+            orchestra: orchestraOf(tr),
+            singers: singersOf(tr),            // UI flags mixed-singer tandas
             BPM: bpmOf(tr),                    // <- ensures BPM shows up
             Energy: energyOf(tr),
             Key: tr?.Key ?? tr?.tags?.Key ?? null,
@@ -1636,8 +1966,8 @@ export function registerAgentRoutes(app) {
               seconds: Number.isFinite(c?.seconds)
                 ? c.seconds
                 : Math.round((c?.approxMinutes ?? 1) * 60),
-              artUrl : artUrl,
-              year: year
+              artUrl: c?.artUrl ?? null,
+              year: c?.year ?? null
             }],
             // keep these for legacy buttons/handlers if you want
             streamId: c?.id || null,
@@ -1666,7 +1996,9 @@ export function registerAgentRoutes(app) {
           tracksProvided: (req.body?.catalog?.tracks || []).length,
           tracksMatched:  tandasResolved.reduce((s, td) => s + td.tracks.length, 0),
         },
-        source: "gpt-4o/agents (bulk, orchestra-aware)",
+        source: engine === "local"
+          ? "local engine (bulk, orchestra-aware)"
+          : "gpt-4o/agents (bulk, orchestra-aware)",
       });
     } catch (e) {
       const msg = e?.message || String(e);
@@ -1724,6 +2056,7 @@ export function registerAgentRoutes(app) {
       const keysNoExt  = new Set(idsNoExt);   // normalized extensionless
 
       const workingSet = LIBRARY
+        .filter(isPlannable)
         .filter((t) => {
           const cands = [
             getAbsolutePath(t?.file),
@@ -1806,21 +2139,16 @@ export function registerAgentRoutes(app) {
       // Fast resolvers (we'll need these both for dominant-orchestra and later resolution)
       const byIdRaw  = new Map(workingSet.map((t) => [getId(t), t]));
       const byIdNorm = new Map(workingSet.map((t) => [matchKey(getId(t)), t]));
-      const resolveId = (id) => byIdRaw.get(id) || byIdNorm.get(matchKey(id)) || null;
-
-      // 3) Build base pool: same style, not in avoid, not previously selected
-      const hasStyle = (t) => {
-        const g = t?.styles?.length ? t.styles
-                : Array.isArray(t?.tags?.genre) ? t.tags.genre
-                : [t?.tags?.genre];
-        return (g || []).some((s) => String(s || "").trim().toLowerCase() === wantStyle);
-      };
+      const resolveId = (id) => byIdRaw.get(id) || byIdRaw.get(canonicalTrackId(id)) || byIdNorm.get(matchKey(id)) || null;
+
+      // 3) Build base pool: same style (or a sub-genre of it), not in avoid, not previously selected
+      const hasStyle = (t) => matchesStyle(t, wantStyle);
       const idKeyOf = (t) => matchKey(getId(t));
-      let base = workingSet.filter((t) => 
-        hasStyle(t) && 
-        !avoid.has(idKeyOf(t)) && 
-        !previouslySelectedSet.has(idKeyOf(t))
-      );
+      const styleCandidates = styleCandidatesOf({
+        workingSet,
+        isUsed: (id) => avoid.has(matchKey(id)) || previouslySelectedSet.has(matchKey(id)),
+      });
+      let base = styleCandidates(wantStyle);
 
       console.log(`Working set size: ${workingSet.length}`);
       console.log(`After style filter (${wantStyle}): ${base.length}`);
@@ -1850,19 +2178,18 @@ export function registerAgentRoutes(app) {
         for (const id of avoidIds) {
           const tr = resolveId(id);
           if (!tr) continue;
-          const orch = (tr?.artist ?? tr?.tags?.artist ?? tr?.metadata?.artist ?? "Unknown").trim();
-          if (!orch) continue;
+          const orch = orchestraOf(tr);
           freq.set(orch, (freq.get(orch) || 0) + 1);
         }
         // Pick most frequent
         targetOrchestra = [...freq.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
       } else if (orchestra) {
-        targetOrchestra = String(orchestra).trim() || null;
+        targetOrchestra = normalizeOrchestra(String(orchestra).trim()) || null;
       }
 
       if (targetOrchestra && !needsBroadening) {
         const strict = base.filter(
-          (t) => ((t?.artist ?? t?.tags?.artist ?? t?.metadata?.artist ?? "").trim() === targetOrchestra)
+          (t) => orchestraOf(t) === targetOrchestra
         );
         // Only narrow if we still have enough choices
         if (strict.length >= Math.min(3, topK)) base = strict;
@@ -1875,11 +2202,7 @@ export function registerAgentRoutes(app) {
         // Step 1: Include different orchestras (remove orchestra restriction)
         if (targetOrchestra) {
           console.log(`[BROADENING] Removing orchestra restriction (was: ${targetOrchestra})`);
-          base = workingSet.filter((t) => 
-            hasStyle(t) && 
-            !avoid.has(idKeyOf(t)) && 
-            !previouslySelectedSet.has(idKeyOf(t))
-          );
+          base = styleCandidates(wantStyle);
         }
         
         // Step 2: If still not enough, expand to compatible styles
@@ -1887,21 +2210,8 @@ export function registerAgentRoutes(app) {
           console.log(`[BROADENING] Still only ${base.length} tracks, expanding to compatible styles...`);
           const compatibleStyles = getCompatibleStyles(wantStyle);
           
-          const hasCompatibleStyle = (t) => {
-            const g = t?.styles?.length ? t.styles
-                    : Array.isArray(t?.tags?.genre) ? t.tags.genre
-                    : [t?.tags?.genre];
-            return (g || []).some((s) => {
-              const trackStyle = String(s || "").trim().toLowerCase();
-              return compatibleStyles.includes(trackStyle);
-            });
-          };
-          
-          const expandedBase = workingSet.filter((t) => 
-            hasCompatibleStyle(t) && 
-            !avoid.has(idKeyOf(t)) && 
-            !previouslySelectedSet.has(idKeyOf(t))
-          );
+          // A track in several compatible styles counts once
+          const expandedBase = [...new Map(compatibleStyles.flatMap(styleCandidates).map((t) => [getId(t), t])).values()];
           
           if (expandedBase.length > base.length) {
             base = expandedBase;
@@ -1923,10 +2233,10 @@ export function registerAgentRoutes(app) {
       // 5) Score by continuity
       const prevKey = neighbors?.prev?.key ?? null;
       const nextKey = neighbors?.next?.key ?? null;
-      const prevBpm = neighbors?.prev?.bpm ?? neighbors?.prev?.BPM ?? null;
-      const nextBpm = neighbors?.next?.bpm ?? neighbors?.next?.BPM ?? null;
-      const prevEn  = neighbors?.prev?.energy ?? neighbors?.prev?.Energy ?? null;
-      const nextEn  = neighbors?.next?.energy ?? neighbors?.next?.Energy ?? null;
+      const prevBpm = bpmOf(neighbors?.prev);
+      const nextBpm = bpmOf(neighbors?.next);
+      const prevEn  = energyOf(neighbors?.prev);
+      const nextEn  = energyOf(neighbors?.next);
 
       const score = (t) => {
         const bpm = bpmOf(t);
@@ -2017,7 +2327,7 @@ export function registerAgentRoutes(app) {
         
         if (targetOrchestra && afterAvoid.length > 0) {
           const orchMatches = afterAvoid.filter(
-            (t) => ((t?.artist ?? t?.tags?.artist ?? t?.metadata?.artist ?? "").trim() === targetOrchestra)
+            (t) => orchestraOf(t) === targetOrchestra
           );
           console.log("Orchestra matches for", targetOrchestra + ":", orchMatches.length);
         }
@@ -2058,7 +2368,7 @@ export function registerAgentRoutes(app) {
 
       let chosenId = null, suggestions = null;
       try {
-        const result = await run(replaceAgent, items, { maxTurns: 1 });
+        const result = await runAgent(replaceAgent, items, { maxTurns: 1 });
         const out = ReplacementResult.parse(result.finalOutput);
         
         // Validate that chosen track is not in avoid list
@@ -2086,7 +2396,7 @@ export function registerAgentRoutes(app) {
         }
         
         // Pick a random valid candidate instead of always the first
-        const randomIndex = Math.floor(Math.random() * validCandidates.length);
+        const randomIndex = Math.floor(cassetteRandom() * validCandidates.length);
         const fallbackTrack = validCandidates[randomIndex] || slim[0];
         
         console.log(`[REPLACEMENT] Selected fallback track ${randomIndex + 1}/${validCandidates.length}: ${fallbackTrack?.title}`);
@@ -2205,26 +2515,13 @@ export function registerAgentRoutes(app) {
 // Select cortinas from LIBRARY by genre (no CORTINAS_DIR needed)
 
 
-  // ---- Role constraints ----
-  // You can tune these ranges over time:
-  const ROLE_RULES = {
-    classic: { minYear: 1930, maxYear: 1945, preferAlt: false, allowNuevo: false },
-    rich:    { minYear: 1946, maxYear: 1958, preferAlt: false, allowNuevo: true  },
-    modern:  { minYear: 1990, maxYear: 2100, preferAlt: false, allowNuevo: true  },
-    alt:     { minYear: 1995, maxYear: 2100, preferAlt: true,  allowNuevo: true  },
-  };
-
-
-  function trackYear(t) {
-    return clampYear(t?.tags?.year ?? t?.year ?? t?.metadata?.year ?? null);
-  }
 
   // ERA resolution from the individual track (fallback to orchestra profile)
   function trackFitsRole(t, role) {
     if (!role || !ROLE_RULES[role]) return true;
     const { minYear, maxYear, preferAlt } = ROLE_RULES[role];
 
-    const y = trackYear(t);
+    const y = effectiveYear(t);
     const inYear = (y == null) ? true : (y >= minYear && y <= maxYear);
 
     if (!preferAlt) return inYear;
@@ -2238,39 +2535,6 @@ export function registerAgentRoutes(app) {
     return inYear && looksAlt;
   }
 
-  // Soft scoring boost for role (used to sort candidates)
-    function roleScoreBoost(t, role) {
-      if (!role || !ROLE_RULES[role]) return 0;
-      const { minYear, maxYear, preferAlt } = ROLE_RULES[role];
-
-      const y = effectiveYear(t);                 // ← use robust year
-      let s = 0;
-
-      if (y == null) {
-        // Unknown year gets small grace so it’s not penalized out
-        s += 0.25;
-      } else {
-        const mid = (minYear + maxYear) / 2;
-        const d = Math.abs((y - mid) / (maxYear - minYear || 1));
-        s += Math.max(0, 1.2 - d * 2.0); // [~1.2 .. 0]
-      }
-
-      if (preferAlt) {
-        const hay = [...readGenres(t), ...(Array.isArray(t?.styles) ? t.styles : [])]
-          .map(String).join(" ").toLowerCase();
-        if (/alt|alternative|nuevo|neo|electro|pop|rock|jazz|swing|blues|folk/.test(hay)) s += 0.7;
-      }
-
-      // If the raw year is modern but we suspected remaster (effectiveYear returned null),
-      // give a tiny penalty for classic/rich so real Golden Age with correct years wins.
-      if ((role === "classic" || role === "rich")) {
-        const rawY = clampYear(t?.tags?.year ?? t?.year ?? t?.metadata?.year ?? null);
-        if (rawY != null && rawY >= TRUST_YEAR_CUTOFF && y == null) s -= 0.2;
-      }
-
-      return s;
-    }
-
   async function loadTandaSchedule(req) {
     // Priority: explicit object in body → named file → null
     if (req.body?.tandaSchedule && Array.isArray(req.body.tandaSchedule?.tandas)) {
@@ -2313,6 +2577,7 @@ export function registerAgentRoutes(app) {
 
     try {
       const { tandaIndex, currentTanda, avoidOrchestras = [], catalog } = req.body;
+      const singerMode = normalizeSingerMode(req.body?.singerConsistency); // "strict" | "prefer" | "off"
 
       if (!currentTanda || typeof tandaIndex !== 'number') {
         send({ type: "error", error: "Missing required fields: tandaIndex and currentTanda" });
@@ -2334,6 +2599,7 @@ export function registerAgentRoutes(app) {
       const idKeysNoExt = new Set([...idKeysExact].map(stripExt));
 
       const workingSet = LIBRARY
+        .filter(isPlannable)
         .filter((t) => {
           const cands = [
             getAbsolutePath(t?.file),
@@ -2359,29 +2625,15 @@ export function registerAgentRoutes(app) {
         return res.end();
       }
 
-      // Normalize orchestra names to handle variations like "Alfredo de Angelis" vs "Alfredo de Angelis O.T."
-      const normalizeOrchestra = (orch) => {
-        if (!orch) return "";
-        return String(orch)
-          .replace(/\s+O\.T\.\s*(con\s+)?.*$/i, '') // Remove "O.T. con..." part
-          .replace(/\s+(y\s+su\s+orquesta.*|Y\s+Su.*)/i, '') // Remove "y su orquesta" variations
-          .trim();
-      };
-
-      // Get orchestras that are actually available in the workingSet
-      // Note: LIBRARY tracks have artist in tags.artist field based on catalog-Art.json structure
-      let availableOrchestras = [...new Set(workingSet.map(track => {
-        return track?.tags?.artist ?? track?.artist ?? track?.metadata?.artist ?? null;
-      }))].filter(Boolean);
+      // Get orchestras that are actually available in the workingSet (canonical names)
+      let availableOrchestras = [...new Set(workingSet.map(orchestraOf))].filter((o) => o !== "Unknown");
       
       streamLLMOutput(`[RETRY TANDA] WorkingSet size: ${workingSet.length}, Available orchestras: ${availableOrchestras.length}`);
       console.log(`[RETRY TANDA] WorkingSet orchestras:`, availableOrchestras.slice(0, 5));
       
       // If workingSet is too small (like from a loaded playlist), use full library for orchestra diversity
       if (availableOrchestras.length < 5) {
-        const fullLibraryOrchestras = [...new Set(LIBRARY.map(track => {
-          return track?.tags?.artist ?? track?.artist ?? track?.metadata?.artist ?? null;
-        }))].filter(Boolean);
+        const fullLibraryOrchestras = [...new Set(LIBRARY.map(orchestraOf))].filter((o) => o !== "Unknown");
         streamLLMOutput(`[RETRY TANDA] WorkingSet too small, using full library with ${fullLibraryOrchestras.length} orchestras`);
         console.log(`[RETRY TANDA] Full library orchestras:`, fullLibraryOrchestras.slice(0, 5));
         
@@ -2413,22 +2665,12 @@ export function registerAgentRoutes(app) {
 
       // Filter candidates for the requested style
       // Use full library if workingSet is too small (like from loaded playlist)
-      const candidateSource = workingSet.length < 50 ? LIBRARY : workingSet;
-      const candidates = candidateSource.filter(t => {
-        const hasStyle = (t) => {
-          const g = t?.styles?.length ? t.styles
-                  : Array.isArray(t?.tags?.genre) ? t.tags.genre
-                  : [t?.tags?.genre];
-          return (g || []).some((s) => {
-            const trackStyle = String(s || "").trim().toLowerCase();
-            const wantStyle = currentTanda.style.toLowerCase();
-            return trackStyle === wantStyle;
-          });
-        };
-        return hasStyle(t);
-      });
+      const candidateSource = workingSet.length < 50 ? LIBRARY.filter(isPlannable) : workingSet;
+      const candidates = candidateSource === workingSet
+        ? styleCandidatesOf({ workingSet, isUsed: () => false })(currentTanda.style)
+        : styleTrackIds(currentTanda.style).map(libraryTrack).filter((t) => t && isPlannable(t));
       
-      streamLLMOutput(`[RETRY TANDA] Using ${candidateSource === LIBRARY ? 'full library' : 'workingSet'} as candidate source`);
+      streamLLMOutput(`[RETRY TANDA] Using ${candidateSource !== workingSet ? 'full library' : 'workingSet'} as candidate source`);
       streamLLMOutput(`[RETRY TANDA] Candidates available: ${candidates.length}`);
 
       // Build orchestra profiles for planOneTandaWithRetry
@@ -2440,7 +2682,7 @@ export function registerAgentRoutes(app) {
         req.body.currentPlaylist.forEach(tanda => {
           if (tanda.tracks && Array.isArray(tanda.tracks)) {
             tanda.tracks.forEach(track => {
-              if (track.id) currentTrackIds.add(track.id);
+              if (track.id) currentTrackIds.add(canonicalTrackId(track.id));
               if (track.path) currentTrackIds.add(track.path);
               if (track.uri) currentTrackIds.add(track.uri);
             });
@@ -2471,7 +2713,8 @@ export function registerAgentRoutes(app) {
             prevKey: null,
             profiles,
             maxRetries: 2, // Reduced retries per orchestra since we try multiple
-            onLLMOutput: streamLLMOutput // Pass LLM output streaming to tanda generation
+            onLLMOutput: streamLLMOutput, // Pass LLM output streaming to tanda generation
+            singerMode,
           });
 
           const realCount = Array.isArray(result?.trackIds) ? result.trackIds.filter(id => id !== 'replace').length : 0;
@@ -2532,7 +2775,7 @@ export function registerAgentRoutes(app) {
         console.log(`[RETRY TANDA] Final tracks array:`, tracks);
 
         // Determine the orchestra from the tracks
-        const orchestras = tracks.map(t => t.artist).filter(Boolean);
+        const orchestras = tracks.map(orchestraOf).filter((o) => o !== "Unknown");
         const newOrchestra = orchestras.length > 0 ? orchestras[0] : usedAlternative;
         
         send({
@@ -2640,10 +2883,10 @@ export function registerAgentRoutes(app) {
         tracks: tanda.tracks?.map(track => ({
           title: track.title,
           artist: track.artist,
-          year: track.year,
-          bpm: track.bpm,
-          energy: track.energy,
-          camelotKey: track.camelotKey
+          year: effectiveYear(track) ?? track.year,
+          bpm: bpmOf(track),
+          energy: energyOf(track), // 0–10
+          camelotKey: keyToCamelot(track)
         })) || []
       }));
 
@@ -2660,9 +2903,15 @@ PLAYLIST OVERVIEW:
 TANDA BREAKDOWN:
 ${playlistSummary.map(tanda => 
   `Tanda ${tanda.tandaNumber}: ${tanda.orchestra} - ${tanda.style} (${tanda.trackCount} tracks)
-  Tracks: ${tanda.tracks.map(t => `"${t.title}" ${t.year ? `(${t.year})` : ''} ${t.bpm ? `${t.bpm}bpm` : ''} ${t.camelotKey ? `Key:${t.camelotKey}` : ''}`).join(', ')}`
+  Tracks: ${tanda.tracks.map(t => `"${t.title}" ${t.year ? `(${t.year})` : ''} ${t.bpm ? `${t.bpm}bpm` : ''} ${t.camelotKey ? `Key:${t.camelotKey} (${keyName(t.camelotKey)})` : ''}`).join(', ')}`
 ).join('\n\n')}
 
+ORCHESTRAS (character, active eras, typical singers, roles they suit):
+${orchestraNotes(playlist.tandas)}
+
+KEY FLOW (Camelot wheel):
+${keyFlowSummary(playlist.tandas)}
+
 ${programmaticAnalysis ? `\nPROGRAMMATIC ANALYSIS RESULTS:
 ${programmaticAnalysis}` : ''}
 
@@ -2681,7 +2930,7 @@ Write in a conversational, expert tone as if advising a fellow DJ. Be specific a
       console.log(`🚀 [AI REVIEW] Calling GPT-4o playlist review agent...`);
       console.log(`📝 [AI REVIEW] Prompt preview: ${reviewPrompt.substring(0, 300)}...\n`);
       
-      const reviewResult = await run(playlistReviewAgent, reviewPrompt, { 
+      const reviewResult = await runAgent(playlistReviewAgent, reviewPrompt, { 
         maxTurns: 1,
         onUpdate: (update) => {
           console.log(`📡 [AI REVIEW] Agent update:`, update);
@@ -2719,7 +2968,7 @@ Write in a conversational, expert tone as if advising a fellow DJ. Be specific a
           formattedResponse: aiReview
         },
         metadata: {
-          model: 'gpt-4o',
+          model: describeModel("PlaylistReviewer"),
           tandaCount: playlist.tandas.length,
           duration: playlist.duration,
           reviewLength: aiReview.length
@@ -2753,15 +3002,6 @@ export function registerAgentStreamRoutes(app){
       send({ type: "llm_message", text });
     };
 
-    // ------------------------ Role rules (server-side) ------------------------
-    // Role constraints
-    const ROLE_RULES = {
-      classic: { minYear: 1930, maxYear: 1945, preferAlt: false, allowNuevo: false },
-      rich:    { minYear: 1946, maxYear: 1958, preferAlt: false, allowNuevo: true  },
-      modern:  { minYear: 1990, maxYear: 2100, preferAlt: false, allowNuevo: true  },
-      alt:     { minYear: 1995, maxYear: 2100, preferAlt: true,  allowNuevo: true  },
-    };
-
     function trackFitsRole(t, role) {
       if (!role || !ROLE_RULES[role]) return true;
       const { minYear, maxYear, preferAlt } = ROLE_RULES[role];
@@ -2779,57 +3019,6 @@ export function registerAgentStreamRoutes(app){
     }
 
 
-    // --- Year normalization (tolerant to remasters) ---
-    const TRUST_YEAR_CUTOFF = 1990; // years >= this are treated as “suspect” for classic/rich
-
-    function clampYear(y) {
-      const n = Number(y);
-      return Number.isFinite(n) ? Math.max(1900, Math.min(2100, Math.round(n))) : null;
-    }
-
-    function readGenres(t) {
-      const g = Array.isArray(t?.tags?.genre) ? t.tags.genre : (t?.tags?.genre ? [t.tags.genre] : []);
-      return g.map((s) => String(s || "").toLowerCase());
-    }
-
-    function looksRemasterish(t) {
-      const album = String(t?.tags?.album ?? t?.album ?? "").toLowerCase();
-      const title = String(t?.tags?.title ?? t?.title ?? "").toLowerCase();
-      const hay = album + " " + title;
-      // common flags on reissues/anthologies
-      return /(remaster|remastered|reissue|anthology|collection|best of|archive|deluxe|box set)/i.test(hay);
-    }
-
-    /**
-     * Prefer recording/original years; downweight suspicious post-1990 values
-     * that are likely compilation/remaster dates for Golden Age material.
-     */
-    function effectiveYear(t) {
-      // Prefer explicit recording/original fields if present in your catalog
-      const candidates = [
-        t?.tags?.recordingYear,
-        t?.tags?.originalYear,
-        t?.metadata?.recordingYear,
-        t?.metadata?.originalYear,
-        t?.tags?.year,
-        t?.year,
-        t?.metadata?.year,
-      ];
-      const first = candidates.find((v) => v != null);
-      const y = clampYear(first);
-
-      if (y == null) return null;
-
-      const genres = readGenres(t);
-      const isDanceCore = genres.some((g) => g === "tango" || g === "vals" || g === "milonga");
-
-      // If it looks like a remaster/anthology and the tag-year is modern,
-      // we treat it as “unknown” for era filtering/scoring.
-      if (y >= TRUST_YEAR_CUTOFF && isDanceCore && looksRemasterish(t)) return null;
-
-      return y;
-    }
-  
 
     // A simple role fallback by position if no schedule/role given
     function inferRoleByPosition(idx) {
@@ -2890,6 +3079,8 @@ export function registerAgentStreamRoutes(app){
         Vals:    sizesIn.Vals    ?? 3,
         Milonga: sizesIn.Milonga ?? 3,
       };
+      const engine = normalizeEngine(req.body?.engine); // "agent" | "local"
+      const singerMode = normalizeSingerMode(req.body?.singerConsistency); // "strict" | "prefer" | "off"
 
       if (!catalogIn || !Array.isArray(catalogIn.tracks)) {
         throw new Error("Missing catalog.tracks");
@@ -2995,6 +3186,7 @@ export function registerAgentStreamRoutes(app){
       
       // --- build working set with tolerant membership test
       const workingSet = LIBRARY
+        .filter(isPlannable)
         .filter((t) => {
           const cands = [
             getAbsolutePathAny(t?.file),
@@ -3033,7 +3225,8 @@ export function registerAgentStreamRoutes(app){
       // Fast resolvers
       const libById      = new Map(workingSet.map((t) => [getId(t), t]));
       const libByNormKey = new Map(workingSet.map((t) => [matchKey(getId(t)), t]));
-      const resolveByAnyId = (id) => libById.get(id) || libByNormKey.get(matchKey(id)) || null;
+      const resolveByAnyId = (id) => libById.get(id) || libById.get(canonicalTrackId(id)) || libByNormKey.get(matchKey(id)) || null;
+      const styleCandidates = styleCandidatesOf({ workingSet, isUsed });
 
       // Orchestra profiles for the ranker
       const profiles = buildOrchestraProfiles(workingSet);
@@ -3047,7 +3240,7 @@ export function registerAgentStreamRoutes(app){
         const schedule = await loadTandaSchedule(req);
         slots = legacyPattern.map((style, i) => {
           const role = roleForIndex(schedule, i) || inferRoleByPosition(i);
-          const size = sizes[style] ?? (style === "Tango" ? 4 : 3);
+          const size = sizes[style] ?? sizes[genreLabel(coreStyleOf(style))] ?? (style === "Tango" ? 4 : 3);
           return { style, role, size };
         });
       } else {
@@ -3055,13 +3248,14 @@ export function registerAgentStreamRoutes(app){
         slots = slots.map((s, i) => {
           const style = s.style || legacyPattern[i] || "Tango";
           const role  = s.role || inferRoleByPosition(i);
-          const size  = Number.isFinite(s.size) ? s.size : (sizes[style] ?? (style === "Tango" ? 4 : 3));
+          // a sub-genre slot ("candombe") defaults to its core style's size
+          const size  = Number.isFinite(s.size) ? s.size : (sizes[style] ?? sizes[genreLabel(coreStyleOf(style))] ?? (sameStyle(style, "Tango") ? 4 : 3));
           return { style, role, size };
         });
       }
 
       // ------------------------ Stream start ------------------------
-      send({ type: "start", minutes, slots, sizes });
+      send({ type: "start", minutes, slots, sizes, engine, singerConsistency: singerMode });
 
       // ------------------------ Planning loop ------------------------
       const tandasResolved = [];
@@ -3075,54 +3269,60 @@ export function registerAgentStreamRoutes(app){
         const { style, role, size } = slots[i];
         const sizeTarget = size; // slots already have correct size from normalization
         let tandaMade = false;
+        const stylePool = styleCandidates(style); // unused tracks of this style
 
         // ---------- 1) Role filter base set ----------
-        const baseRolePool = workingSet.filter(
-          (t) => {
-            const g = Array.isArray(t?.tags?.genre) ? t.tags.genre : t?.tags?.genre ? [t.tags.genre] : [];
-            const hasStyle = g.map((x) => String(x || "").toLowerCase()).includes(String(style).toLowerCase());
-            return hasStyle && trackFitsRole(t, role) && !isUsed(getId(t));
-          }
-        );
+        const baseRolePool = stylePool.filter((t) => trackFitsRole(t, role));
 
-        // ---------- 2) Agent: rank orchestras, pick a feasible one ----------
+        // ---------- 2) Agent (or local engine): rank orchestras, pick a feasible one ----------
         try {
-          const rank = await suggestNextOrchestras({
-            style,
-            prevKey,
-            recentOrchestras: recentOrchestras.slice(-2),
-            profiles,
-            K: 7,
-            onLLMOutput: streamLLMOutput,
-          });
-
           // Count available (unused) by orchestra within role-filtered pool
           const availability = new Map();
           for (const t of baseRolePool) {
-            const orch = (t?.artist ?? t?.tags?.artist ?? t?.metadata?.artist ?? "Unknown").trim();
+            const orch = orchestraOf(t);
             availability.set(orch, (availability.get(orch) || 0) + 1);
           }
 
+          // The local engine only ranks orchestras that can actually fill this slot
+          const rank = engine === "local"
+            ? suggestNextOrchestrasLocal({
+                style,
+                prevKey,
+                recentOrchestras,
+                profiles: profiles.filter((p) => (availability.get(p.orchestra) || 0) >= sizeTarget),
+                K: 7,
+                role,
+                onLLMOutput: streamLLMOutput,
+              })
+            : await suggestNextOrchestras({
+                style,
+                prevKey,
+                recentOrchestras: recentOrchestras.slice(-2),
+                profiles,
+                K: 7,
+                onLLMOutput: streamLLMOutput,
+              });
+
           // Pick an orchestra with enough availability
           let targetOrchestra = null;
           for (const s of (rank?.suggestions || [])) {
-            const orch = String(s.orchestra || "").trim();
+            const orch = normalizeOrchestra(String(s.orchestra || "").trim());
             if ((availability.get(orch) || 0) >= sizeTarget) { targetOrchestra = orch; break; }
           }
           // Fallback: any orchestra in baseRolePool with >= sizeTarget
           if (!targetOrchestra) {
             const byOrch = new Map();
             for (const t of baseRolePool) {
-              const o = (t?.artist ?? t?.tags?.artist ?? t?.metadata?.artist ?? "Unknown").trim();
+              const o = orchestraOf(t);
               byOrch.set(o, (byOrch.get(o) || 0) + 1);
             }
-            const eligible = [...byOrch.entries()].filter(([, n]) => n >= sizeTarget);
+            const eligible = [...byOrch.entries()].filter(([o, n]) => n >= sizeTarget && o !== "Unknown");
             if (eligible.length) targetOrchestra = eligible[0][0];
           }
 
           if (targetOrchestra) {
             const candidatesAll = baseRolePool.filter((t) =>
-              (t?.artist ?? t?.tags?.artist ?? t?.metadata?.artist ?? "Unknown").trim() === targetOrchestra
+              orchestraOf(t) === targetOrchestra
             );
 
             if (candidatesAll.length > 0) {
@@ -3130,9 +3330,11 @@ export function registerAgentStreamRoutes(app){
                 id: getId(t),
                 title: t.title ?? t?.tags?.title ?? t?.metadata?.title ?? "Unknown",
                 artist: (t?.artist ?? t?.tags?.artist ?? t?.metadata?.artist ?? "Unknown").trim(),
+                orchestra: orchestraOf(t),
+                singers: singersOf(t),
                 seconds: durationSec(t) || null,
-                BPM: t?.BPM ?? t?.bpm ?? t?.audio?.bpm ?? t?.tags?.BPM ?? t?.tags?.tempoBPM ?? null,
-                energy: t?.Energy ?? t?.energy ?? t?.audio?.energy ?? t?.tags?.Energy ?? null,
+                BPM: bpmOf(t),
+                energy: energyOf(t),
                 camelotKey: keyToCamelot(t),
               }));
 
@@ -3141,9 +3343,11 @@ export function registerAgentStreamRoutes(app){
                 id: getId(t),
                 title: t.title ?? t?.tags?.title ?? t?.metadata?.title ?? "Unknown",
                 artist: (t?.artist ?? t?.tags?.artist ?? t?.metadata?.artist ?? "Unknown").trim(),
+                orchestra: orchestraOf(t),
+                singers: singersOf(t),
                 seconds: durationSec(t) || null,
-                BPM: t?.BPM ?? t?.bpm ?? t?.audio?.bpm ?? t?.tags?.BPM ?? t?.tags?.tempoBPM ?? null,
-                energy: t?.Energy ?? t?.energy ?? t?.audio?.energy ?? t?.tags?.Energy ?? null,
+                BPM: bpmOf(t),
+                energy: energyOf(t),
                 camelotKey: keyToCamelot(t),
               }));
 
@@ -3158,13 +3362,22 @@ export function registerAgentStreamRoutes(app){
                 prevKey,
                 onLLMOutput: streamLLMOutput,
                 profiles, // Pass orchestra profiles for retry logic
+                engine,
+                singerMode,
+                role,
+                resolveTrack: resolveByAnyId,
               });
+              // Build the tanda from the orchestra it was actually planned with
+              if (next.orchestra && next.orchestra !== targetOrchestra) {
+                streamLLMOutput(`Orchestra: ${targetOrchestra} -> ${next.orchestra} (too few ${style} tracks left)\n`);
+                targetOrchestra = next.orchestra;
+              }
 
               const chosenTracks = [];
               for (const id of next.trackIds) {
                 if (isUsed(id)) continue;
                 const tr = resolveByAnyId(id);
-                const trOrch = (tr?.artist ?? tr?.tags?.artist ?? tr?.metadata?.artist ?? "Unknown").trim();
+                const trOrch = orchestraOf(tr);
                 if (tr && trOrch === targetOrchestra) {
                   chosenTracks.push(tr);
                   markUsed(getId(tr));
@@ -3215,25 +3428,16 @@ export function registerAgentStreamRoutes(app){
 
         // ---------- 3) Fallback: style-only shortlist, role-aware scoring ----------
         if (!tandaMade) {
-          const { slim: styleOnly } = shortlistCandidates(style, workingSet, usedIds, 100);
+          const { slim: styleOnly } = shortlistCandidates(style, stylePool, usedIds, 100);
 
           // Role-aware total continuity scoring
           const scoreByContinuity = (t) => {
             if (!t) return 1e9;
-            const bpm = t?.BPM ?? t?.bpm ?? t?.audio?.bpm ?? t?.tags?.BPM ?? t?.tags?.tempoBPM ?? null;
-            const en  = t?.Energy ?? t?.energy ?? t?.audio?.energy ?? t?.tags?.Energy ?? null;
+            const bpm = bpmOf(t);
+            const en  = energyOf(t);
             const cam = keyToCamelot(t);
             // soft continuity costs against prevKey
-            const kPrev = prevKey && cam ? Math.min(4, (() => {
-              const order = [
-                "1A","2A","3A","4A","5A","6A","7A","8A","9A","10A","11A","12A",
-                "1B","2B","3B","4B","5B","6B","7B","8B","9B","10B","11B","12B",
-              ];
-              const i = order.indexOf(prevKey), j = order.indexOf(cam);
-              if (i < 0 || j < 0) return 99;
-              const d = Math.abs(i - j);
-              return Math.min(d, 24 - d);
-            })()) : 0;
+            const kPrev = prevKey && cam ? Math.min(4, camelotDistance(prevKey, cam)) : 0;
 
             const contCost = 0.7 * kPrev; // keep modest
             const boost    = roleScoreBoost(t, role);
@@ -3258,6 +3462,10 @@ export function registerAgentStreamRoutes(app){
             prevKey,
             onLLMOutput: streamLLMOutput,
             profiles, // Pass orchestra profiles for retry logic
+            engine,
+            singerMode,
+            role,
+            resolveTrack: resolveByAnyId,
           });
 
           const chosenTracks = [];
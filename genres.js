@@ -0,0 +1,222 @@
+// genres.js (ESM)
+//
+// Dance-genre taxonomy: the three core styles tandas are built of, the
+// sub-genres programmed inside them, and the genres only ever used as cortinas.
+//
+//   tango     > tango-cancion, nuevo (> electrotango), alternative
+//   vals
+//   milonga   > candombe, milonga-campera
+//   cortina   > jazz, swing, country, rock, pop, electro, lounge, blues: cortina-only music,
+//               never a dance track
+//
+// Every entry has a label, a parent (null for a root) and aliases. A genre tag
+// matches an entry by its id, label or any alias, ignoring case, accents and
+// punctuation ("Tango Canción" = "tango-cancion", "Valse" = "vals"). A track tagged
+// with a sub-genre belongs to its parents too: a "milonga" slot takes candombes,
+// a "candombe" slot only candombes, a "cortina" pool every cortina genre and a
+// "jazz" pool only jazz. A `separate` sub-genre (nuevo and electrotango,
+// alternative) is only picked by its own name: it keeps tango's BPM window and
+// stays out of the cortinas, but a "tango" slot does not take it. Genre names the
+// taxonomy does not know are kept as they are and still match themselves.
+//
+// Entries in genre-taxonomy.json (same shape, by id) replace or add to the built-in ones:
+//   { "genres": { "chacarera": { "label": "Chacarera", "parent": "cortina", "aliases": ["chacareras"] } } }
+//
+// Env:
+//   GENRE_TAXONOMY=./genre-taxonomy.json
+
+import path from "node:path";
+import { z } from "zod";
+import { foldName } from "./orchestra.js";
+import { jsonTable } from "./json-table.js";
+
+export const GENRES_PATH = path.resolve(process.env.GENRE_TAXONOMY || "genre-taxonomy.json");
+
+const BUILT_IN = {
+  tango: { label: "Tango", parent: null, aliases: ["tango argentino", "argentine tango"] },
+  vals: { label: "Vals", parent: null, aliases: ["valse", "waltz", "valz", "vals criollo", "tango vals"] },
+  milonga: { label: "Milonga", parent: null, aliases: ["milonga portena", "milonga ciudadana"] },
+  candombe: { label: "Candombe", parent: "milonga", aliases: ["milonga candombe", "candombe milonga"] },
+  "milonga-campera": { label: "Milonga campera", parent: "milonga", aliases: ["milonga surera", "milonga pampeana", "milonga criolla"] },
+  "tango-cancion": { label: "Tango-canción", parent: "tango", aliases: ["tango cancion", "tango canción"] },
+  nuevo: { label: "Nuevo", parent: "tango", separate: true, aliases: ["tango nuevo", "nuevo tango", "neotango", "neo tango"] },
+  electrotango: { label: "Electrotango", parent: "nuevo", aliases: ["electro tango", "electronic tango", "tango electronico"] },
+  alternative: { label: "Alternative", parent: "tango", separate: true, aliases: ["alt", "alt tango", "alternative tango", "non tango"] },
+  cortina: { label: "Cortina", parent: null, cortinaOnly: true, aliases: ["cortinas", "cortina only"] },
+  jazz: { label: "Jazz", parent: "cortina", aliases: [] },
+  swing: { label: "Swing", parent: "cortina", aliases: ["electro swing"] },
+  country: { label: "Country", parent: "cortina", aliases: ["country western"] },
+  rock: { label: "Rock", parent: "cortina", aliases: ["rock and roll", "rock n roll"] },
+  pop: { label: "Pop", parent: "cortina", aliases: [] },
+  electro: { label: "Electro", parent: "cortina", aliases: ["electronic", "electronica"] },
+  lounge: { label: "Lounge", parent: "cortina", aliases: ["chillout"] },
+  blues: { label: "Blues", parent: "cortina", aliases: [] },
+};
+
+const EntrySchema = z.object({
+  label: z.string().trim().min(1),
+  parent: z.string().trim().min(1).nullable().default(null),
+  aliases: z.array(z.string().trim().min(1)).default([]),
+  separate: z.boolean().optional(),
+  cortinaOnly: z.boolean().optional(),
+});
+
+const TaxonomySchema = z.object({
+  genres: z.record(EntrySchema).default({}),
+});
+
+// ---------- taxonomy ----------
+let entries = {}; // id -> entry
+let index = new Map(); // folded id / label / alias -> id
+
+function applyTaxonomy(doc) {
+  const merged = { ...BUILT_IN, ...TaxonomySchema.parse(doc).genres };
+  const next = Object.fromEntries(Object.entries(merged).map(([id, e]) => [id, EntrySchema.parse(e)]));
+  for (const [id, e] of Object.entries(next)) {
+    const seen = new Set([id]);
+    for (let p = e.parent; p; p = next[p].parent) {
+      if (!next[p]) throw new Error(`${id}: unknown parent "${p}"`);
+      if (seen.has(p)) throw new Error(`${id}: parent cycle through "${p}"`);
+      seen.add(p);
+    }
+  }
+  // ids and labels first, so an alias never shadows another entry's own name
+  const idx = new Map();
+  for (const [id, e] of Object.entries(next)) for (const n of [id, e.label]) if (!idx.has(foldName(n))) idx.set(foldName(n), id);
+  for (const [id, e] of Object.entries(next)) for (const n of e.aliases) if (!idx.has(foldName(n))) idx.set(foldName(n), id);
+  entries = next;
+  index = idx;
+}
+
+// An invalid file at startup leaves the built-in taxonomy
+const taxonomyFile = jsonTable({
+  path: GENRES_PATH,
+  label: "genres",
+  keeping: "taxonomy",
+  apply: applyTaxonomy,
+  onInvalid: () => Object.keys(entries).length || applyTaxonomy({}),
+});
+export const refreshGenres = taxonomyFile.refresh;
+refreshGenres();
+
+/** The taxonomy in effect: [{ id, label, parent, aliases, separate, cortinaOnly, core }] */
+export function genreTaxonomy() {
+  refreshGenres();
+  return Object.entries(entries).map(([id, e]) => ({
+    id,
+    label: e.label,
+    parent: e.parent,
+    aliases: e.aliases,
+    separate: !!e.separate,
+    cortinaOnly: isCortinaOnly(id),
+    core: coreStyleOf(id),
+  }));
+}
+
+// ---------- lookups ----------
+/** Genre name (any spelling) -> taxonomy id, or null */
+export function resolveGenre(name) {
+  return index.get(foldName(name)) ?? null;
+}
+
+/** The genre and its parents, nearest first: "electrotango" -> ["electrotango", "nuevo", "tango"] */
+export function genreLineage(name) {
+  const out = [];
+  for (let id = resolveGenre(name); id && !out.includes(id); id = entries[id].parent) out.push(id);
+  return out;
+}
+
+export function genreLabel(name) {
+  const id = resolveGenre(name);
+  return id ? entries[id].label : String(name ?? "").trim();
+}
+
+/** A genre only played as a cortina (itself or a parent marked cortinaOnly) */
+export function isCortinaOnly(name) {
+  return genreLineage(name).some((id) => entries[id].cortinaOnly);
+}
+
+/** Core dance style of a genre ("candombe" -> "milonga"); null for cortina-only and unknown genres */
+export function coreStyleOf(name) {
+  const lineage = genreLineage(name);
+  return lineage.length && !isCortinaOnly(name) ? lineage.at(-1) : null;
+}
+
+/** What a style name is matched on: its taxonomy id, or the folded name when the taxonomy does not know it */
+export function styleKey(name) {
+  return resolveGenre(name) ?? foldName(name);
+}
+
+/** Both names select the same tracks ("Valse" / "vals") */
+export function sameStyle(a, b) {
+  return styleKey(a) === styleKey(b);
+}
+
+// ---------- tracks ----------
+/** Raw genre names of a catalog track, compact row or candidate */
+export function trackGenres(t) {
+  return [t?.tags?.genre, t?.genre, t?.styles, t?.style]
+    .flat(2)
+    .map((g) => String(g ?? "").trim())
+    .filter(Boolean);
+}
+
+// The lineage a genre is matched with: up to (and including) the first `separate` entry
+function matchLineage(name) {
+  const lineage = genreLineage(name);
+  const cut = lineage.findIndex((id) => entries[id].separate);
+  return cut < 0 ? lineage : lineage.slice(0, cut + 1);
+}
+
+/** Everything a track matches: its genres folded, their taxonomy ids and the parents up to a `separate` entry */
+export function trackGenreKeys(t) {
+  const keys = new Set();
+  for (const g of trackGenres(t)) {
+    keys.add(foldName(g));
+    for (const id of matchLineage(g)) keys.add(id);
+  }
+  keys.delete("");
+  return keys;
+}
+
+/** Track belongs to the style (or a sub-genre of it) */
+export function matchesStyle(t, style) {
+  return trackGenreKeys(t).has(styleKey(style));
+}
+
+/** Core dance style of a track ("tango" | "vals" | "milonga"), or null */
+export function danceStyleOf(t) {
+  for (const g of trackGenres(t)) {
+    const core = coreStyleOf(g);
+    if (core) return core;
+  }
+  return null;
+}
+
+/**
+ * Genre tags -> labels of the styles they match, parents first: ["candombe"] -> ["Milonga", "Candombe"],
+ * ["jazz"] -> ["Cortina", "Jazz"], ["electrotango"] -> ["Nuevo", "Electrotango"]; unknown genres are kept as written.
+ */
+export function canonStyles(arrOrStr) {
+  if (!arrOrStr) return [];
+  const out = new Set();
+  for (const s of [arrOrStr].flat()) {
+    const name = String(s ?? "").trim();
+    if (!name) continue;
+    const lineage = matchLineage(name);
+    for (const id of lineage.slice().reverse()) out.add(entries[id].label);
+    if (!lineage.length) out.add(name);
+  }
+  return [...out];
+}
+
+/** Folded names of every cortina-only genre (the default cortina pool of listCortinas) */
+export function cortinaGenres() {
+  refreshGenres();
+  const names = new Set();
+  for (const [id, e] of Object.entries(entries)) {
+    if (!isCortinaOnly(id)) continue;
+    for (const n of [id, e.label, ...e.aliases]) names.add(foldName(n));
+  }
+  return [...names];
+}
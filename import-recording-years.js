@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * Bulk-load recording dates from a CSV into recording-years.json
+ * (recording-years.js). Columns, by header name, any order:
+ *   orchestra   required (any spelling the alias table knows)
+ *   title       required
+ *   year        required unless date is given
+ *   date        "1941-05-12", "12/05/1941" ... (the year is taken from it)
+ *   singer      optional: empty = any line-up, "instrumental", or names separated by , ; / & y
+ *   source      optional, per row (else --source)
+ * Comma, semicolon or tab delimited.
+ *
+ * A row whose orchestra + title + singers is already in the table with another
+ * year is a conflict: the table keeps its year unless --replace.
+ *
+ * Usage:
+ *   node import-recording-years.js --csv ./recordings.csv [--source tango.info] [--replace] [--dry-run] [--show 20]
+ */
+
+import fs from "node:fs/promises";
+import {
+  RECORDING_YEARS_PATH,
+  recordingYearsTable,
+  saveRecordingYears,
+  parseRecordingYearsCsv,
+  mergeRecordings,
+} from "./recording-years.js";
+
+function parseArgs(argv) {
+  const out = { show: 20 };
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--csv") out.csv = argv[++i];
+    else if (a === "--source") out.source = argv[++i];
+    else if (a === "--replace") out.replace = true;
+    else if (a === "--dry-run") out.dryRun = true;
+    else if (a === "--show") out.show = Number(argv[++i]) || 0;
+    else if (a === "--help" || a === "-h") out.help = true;
+  }
+  return out;
+}
+
+const who = (r) => `${r.orchestra} — ${r.title}${r.singers ? ` (${r.singers.join(", ") || "instrumental"})` : ""}`;
+
+async function main() {
+  const args = parseArgs(process.argv);
+  if (args.help || !args.csv) {
+    console.log(`Import recording dates into ${RECORDING_YEARS_PATH}.
+
+Usage:
+  node import-recording-years.js --csv ./recordings.csv [--source tango.info] [--replace] [--dry-run] [--show 20]
+`);
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const { recordings, errors } = parseRecordingYearsCsv(await fs.readFile(args.csv, "utf8"), { source: args.source ?? null });
+  const before = recordingYearsTable().recordings;
+  const merged = mergeRecordings(before, recordings, { replace: args.replace });
+
+  console.log(`CSV rows:        ${recordings.length + errors.length}`);
+  console.log(`Invalid rows:    ${errors.length}`);
+  console.log(`Table entries:   ${before.length} -> ${merged.recordings.length}`);
+  console.log(`Added:           ${merged.added}`);
+  console.log(`Same year:       ${merged.same}`);
+  console.log(`Conflicts:       ${merged.conflicts.length} (${args.replace ? "CSV year written" : "table year kept; --replace to overwrite"})`);
+
+  if (args.show && errors.length) {
+    console.log(`\nInvalid rows (${Math.min(args.show, errors.length)} of ${errors.length}):`);
+    for (const e of errors.slice(0, args.show)) console.log(`  line ${e.line}: ${e.error}`);
+  }
+  if (args.show && merged.conflicts.length) {
+    console.log(`\nConflicts (${Math.min(args.show, merged.conflicts.length)} of ${merged.conflicts.length}):`);
+    for (const c of merged.conflicts.slice(0, args.show)) {
+      console.log(`  ${who(c.existing)}: table ${c.existing.year}${c.existing.source ? ` (${c.existing.source})` : ""}, CSV ${c.incoming.year}`);
+    }
+  }
+
+  if (args.dryRun) {
+    console.log("\nDry run: nothing written.");
+    return;
+  }
+  if (!merged.added && !merged.updated) {
+    console.log("\nNothing to change.");
+    return;
+  }
+  saveRecordingYears({ recordings: merged.recordings });
+  console.log(`\nWrote:           ${RECORDING_YEARS_PATH}`);
+}
+
+main().catch((err) => {
+  console.error("ERROR:", err?.message || err);
+  process.exit(1);
+});
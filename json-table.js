@@ -0,0 +1,52 @@
+// json-table.js (ESM)
+//
+// One editable JSON file kept in memory: read on first use, re-read whenever its
+// stamp (mtime + size) changes, written atomically (tmp file + rename). The alias
+// table, the track overlay, the recording years, the genre taxonomy and the
+// orchestra registry are each one of these.
+//
+//   const file = jsonTable({ path, label: "years", keeping: "table", apply(doc) { ...validate, build indexes } });
+//   file.refresh()   -> stamp ("<mtimeMs>:<size>", or "none" when the file is missing); calls apply() only on a change
+//   file.save(doc)   -> writes doc (2-space JSON), re-reads it and returns the new stamp
+//
+// A missing file applies {}. When apply() throws, the error is logged, the module
+// keeps what it had (onInvalid runs, e.g. to fall back to built-in defaults) and
+// the file is not retried until it changes again. catalog.js folds the stamps of
+// the tables that change indexed data into the catalog version.
+
+import fs from "node:fs";
+
+export function jsonTable({ path, label, keeping = "contents", apply, onInvalid = null }) {
+  let loadedStamp = null;
+
+  function stamp() {
+    try {
+      const st = fs.statSync(path);
+      return `${st.mtimeMs}:${st.size}`;
+    } catch {
+      return "none";
+    }
+  }
+
+  function refresh() {
+    const current = stamp();
+    if (current === loadedStamp) return current;
+    try {
+      apply(current === "none" ? {} : JSON.parse(fs.readFileSync(path, "utf8")));
+    } catch (e) {
+      console.error(`[${label}] invalid ${path}, keeping previous ${keeping}:`, e.message);
+      onInvalid?.(e);
+    }
+    loadedStamp = current;
+    return current;
+  }
+
+  function save(doc) {
+    const tmp = `${path}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(doc, null, 2) + "\n");
+    fs.renameSync(tmp, path);
+    return refresh();
+  }
+
+  return { path, refresh, save };
+}
@@ -0,0 +1,116 @@
+// key.js (ESM)
+//
+// Musical keys on the Camelot wheel, shared by every planner, the catalog
+// index, the replacement search and the playlist review.
+//
+// parseKey() reads any spelling the catalogs and tag editors write:
+//   Camelot      "8A", "08a", "12B"
+//   Open Key     "1m" (minor) / "1d" (major)        1m = Am = 8A, 1d = C = 8B
+//   note names   "Am", "A minor", "Amin", "A#m", "Bbm", "B♭ minor", "F#", "Gb maj", "Cmajor"
+// and returns the Camelot key ("8A"), or null.
+//
+// Distance counts mixing steps on the wheel:
+//   0  same key
+//   1  ±1 on the wheel (fifth up/down) or the relative major/minor (8A <-> 8B)
+//   n  n steps around the wheel, +1 when the mode changes too (8A -> 9B = 2)
+// keyCompatibility() turns that into a 0–1 score (1 same key, 0.9 one step).
+
+export const CAMELOT_KEYS = [
+  ...Array.from({ length: 12 }, (_, i) => `${i + 1}A`),
+  ...Array.from({ length: 12 }, (_, i) => `${i + 1}B`),
+];
+
+// Compatibility by distance; anything further is a clash
+const COMPATIBILITY = [1, 0.9, 0.6, 0.3, 0.1];
+
+const NOTE_PC = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const MINOR_WORDS = new Set(["m", "min", "minor", "moll"]);
+const MAJOR_WORDS = new Set(["", "maj", "major", "dur"]);
+
+// Conventional spelling of each Camelot key, by wheel number
+const MAJOR_NAMES = ["B", "F#", "Db", "Ab", "Eb", "Bb", "F", "C", "G", "D", "A", "E"];
+const MINOR_NAMES = ["Abm", "Ebm", "Bbm", "Fm", "Cm", "Gm", "Dm", "Am", "Em", "Bm", "F#m", "C#m"];
+
+const mod12 = (x) => ((x % 12) + 12) % 12;
+const wheel = (n) => mod12(n - 1) + 1;
+
+/** Pitch class (0 = C) + mode -> Camelot key */
+function fromPitch(pc, minor) {
+  // Majors step a fifth (7 semitones) per wheel number, C major = 8B; a minor sits on its relative major's number
+  const major = minor ? mod12(pc + 3) : mod12(pc);
+  return `${wheel(mod12(major * 7) + 8)}${minor ? "A" : "B"}`;
+}
+
+/** Any key spelling -> Camelot key ("8A") or null */
+export function parseKey(value) {
+  if (value == null) return null;
+  const s = String(value).trim().replace(/♯/g, "#").replace(/♭/g, "b");
+  if (!s) return null;
+
+  let m = s.match(/^0?(\d{1,2})\s*([ABDM])$/i);
+  if (m) {
+    const n = Number(m[1]);
+    if (n < 1 || n > 12) return null;
+    const l = m[2].toUpperCase();
+    if (l === "A" || l === "B") return `${n}${l}`;
+    return `${wheel(n + 7)}${l === "M" ? "A" : "B"}`; // Open Key: 1d = 8B
+  }
+
+  m = s.match(/^([A-Ga-g])\s*([#b]*)\s*[-_]?\s*(.*)$/);
+  if (!m) return null;
+  const rest = m[3].trim();
+  const word = rest === "M" ? "maj" : rest.toLowerCase();
+  if (!MINOR_WORDS.has(word) && !MAJOR_WORDS.has(word)) return null;
+  let pc = NOTE_PC[m[1].toUpperCase()];
+  for (const a of m[2]) pc += a === "#" ? 1 : -1;
+  return fromPitch(pc, MINOR_WORDS.has(word));
+}
+
+/** Camelot key of a catalog track, compact row or agent candidate (first field that parses) */
+export function keyToCamelot(t) {
+  for (const v of [t?.camelotKey, t?.Camelot, t?.camelot, t?.tags?.camelotKey, t?.Key, t?.key, t?.tags?.Key]) {
+    const cam = parseKey(v);
+    if (cam) return cam;
+  }
+  return null;
+}
+
+/** Conventional name of a Camelot key ("8A" -> "Am"), or null */
+export function keyName(key) {
+  const cam = parseKey(key);
+  if (!cam) return null;
+  const n = Number.parseInt(cam, 10);
+  return (cam.endsWith("A") ? MINOR_NAMES : MAJOR_NAMES)[n - 1];
+}
+
+/** Mixing steps between two keys (any spelling); Infinity when either is unknown */
+export function camelotDistance(a, b) {
+  const ka = parseKey(a);
+  const kb = parseKey(b);
+  if (!ka || !kb) return Infinity;
+  const d = Math.abs(Number.parseInt(ka, 10) - Number.parseInt(kb, 10));
+  const steps = Math.min(d, 12 - d);
+  if (ka.at(-1) === kb.at(-1)) return steps;
+  return steps === 0 ? 1 : steps + 1;
+}
+
+/** 0–1 harmonic compatibility of two keys (null when either is unknown) */
+export function keyCompatibility(a, b) {
+  const d = camelotDistance(a, b);
+  return d === Infinity ? null : COMPATIBILITY[d] ?? 0;
+}
+
+/** Same key, ±1 on the wheel or relative major/minor (true when either key is unknown) */
+export function keysCompatible(a, b) {
+  const d = camelotDistance(a, b);
+  return d <= 1 || d === Infinity;
+}
+
+/** Camelot wheel neighbours: same key, ±1 on the wheel, relative major/minor */
+export function camelotNeighbors(key) {
+  const cam = parseKey(key);
+  if (!cam) return [];
+  const n = Number.parseInt(cam, 10);
+  const mode = cam.at(-1);
+  return [cam, `${wheel(n - 1)}${mode}`, `${wheel(n + 1)}${mode}`, `${n}${mode === "A" ? "B" : "A"}`];
+}
@@ -0,0 +1,149 @@
+// library-config.js (ESM)
+//
+// Machine-specific locations: named library roots, the album-art directory and
+// the cortinas directory. Read from milonga.config.json (see
+// milonga.config.example.json), so one catalog works on every machine.
+//
+// Catalog paths may be stored root-relative as "<root>:<relative/path>", e.g.
+//   "absPath": "music:Alfredo de Angelis/Como nos cambia la vida/01 - Como nos cambia la vida.mp3"
+// and are resolved against this machine's roots when the catalog loads.
+// Absolute paths from another machine are remapped through each root's "aliases".
+//
+// Env:
+//   MILONGA_CONFIG=./milonga.config.json
+//   MUSIC_ROOT / ART_DIR / CORTINAS_DIR   (override the file: primary root, artDir, cortinasDir)
+
+import dotenv from "dotenv";
+dotenv.config();
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+export const CONFIG_PATH = path.resolve(process.env.MILONGA_CONFIG || "milonga.config.json");
+
+// Used when there is no config file: the original layout, under this user's ~/Music.
+// The shipped catalogs store absolute paths from the Mac they were built on; the
+// aliases map them onto these roots.
+const MUSIC_HOME = path.join(os.homedir(), "Music");
+const ORIGINAL_MUSIC_HOME = "/Users/johnwilliams/Music";
+const DEFAULTS = {
+  roots: {
+    music: { path: path.join(MUSIC_HOME, "MyMusic"), aliases: [`${ORIGINAL_MUSIC_HOME}/MyMusic`] },
+    djmusic: { path: path.join(MUSIC_HOME, "DJMusic"), aliases: [`${ORIGINAL_MUSIC_HOME}/DJMusic`] },
+  },
+  artDir: path.join(MUSIC_HOME, "Art"),
+  cortinasDir: "",
+};
+
+// Root names need 2+ chars so Windows drive letters ("C:\...") never look rooted
+const ROOTED_RE = /^([A-Za-z][\w-]+):(?!\/\/)(.*)$/;
+
+const slash = (p) => String(p).replace(/\\/g, "/");
+const trimSlash = (p) => slash(p).replace(/\/+$/, "");
+
+function normalizeRoot(name, v) {
+  const r = typeof v === "string" ? { path: v } : v || {};
+  if (!r.path) throw new Error(`Library root "${name}" has no path`);
+  return {
+    name,
+    path: trimSlash(path.resolve(r.path)),
+    aliases: (r.aliases || []).map(trimSlash),
+  };
+}
+
+function loadConfig() {
+  let file = null;
+  try {
+    file = JSON.parse(fs.readFileSync(CONFIG_PATH, "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") throw new Error(`Invalid ${CONFIG_PATH}: ${e.message}`);
+  }
+  const raw = file || DEFAULTS;
+  const roots = Object.entries(raw.roots || DEFAULTS.roots).map(([name, v]) => normalizeRoot(name, v));
+  if (!roots.length) throw new Error(`${CONFIG_PATH}: at least one library root is required`);
+
+  // The first root is the primary one (/files, scan default); MUSIC_ROOT overrides its path
+  if (process.env.MUSIC_ROOT) {
+    const old = roots[0].path;
+    roots[0].path = trimSlash(path.resolve(process.env.MUSIC_ROOT));
+    if (old !== roots[0].path) roots[0].aliases.push(old);
+  }
+
+  return {
+    source: file ? CONFIG_PATH : null,
+    roots,
+    artDir: process.env.ART_DIR || raw.artDir || DEFAULTS.artDir,
+    cortinasDir: process.env.CORTINAS_DIR ?? raw.cortinasDir ?? "",
+  };
+}
+
+export const config = loadConfig();
+export const primaryRoot = config.roots[0];
+
+export function getRoot(name) {
+  return config.roots.find((r) => r.name === name) || null;
+}
+
+/** "music:Artist/x.mp3" -> { root, rel }; null for anything else */
+export function parseRootedPath(p) {
+  const m = typeof p === "string" ? p.match(ROOTED_RE) : null;
+  if (!m) return null;
+  const root = getRoot(m[1]);
+  return root ? { root, rel: m[2].replace(/^[\\/]+/, "") } : null;
+}
+
+/**
+ * Absolute path on this machine for a catalog path:
+ * rooted ("music:...") -> joined with the root; absolute under a root alias -> remapped;
+ * anything else is returned unchanged.
+ */
+export function resolveLibraryPath(p) {
+  if (!p) return p ?? null;
+  const rooted = parseRootedPath(p);
+  if (rooted) return path.join(rooted.root.path, rooted.rel);
+  const x = slash(p);
+  for (const r of config.roots) {
+    for (const a of r.aliases) {
+      if (x === a || x.startsWith(a + "/")) return r.path + x.slice(a.length);
+    }
+  }
+  return p;
+}
+
+/** Legacy track ids are base64url(absolute path); decoded ones still go through resolveLibraryPath */
+export const b64u = {
+  enc: (s) => Buffer.from(String(s)).toString("base64url"),
+  dec: (s) => Buffer.from(String(s), "base64url").toString(),
+};
+
+/** Root-relative form ("music:Artist/x.mp3") of an absolute path, or null if it's under no root */
+export function toRootedPath(p) {
+  if (!p || parseRootedPath(p)) return p ?? null;
+  const x = slash(p);
+  // Longest prefix wins so nested roots map to the most specific one
+  const prefixes = config.roots
+    .flatMap((r) => [r.path, ...r.aliases].map((prefix) => ({ r, prefix })))
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+  for (const { r, prefix } of prefixes) {
+    if (x.startsWith(prefix + "/")) return `${r.name}:${x.slice(prefix.length + 1)}`;
+  }
+  return null;
+}
+
+/** Web URL for a file under a root: primary root -> /files/..., others -> /roots/<name>/... */
+export function rootUrl(root, rel) {
+  const tail = "/" + slash(rel).replace(/^\/+/, "");
+  return root === primaryRoot ? "/files" + tail : `/roots/${root.name}${tail}`;
+}
+
+/** Copy of a catalog track with file/cover paths resolved for this machine */
+export function resolveTrackPaths(t) {
+  if (!t?.file) return t;
+  const file = { ...t.file };
+  for (const k of ["absPath", "absolutePath", "path", "wavPath"]) {
+    if (file[k]) file[k] = resolveLibraryPath(file[k]);
+  }
+  const tags = t.tags?.coverPath ? { ...t.tags, coverPath: resolveLibraryPath(t.tags.coverPath) } : t.tags;
+  return { ...t, file, tags };
+}
@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+/**
+ * Copy chosen fields from one catalog (the source, e.g. the enricher's
+ * tracks.enriched.json) into another (the target, e.g. catalog-Art.json).
+ *
+ * Tracks are matched by the first strategy that hits, in the order given:
+ *   wavPath  file.wavPath
+ *   absPath  file.absPath / absolutePath / path
+ *   noext    either path without its extension (x.wav <-> x.mp3)
+ *   meta     title + artist (accent/case-insensitive) + duration within 2 s
+ *
+ * Fields are tag names (written to tags.<field>) or dotted paths ("format.durationSec").
+ * When both sides have a different value the conflict policy decides:
+ *   prefer-source  overwrite the target
+ *   prefer-target  keep the target
+ *   report         keep the target and list the conflict (default)
+ * Empty target values are always filled. An Energy that holds loudness (dB, negative)
+ * is not a conflict: it moves to tags.loudnessDb and Energy is filled (energy.js).
+ *
+ * Usage:
+ *   node merge-catalog.js --source ./tracks.enriched.json --target ./catalog-Art.json \
+ *     --fields BPM,Key,camelotKey,Energy [--match wavPath,absPath,noext,meta] \
+ *     [--conflict prefer-source|prefer-target|report] [--out ./catalog-Art.json] \
+ *     [--dry-run] [--show 20] [--report ./merge-report.json]
+ *
+ * If --out is omitted the target is rewritten in place.
+ * The old merge-duration.js is: --fields durationSec --match wavPath
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { foldName } from "./orchestra.js";
+import { isLoudnessDb } from "./energy.js";
+
+const STRATEGIES = ["wavPath", "absPath", "noext", "meta"];
+const POLICIES = ["prefer-source", "prefer-target", "report"];
+const META_DURATION_TOLERANCE = 2; // seconds
+
+function parseArgs(argv) {
+  const out = { match: STRATEGIES, conflict: "report", show: 20 };
+  const list = (v) => String(v || "").split(",").map((s) => s.trim()).filter(Boolean);
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--source") out.source = argv[++i];
+    else if (a === "--target") out.target = argv[++i];
+    else if (a === "--fields") out.fields = list(argv[++i]);
+    else if (a === "--match") out.match = list(argv[++i]);
+    else if (a === "--conflict") out.conflict = argv[++i];
+    else if (a === "--out") out.out = argv[++i];
+    else if (a === "--dry-run") out.dryRun = true;
+    else if (a === "--show") out.show = Number(argv[++i]) || 0;
+    else if (a === "--report") out.report = argv[++i];
+    else if (a === "--help" || a === "-h") out.help = true;
+  }
+  return out;
+}
+
+// ---------- reading ----------
+const tracksOf = (doc) => (Array.isArray(doc) ? doc : Array.isArray(doc?.tracks) ? doc.tracks : null);
+
+function normPath(p) {
+  if (!p) return null;
+  let s = String(p).trim();
+  s = s.replace(/^file:\/\//i, "");
+  try { s = decodeURIComponent(s); } catch {}
+  return s.replace(/\\/g, "/").toLowerCase();
+}
+const stripExt = (p) => (p ? p.replace(/\.[a-z0-9]{1,5}$/i, "") : null);
+
+const absOf = (t) => t?.file?.absPath ?? t?.file?.absolutePath ?? t?.file?.path ?? null;
+
+function durationOf(t) {
+  const v = Number(t?.tags?.durationSec ?? t?.format?.durationSec);
+  return Number.isFinite(v) && v > 0 ? v : null;
+}
+
+/** Match keys of a track for one strategy */
+function keysFor(t, strategy) {
+  if (strategy === "wavPath") return [normPath(t?.file?.wavPath)];
+  if (strategy === "absPath") return [normPath(absOf(t))];
+  if (strategy === "noext") return [stripExt(normPath(absOf(t))), stripExt(normPath(t?.file?.wavPath))];
+  if (strategy === "meta") {
+    const title = foldName(t?.tags?.title);
+    const artist = foldName(t?.tags?.artist);
+    return [title && artist ? `${title}|${artist}` : null];
+  }
+  return [];
+}
+
+// Field value, read where catalogs keep it; durationSec also from format.durationSec
+function readField(t, field) {
+  if (field.includes(".")) return field.split(".").reduce((o, k) => o?.[k], t) ?? null;
+  if (field === "durationSec") {
+    const d = durationOf(t);
+    return d == null ? null : Math.round(d);
+  }
+  return t?.tags?.[field] ?? null;
+}
+
+function writeField(t, field, value) {
+  const keys = field.includes(".") ? field.split(".") : ["tags", field];
+  let o = t;
+  for (const k of keys.slice(0, -1)) {
+    if (!o[k] || typeof o[k] !== "object") o[k] = {};
+    o = o[k];
+  }
+  o[keys.at(-1)] = value;
+}
+
+const isEmpty = (v) => v == null || v === "" || (Array.isArray(v) && !v.length);
+function sameValue(a, b) {
+  const na = Number(a);
+  const nb = Number(b);
+  if (typeof a !== "object" && typeof b !== "object" && a !== "" && b !== "" && Number.isFinite(na) && Number.isFinite(nb)) {
+    return Math.abs(na - nb) < 1e-6;
+  }
+  if (typeof a === "string" && typeof b === "string") return a.trim().toLowerCase() === b.trim().toLowerCase();
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+const show = (v) => (typeof v === "string" ? JSON.stringify(v) : JSON.stringify(v) ?? "∅");
+const titleOf = (t) => t?.tags?.title ?? path.basename(String(absOf(t) ?? "?"));
+
+// ---------- matching ----------
+function buildIndex(sourceTracks, strategies) {
+  const index = new Map(strategies.map((s) => [s, new Map()]));
+  let duplicates = 0;
+  for (const t of sourceTracks) {
+    for (const s of strategies) {
+      for (const k of keysFor(t, s)) {
+        if (!k) continue;
+        const m = index.get(s);
+        if (s === "meta") {
+          if (!m.has(k)) m.set(k, []);
+          m.get(k).push(t);
+        } else if (m.has(k)) {
+          if (m.get(k) !== t) duplicates++;
+        } else m.set(k, t); // first one wins, like the enricher's own order
+      }
+    }
+  }
+  return { index, duplicates };
+}
+
+function findSource(t, strategies, index) {
+  for (const s of strategies) {
+    for (const k of keysFor(t, s)) {
+      if (!k) continue;
+      if (s !== "meta") {
+        const hit = index.get(s).get(k);
+        if (hit) return { source: hit, strategy: s };
+        continue;
+      }
+      const d = durationOf(t);
+      const hit = d == null ? null : index.get(s).get(k)?.find((x) => {
+        const dx = durationOf(x);
+        return dx != null && Math.abs(dx - d) <= META_DURATION_TOLERANCE;
+      });
+      if (hit) return { source: hit, strategy: s };
+    }
+  }
+  return null;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  const { source, target, fields, match, conflict, out, dryRun, help } = args;
+  if (help || !source || !target || !fields?.length) {
+    console.log(`Merge fields from one catalog into another.
+
+Usage:
+  node merge-catalog.js --source ./tracks.enriched.json --target ./catalog-Art.json --fields BPM,Key,camelotKey,Energy
+      [--match ${STRATEGIES.join(",")}] [--conflict ${POLICIES.join("|")}]
+      [--out ./catalog-Art.json] [--dry-run] [--show 20] [--report ./merge-report.json]
+`);
+    process.exit(help ? 0 : 1);
+  }
+  const bad = match.filter((s) => !STRATEGIES.includes(s));
+  if (bad.length) throw new Error(`Unknown match strategy: ${bad.join(", ")} (use ${STRATEGIES.join(", ")})`);
+  if (!POLICIES.includes(conflict)) throw new Error(`Unknown conflict policy "${conflict}" (use ${POLICIES.join(", ")})`);
+
+  const sourceTracks = tracksOf(JSON.parse(await fs.readFile(source, "utf8")));
+  const targetDoc = JSON.parse(await fs.readFile(target, "utf8"));
+  const targetTracks = tracksOf(targetDoc);
+  if (!sourceTracks) throw new Error(`${source}: expected an array or { tracks: [...] }`);
+  if (!targetTracks) throw new Error(`${target}: expected an array or { tracks: [...] }`);
+
+  const { index, duplicates } = buildIndex(sourceTracks, match);
+
+  const byStrategy = Object.fromEntries(match.map((s) => [s, 0]));
+  const perField = Object.fromEntries(fields.map((f) => [f, { filled: 0, overwritten: 0, conflicts: 0, same: 0, noSourceValue: 0 }]));
+  const changes = [];
+  const conflicts = [];
+  let unmatched = 0;
+
+  for (const t of targetTracks) {
+    const hit = findSource(t, match, index);
+    if (!hit) {
+      unmatched++;
+      continue;
+    }
+    byStrategy[hit.strategy]++;
+    for (const f of fields) {
+      const from = readField(hit.source, f);
+      const was = readField(t, f);
+      const st = perField[f];
+      if (isEmpty(from)) { st.noSourceValue++; continue; }
+      if (!isEmpty(was) && sameValue(was, from)) { st.same++; continue; }
+
+      const row = { title: titleOf(t), field: f, target: was ?? null, source: from, strategy: hit.strategy };
+      const loudness = f === "Energy" && isLoudnessDb(was) && !isLoudnessDb(from);
+      if (loudness) t.tags.loudnessDb ??= Number(was);
+      if (isEmpty(was) || loudness) {
+        st.filled++;
+      } else if (conflict === "prefer-source") {
+        st.overwritten++;
+      } else {
+        st.conflicts++;
+        conflicts.push(row);
+        continue; // prefer-target / report: target keeps its value
+      }
+      changes.push(row);
+      writeField(t, f, from);
+    }
+  }
+
+  // ---------- summary ----------
+  console.log(`Source tracks:   ${sourceTracks.length}${duplicates ? ` (${duplicates} duplicate keys, first kept)` : ""}`);
+  console.log(`Target tracks:   ${targetTracks.length}`);
+  console.log(`Matched:         ${targetTracks.length - unmatched} (${match.map((s) => `${s} ${byStrategy[s]}`).join(", ")})`);
+  console.log(`Unmatched:       ${unmatched}`);
+  console.log(`Conflict policy: ${conflict}`);
+  console.log("");
+  console.log("field            filled  overwritten  conflicts  same  no source value");
+  for (const f of fields) {
+    const s = perField[f];
+    console.log(`${f.padEnd(16)} ${String(s.filled).padStart(6)}  ${String(s.overwritten).padStart(11)}  ${String(s.conflicts).padStart(9)}  ${String(s.same).padStart(4)}  ${String(s.noSourceValue).padStart(15)}`);
+  }
+
+  if (args.show && changes.length) {
+    console.log(`\nChanges (${Math.min(args.show, changes.length)} of ${changes.length}):`);
+    for (const c of changes.slice(0, args.show)) console.log(`  ${c.title} — ${c.field}: ${show(c.target)} → ${show(c.source)}  [${c.strategy}]`);
+  }
+  if (args.show && conflicts.length) {
+    console.log(`\nConflicts kept as target (${Math.min(args.show, conflicts.length)} of ${conflicts.length}):`);
+    for (const c of conflicts.slice(0, args.show)) console.log(`  ${c.title} — ${c.field}: target ${show(c.target)}, source ${show(c.source)}  [${c.strategy}]`);
+  }
+
+  if (args.report) {
+    await fs.writeFile(args.report, JSON.stringify({ source, target, fields, match, conflict, byStrategy, perField, unmatched, changes, conflicts }, null, 2) + "\n");
+    console.log(`\nReport:          ${args.report}`);
+  }
+
+  if (dryRun) {
+    console.log("\nDry run: nothing written.");
+    return;
+  }
+  if (!changes.length) {
+    console.log("\nNothing to change.");
+    return;
+  }
+  // Write via rename so catalog.js's directory watch sees one complete file
+  const dest = out || target;
+  const tmp = `${dest}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(targetDoc, null, 2) + "\n");
+  await fs.rename(tmp, dest);
+  console.log(`\nWrote:           ${dest}`);
+}
+
+main().catch((err) => {
+  console.error("ERROR:", err?.message || err);
+  process.exit(1);
+});
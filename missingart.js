@@ -1,6 +1,7 @@
 // scripts/find-missing-art.js
 import fs from 'node:fs/promises';
 import path from 'node:path';
+import { recordedArt } from './art.js';
 
 async function main() {
   const root = process.cwd();
@@ -23,13 +24,9 @@ async function main() {
     return;
   }
 
-  const hasArt = (t) => {
-    const direct = typeof t?.artUrl === 'string' && t.artUrl.trim() !== '';
-    const inTags = typeof t?.tags?.artUrl === 'string' && t.tags.artUrl.trim() !== '';
-    return direct || inTags;
-  };
-
-  const missing = tracks.filter(t => !hasArt(t));
+  // Same rule as the catalog index and health audit (art.js); /art/:trackId can
+  // still find embedded or Folder.jpg art for these at request time
+  const missing = tracks.filter(t => recordedArt(t).source === 'none');
 
   await fs.writeFile(outPath, JSON.stringify(missing, null, 2) + '\n');
 
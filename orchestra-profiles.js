@@ -0,0 +1,174 @@
+// orchestra-profiles.js (ESM)
+//
+// Per-orchestra statistics of a set of catalog tracks, grouped by canonical
+// orchestra (orchestra.js):
+//
+//   buildOrchestraProfiles(tracks)           compact profiles: BPM/energy medians, common Camelot keys,
+//                                            average seconds, median year + what the orchestra registry knows
+//                                            (character, activeEras, typicalSingers, roles).
+//                                            The planners (generate.js) hand them to the LLM and the local ranker.
+//   orchestraSummaries(tracks, usedIds)      GET /api/orchestras: every orchestra's statistics + counts by style
+//                                            and decade + its registry entry (`registry`, null when unlisted)
+//   orchestraDiscography(tracks, name, usedIds)
+//                                            GET /api/orchestras/:name: the same for one orchestra + year timeline,
+//                                            singers and every track (oldest first)
+//
+// Tracks whose artist names no orchestra are grouped as "Unknown" for the planners'
+// profiles; the two views leave that catch-all out.
+//
+// `usedIds` is the set of track ids placed in a saved playlist or tanda (server.js);
+// a track in none of them is "unused". Counts are [{ value, count }] like the
+// facets of /api/catalog/query; styles are counted once per track, by the most
+// specific genre the taxonomy knows ("Candombe", not "Milonga" too).
+
+import { canonicalOrchestra, foldName, trackOrchestra } from "./orchestra.js";
+import { energyOf } from "./energy.js";
+import { bpmOf } from "./bpm.js";
+import { keyToCamelot } from "./key.js";
+import { effectiveYear } from "./recording-years.js";
+import { canonStyles, trackGenres, genreLabel } from "./genres.js";
+import { refreshRegistry, registryProfile, findOrchestra } from "./orchestra-registry.js";
+
+const num = (v) => {
+  const n = Number.parseFloat(v);
+  return Number.isFinite(n) ? n : null;
+};
+
+const UNKNOWN = "Unknown";
+const orchestraOf = (t) => trackOrchestra(t) || UNKNOWN;
+
+const idOf = (t) => t?.id ?? t?.file?.id ?? t?.file?.absPath ?? t?.file?.path ?? t?.path ?? null;
+const secondsOf = (t) => num(t?.format?.durationSec) ?? num(t?.tags?.durationSec) ?? num(t?.durationSec);
+const styleOf = (t) => {
+  const g = trackGenres(t)[0];
+  return g ? genreLabel(g) : "Unknown";
+};
+
+/** Median of a list of numbers (mean of the middle two for an even count); null when empty */
+export function median(arr) {
+  if (!arr.length) return null;
+  const s = [...arr].sort((a, b) => a - b);
+  const m = Math.floor(s.length / 2);
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+}
+
+function groupByOrchestra(tracks) {
+  const byOrchestra = new Map();
+  for (const t of tracks) {
+    const o = orchestraOf(t);
+    if (!byOrchestra.has(o)) byOrchestra.set(o, []);
+    byOrchestra.get(o).push(t);
+  }
+  return byOrchestra;
+}
+
+// [{ value, count }], most first (or by value when `byValue`)
+function countBy(arr, keyOf, { byValue = false } = {}) {
+  const counts = new Map();
+  for (const x of arr) {
+    const k = keyOf(x);
+    if (k == null) continue;
+    counts.set(k, (counts.get(k) || 0) + 1);
+  }
+  const out = [...counts].map(([value, count]) => ({ value, count }));
+  return out.sort(byValue ? (a, b) => a.value - b.value : (a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+}
+
+// Catalog statistics of one orchestra's tracks
+function statsOf(orchestra, arr) {
+  const styles = new Set(arr.flatMap((x) => canonStyles(trackGenres(x))));
+  const era = new Set(arr.map((x) => (x?.tags?.era ?? x?.era ?? null)).filter(Boolean));
+  const bpms = arr.map(bpmOf).filter((v) => v != null);
+  const energies = arr.map(energyOf).filter((v) => v != null);
+  const secs = arr.map(secondsOf).filter((v) => v > 0);
+  const years = arr.map(effectiveYear).filter((v) => v != null);
+
+  return {
+    orchestra,
+    styles: Array.from(styles),
+    eras: Array.from(era),
+    bpmMedian: bpms.length ? Math.round(median(bpms)) : null,
+    energyMedian: energies.length ? Math.round(median(energies) * 10) / 10 : null,
+    commonCamelot: countBy(arr, keyToCamelot).slice(0, 3).map((c) => c.value),
+    avgSeconds: secs.length ? Math.round(secs.reduce((s, x) => s + x, 0) / secs.length) : null,
+    yearMedian: years.length ? Math.round(median(years)) : null,
+  };
+}
+
+/** Compact per-orchestra profiles (catalog statistics + what the orchestra registry knows) */
+export function buildOrchestraProfiles(tracks) {
+  refreshRegistry();
+  return [...groupByOrchestra(tracks)].map(([orchestra, arr]) => ({
+    ...statsOf(orchestra, arr),
+    ...registryProfile(orchestra),
+    sampleIds: arr.map(idOf).filter(Boolean).slice(0, 30),
+  }));
+}
+
+// Counts shared by the list and the detail view
+function countsOf(arr, usedIds) {
+  const years = arr.map(effectiveYear).filter((v) => v != null);
+  return {
+    trackCount: arr.length,
+    unused: arr.filter((t) => !usedIds.has(t.id)).length,
+    yearMin: years.length ? Math.min(...years) : null,
+    yearMax: years.length ? Math.max(...years) : null,
+    byStyle: countBy(arr, styleOf),
+    byDecade: countBy(arr, (t) => {
+      const y = effectiveYear(t);
+      return y == null ? null : Math.floor(y / 10) * 10;
+    }, { byValue: true }),
+  };
+}
+
+/** Every orchestra of `tracks`: statistics + counts + registry entry, most tracks first */
+export function orchestraSummaries(tracks, usedIds = new Set()) {
+  refreshRegistry();
+  return [...groupByOrchestra(tracks)]
+    .filter(([orchestra]) => orchestra !== UNKNOWN)
+    .map(([orchestra, arr]) => ({ ...statsOf(orchestra, arr), ...countsOf(arr, usedIds), registry: findOrchestra(orchestra) }))
+    .sort((a, b) => b.trackCount - a.trackCount || a.orchestra.localeCompare(b.orchestra));
+}
+
+/**
+ * One orchestra by any spelling (alias table, registry aliases) ->
+ * { statistics + counts, registry, byYear, singers, tracks } or null.
+ * `tracks` are catalog tracks, oldest first (undated last).
+ */
+export function orchestraDiscography(tracks, name, usedIds = new Set()) {
+  refreshRegistry();
+  const groups = groupByOrchestra(tracks);
+  const wanted = new Set([name, canonicalOrchestra(name), findOrchestra(name)?.name].filter(Boolean).map(foldName));
+  const orchestra = [...groups.keys()].find((o) => o !== UNKNOWN && wanted.has(foldName(o)));
+  if (!orchestra) return null;
+
+  const arr = groups.get(orchestra);
+  const sorted = [...arr].sort((a, b) => {
+    const ya = effectiveYear(a) ?? Infinity;
+    const yb = effectiveYear(b) ?? Infinity;
+    return ya - yb || String(a.tags?.title ?? "").localeCompare(String(b.tags?.title ?? ""));
+  });
+
+  // Line-ups: "" = instrumental
+  const singers = new Map();
+  for (const t of arr) {
+    const key = [...(t.singers ?? [])].sort().join(" & ");
+    if (!singers.has(key)) singers.set(key, { value: key, count: 0, yearMin: null, yearMax: null });
+    const s = singers.get(key);
+    const y = effectiveYear(t);
+    s.count++;
+    if (y != null) {
+      s.yearMin = s.yearMin == null ? y : Math.min(s.yearMin, y);
+      s.yearMax = s.yearMax == null ? y : Math.max(s.yearMax, y);
+    }
+  }
+
+  return {
+    ...statsOf(orchestra, arr),
+    ...countsOf(arr, usedIds),
+    registry: findOrchestra(orchestra),
+    byYear: countBy(arr, effectiveYear, { byValue: true }),
+    singers: [...singers.values()].sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)),
+    tracks: sorted,
+  };
+}
@@ -0,0 +1,159 @@
+// orchestra-registry.js (ESM)
+//
+// What the planners know about each orchestra, in an editable table
+// (orchestra-registry.json):
+//
+//   { "orchestras": [
+//       { "name": "Juan D'Arienzo", "aliases": ["El Rey del Compás"], "eras": [[1935, 1945]],
+//         "character": "rhythmic", "singers": ["Alberto Echagüe", "Héctor Maure"], "roles": ["classic"] }
+//   ] }
+//
+//   eras        active periods [from, to], inclusive; a track recorded in one is "in era"
+//   character   rhythmic | lyrical | dramatic | modern
+//   singers     typical singers (names as in orchestra-aliases.json)
+//   roles       the tanda roles it suits: classic | rich | modern | alt
+//
+// Names and aliases go through the alias table (orchestra.js), so "Di Sarli" and
+// "Carlos Di Sarli y su Orquesta Típica" find the same entry. scoreTrackByRole
+// (agent/scoring.js), the orchestra profiles of both planners and the playlist
+// review read it; server.js edits it via /api/orchestra-registry.
+//
+// Env:
+//   ORCHESTRA_REGISTRY=./orchestra-registry.json
+
+import path from "node:path";
+import { z } from "zod";
+import { canonicalOrchestra, foldName, trackOrchestra } from "./orchestra.js";
+import { jsonTable } from "./json-table.js";
+
+export const REGISTRY_PATH = path.resolve(process.env.ORCHESTRA_REGISTRY || "orchestra-registry.json");
+
+export const CHARACTERS = ["rhythmic", "lyrical", "dramatic", "modern"];
+export const ROLES = ["classic", "rich", "modern", "alt"];
+
+const Year = z.number().int().min(1880).max(2100);
+
+export const OrchestraSchema = z.object({
+  name: z.string().trim().min(1),
+  aliases: z.array(z.string().trim().min(1)).default([]),
+  eras: z.array(z.tuple([Year, Year]).refine(([from, to]) => from <= to, "era is [from, to] with from <= to")).default([]),
+  character: z.enum(CHARACTERS).nullable().default(null),
+  singers: z.array(z.string().trim().min(1)).default([]),
+  roles: z.array(z.enum(ROLES)).default([]),
+});
+
+const RegistrySchema = z.object({
+  orchestras: z.array(OrchestraSchema).default([]),
+});
+
+// Matching keys of a name: as written and as the alias table spells it
+const nameKeys = (name) => [...new Set([foldName(name), foldName(canonicalOrchestra(name))])].filter(Boolean);
+const entryKeys = (e) => [...new Set([e.name, ...e.aliases].flatMap(nameKeys))];
+
+// ---------- registry file ----------
+let registry = { orchestras: [] };
+let index = new Map(); // folded name / alias -> entry
+
+function compile(doc) {
+  const parsed = RegistrySchema.parse(doc);
+  const idx = new Map();
+  for (const e of parsed.orchestras) {
+    for (const k of entryKeys(e)) {
+      const other = idx.get(k);
+      if (other && other !== e) throw new Error(`"${k}" names both ${other.name} and ${e.name}`);
+      idx.set(k, e);
+    }
+  }
+  return { parsed, idx };
+}
+
+const registryFile = jsonTable({
+  path: REGISTRY_PATH,
+  label: "registry",
+  keeping: "registry",
+  apply(doc) {
+    ({ parsed: registry, idx: index } = compile(doc));
+  },
+});
+export const refreshRegistry = registryFile.refresh;
+refreshRegistry();
+
+/** The registry as stored */
+export function orchestraRegistry() {
+  refreshRegistry();
+  return registry;
+}
+
+// Validate (names unique across entries) and write
+function save(orchestras) {
+  registryFile.save(compile({ orchestras }).parsed);
+}
+
+/**
+ * Add an entry, or replace the one `replacing` names (which may rename it).
+ * Throws on an invalid entry or a name/alias another entry already has. -> the stored entry
+ */
+export function saveOrchestra(entry, replacing = null) {
+  refreshRegistry();
+  const parsed = OrchestraSchema.parse(entry);
+  const old = replacing ? findOrchestra(replacing) : null;
+  const list = old ? registry.orchestras.map((e) => (e === old ? parsed : e)) : [...registry.orchestras, parsed];
+  save(list);
+  return findOrchestra(parsed.name);
+}
+
+/** Remove an entry by any of its names -> the removed entry, or null */
+export function deleteOrchestra(name) {
+  const old = findOrchestra(name);
+  if (!old) return null;
+  save(registry.orchestras.filter((e) => e !== old));
+  return old;
+}
+
+// ---------- lookups ----------
+/** Registry entry for any spelling of an orchestra name, or null */
+export function findOrchestra(name) {
+  for (const k of nameKeys(name)) if (index.has(k)) return index.get(k);
+  return null;
+}
+
+/** Registry entry of a catalog track, compact row or profile (by its orchestra, else the orchestra part of its artist) */
+export function orchestraEntry(t) {
+  return findOrchestra(trackOrchestra(t));
+}
+
+/** Entries that suit a role */
+export function orchestrasForRole(role) {
+  return registry.orchestras.filter((e) => e.roles.includes(role));
+}
+
+/** Year inside one of the entry's eras */
+export function inEra(entry, year) {
+  return year != null && entry.eras.some(([from, to]) => year >= from && year <= to);
+}
+
+const eraText = (e) => e.eras.map(([from, to]) => (from === to ? `${from}` : `${from}–${to}`)).join(", ");
+
+/** One line for prompts: "Juan D'Arienzo: rhythmic; active 1935–1945; singers ...; suits classic" */
+export function describeOrchestra(e) {
+  return [
+    `${e.name}:`,
+    [
+      e.character,
+      e.eras.length ? `active ${eraText(e)}` : null,
+      e.singers.length ? `singers ${e.singers.join(", ")}` : null,
+      e.roles.length ? `suits ${e.roles.join("/")}` : null,
+    ].filter(Boolean).join("; ") || "no details",
+  ].join(" ");
+}
+
+/** Registry fields for an orchestra profile (null values when it is not in the registry) */
+export function registryProfile(name) {
+  const e = findOrchestra(name);
+  return {
+    character: e?.character ?? null,
+    activeEras: e?.eras.length ? eraText(e) : null,
+    typicalSingers: e?.singers ?? [],
+    roles: e?.roles ?? [],
+  };
+}
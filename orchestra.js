@@ -0,0 +1,190 @@
+// orchestra.js (ESM)
+//
+// Splits catalog artists into a canonical orchestra and singers:
+//   "Alfredo de Angelis O.T. con Oscar Larroca"            -> { orchestra: "Alfredo de Angelis", singers: ["Oscar Larroca"] }
+//   "Orquesta Tipica De Juan D`Arienzo (Singer:Alberto Echague)" -> { orchestra: "Juan D'Arienzo", singers: ["Alberto Echagüe"] }
+//   "Alberto Morán, Osvaldo Pugliese"                      -> { orchestra: "Osvaldo Pugliese", singers: ["Alberto Morán"] }
+//   "585 Carlos Di Sarli"                                  -> { orchestra: "Carlos Di Sarli", singers: [] }   (track/catalog number)
+//   "Roberto Alvarez, Estilo Para Bailar"                  -> { orchestra: "Orquesta Color Tango", singers: [] } (subtitle, not a singer)
+//
+// Names are matched through an editable alias table (orchestra-aliases.json):
+//   { "orchestras": { "Carlos Di Sarli": ["Di Sarli", ...] }, "singers": { "Raúl Berón": ["Berón"] } }
+// Matching ignores case, accents, apostrophes and "y su Orquesta Típica" / "Orquesta de" boilerplate.
+// catalog.js stores the result on every track as `orchestra` and `singers`.
+//
+// Env:
+//   ORCHESTRA_ALIASES=./orchestra-aliases.json
+
+import path from "node:path";
+import { z } from "zod";
+import { jsonTable } from "./json-table.js";
+
+export const ALIASES_PATH = path.resolve(process.env.ORCHESTRA_ALIASES || "orchestra-aliases.json");
+
+const AliasTableSchema = z.object({
+  orchestras: z.record(z.array(z.string())).default({}),
+  singers: z.record(z.array(z.string())).default({}),
+});
+
+// Artist values that name no orchestra
+const NO_ARTIST = new Set(["", "unknown", "unknown artist", "various", "various artists", "varios artistas", "artisti vari"]);
+
+// Leading track / catalog number: "585 Carlos Di Sarli", "03 - Pugliese"
+const stripNumber = (s) => s.replace(/^\d+\s*[-–.)_:]*\s+(?=\p{L})/u, "");
+
+// Album/edition phrases tagged as if they were a name ("Estilo Para Bailar", "Remastered"), on folded keys
+const SUBTITLE_RE = /\b(para|estilo|bailar|baile|vol|volumen|remaster(ed)?|en vivo|live|version|edit|mix|instrumental)\b/;
+const isSubtitle = (name) => SUBTITLE_RE.test(foldName(name));
+
+/** Matching key: "Ángel D'Agostino Y Su" -> "angel dagostino y su" */
+export function foldName(s) {
+  return String(s ?? "")
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/['’`´]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// Band-name boilerplate, on folded keys
+const stripSuffix = (k) => k.replace(/\s+(y|and)\s+(su|sus)( .*)?$/, "").replace(/\s+o t$/, "").trim();
+const stripPrefix = (k) => k.replace(/^(orquesta|orq)( (tipica|typica))?( (dirigida|direccion) (para|por|de))?( (de|del))?\s+/, "").trim();
+const keyVariants = (name) => {
+  const k = foldName(name);
+  return [...new Set([k, stripSuffix(k), stripPrefix(k), stripPrefix(stripSuffix(k))])].filter(Boolean);
+};
+// Table entries keep their "Orquesta ..." prefix, so "Victor" alone doesn't hit "Orquesta Típica Victor"
+const entryKeys = (name) => {
+  const k = foldName(name);
+  return [...new Set([k, stripSuffix(k)])].filter(Boolean);
+};
+
+// ---------- alias table ----------
+let table = { orchestras: {}, singers: {} };
+let orchIndex = new Map(); // folded variant -> canonical
+let singerIndex = new Map();
+
+function compile(entries) {
+  const index = new Map();
+  for (const [canonical, aliases] of Object.entries(entries)) {
+    for (const name of [canonical, ...aliases]) {
+      for (const k of entryKeys(name)) if (!index.has(k)) index.set(k, canonical);
+    }
+  }
+  return index;
+}
+
+const aliasFile = jsonTable({
+  path: ALIASES_PATH,
+  label: "orchestra",
+  keeping: "table",
+  apply(doc) {
+    table = AliasTableSchema.parse(doc);
+    orchIndex = compile(table.orchestras);
+    singerIndex = compile(table.singers);
+  },
+});
+export const refreshAliases = aliasFile.refresh;
+refreshAliases();
+
+/** The alias table as stored */
+export function aliasTable() {
+  refreshAliases();
+  return table;
+}
+
+/** Validate and write a new alias table (throws on an invalid document) */
+export function saveAliases(doc) {
+  aliasFile.save(AliasTableSchema.parse(doc));
+  return table;
+}
+
+// ---------- canonical names ----------
+function lookup(index, name) {
+  for (const k of keyVariants(name)) if (index.has(k)) return index.get(k);
+  return null;
+}
+const isKnownOrchestra = (name) => lookup(orchIndex, name) != null;
+const isKnownSinger = (name) => lookup(singerIndex, name) != null;
+
+/** Canonical orchestra for any spelling; unknown names lose only "y su Orquesta" / "O.T." */
+export function canonicalOrchestra(name) {
+  const s = stripNumber(String(name ?? "").replace(/\s+/g, " ").trim());
+  if (NO_ARTIST.has(foldName(s))) return null;
+  return lookup(orchIndex, s) ?? (s.replace(/\s+(y|&)\s+sus?\b.*$/i, "").replace(/\s+O\.\s*T\.?$/i, "").trim() || s);
+}
+
+export function canonicalSinger(name) {
+  const s = String(name ?? "").replace(/\s+/g, " ").trim();
+  return s ? lookup(singerIndex, s) ?? s : null;
+}
+
+const splitNames = (s) =>
+  String(s)
+    .split(/\s*(?:,|&|\/|\s+y\s+|\s+and\s+)\s*/i)
+    .map((x) => x.trim())
+    .filter((x) => x && !/(\.\.\.|…)$/.test(x) && !isSubtitle(x)); // "cantan A..." (truncated tag)
+
+/** "Orchestra O.T. con Singer y Singer" / "Singer, Orchestra" / "Orchestra (Singer:X)" -> { orchestra, singers[] } */
+export function parseArtist(artist) {
+  let s = stripNumber(String(artist ?? "").replace(/\s+/g, " ").trim());
+  const singers = [];
+
+  s = s.replace(/\((?:singer|cantor|canta|vocals?|voc)\s*:?\s*([^)]*)\)/gi, (_, v) => {
+    singers.push(...splitNames(v));
+    return " ";
+  }).trim();
+
+  const con = s.match(/^(.*?)\s+(?:O\.\s*T\.\s+)?(?:con|cantan?|feat\.?|ft\.?)\s+(.+)$/i);
+  if (con) {
+    s = con[1];
+    singers.push(...splitNames(con[2]));
+  }
+
+  // "A, B": whichever part is a known orchestra leads; the rest are singers.
+  // "Piazzola, Astor" / "Cobian, Juan Carlos" (surname first) is one name.
+  const parts = s.split(/\s*[,;]\s*/).filter((x) => x && !isSubtitle(x));
+  const reversed = parts.length === 2 ? `${parts[1]} ${parts[0]}` : null;
+  if (reversed && !parts.some(isKnownOrchestra) && !isKnownSinger(parts[1]) &&
+      (isKnownOrchestra(reversed) || (!/\s/.test(parts[0]) && parts[1].split(" ").length <= 2))) {
+    s = reversed;
+  } else if (parts.length > 1) {
+    const i = Math.max(0, parts.findIndex(isKnownOrchestra));
+    singers.push(...parts.filter((x, j) => j !== i && !/\borq(uesta)?\b/i.test(x)));
+    s = parts[i];
+  } else if (parts.length === 1) {
+    s = parts[0];
+  }
+
+  // "Astor Piazzola y Roberto Goyeneche": only when the right side is a known singer
+  const y = s.match(/^(.*?)\s+(?:y|&)\s+(.+)$/i);
+  if (y && isKnownSinger(y[2])) {
+    s = y[1];
+    singers.push(y[2]);
+  }
+
+  return {
+    orchestra: canonicalOrchestra(s),
+    singers: [...new Set(singers.map(canonicalSinger).filter(Boolean))],
+  };
+}
+
+/**
+ * Canonical orchestra of a catalog track, compact row or candidate: its parsed `orchestra`,
+ * else tags.orchestra, else the orchestra part of the artist ("Enrique Rodriguez, Armando Moreno"
+ * -> "Enrique Rodríguez"); null when the artist names none
+ */
+export function trackOrchestra(t) {
+  if (t?.orchestra) return t.orchestra;
+  if (t?.tags?.orchestra) return canonicalOrchestra(t.tags.orchestra);
+  return parseArtist(t?.tags?.artist ?? t?.artist ?? t?.metadata?.artist).orchestra;
+}
+
+/** Copy of a catalog track with `orchestra` and `singers` (explicit tags.orchestra / tags.singers win) */
+export function withOrchestra(t) {
+  if (!t) return t;
+  const parsed = parseArtist(t.tags?.artist ?? t.artist);
+  const orchestra = t.tags?.orchestra ? canonicalOrchestra(t.tags.orchestra) : parsed.orchestra;
+  const singers = Array.isArray(t.tags?.singers) ? t.tags.singers.map(canonicalSinger).filter(Boolean) : parsed.singers;
+  return { ...t, orchestra, singers };
+}
@@ -0,0 +1,278 @@
+// recording-years.js (ESM)
+//
+// When a recording was made, independent of the year its file is tagged with.
+// Golden Age tracks often carry the date of a remaster or compilation (a De Angelis
+// recording of the 1950s tagged 2010), which puts them in the wrong era for the
+// planners. recording-years.json is a local, editable table of recording dates,
+// keyed by orchestra + title (+ singers):
+//
+//   { "recordings": [
+//       { "orchestra": "Alfredo de Angelis", "title": "Pregonera", "singers": ["Carlos Dante", "Julio Martel"],
+//         "year": 1945, "source": "tango.info" },
+//       { "orchestra": "Carlos Di Sarli", "title": "Bahía Blanca", "singers": [], "year": 1957 }
+//   ] }
+//
+// Names go through the orchestra alias table (orchestra.js) and are matched
+// ignoring case, accents and bracketed title suffixes ("(Remastered)"). `singers`
+// left out matches any line-up; [] means instrumental. An optional `date` keeps
+// the full recording date. Bulk-load it from CSV with import-recording-years.js.
+//
+// catalog.js resolves track.recordedYear on load, first hit wins, and records where
+// it came from in track.recordedYearSource:
+//   overlay              year corrected via PATCH /api/tracks/:id (track-overlay.js)
+//   table[:<source>]     this table (":tango.info" when the entry names its source)
+//   tags.recordingYear / tags.originalYear   explicit fields in the catalog
+// effectiveYear() is the year every planner and scorer uses: recordedYear when
+// there is one, otherwise the tag year unless it looks like a remaster date.
+//
+// Env:
+//   RECORDING_YEARS=./recording-years.json
+
+import path from "node:path";
+import { z } from "zod";
+import { canonicalOrchestra, canonicalSinger, foldName } from "./orchestra.js";
+import { jsonTable } from "./json-table.js";
+import { bpmStyleOf } from "./bpm.js";
+
+export const RECORDING_YEARS_PATH = path.resolve(process.env.RECORDING_YEARS || "recording-years.json");
+
+// Years >= this on tango/vals/milonga tracks are suspected remaster/compilation dates
+export const TRUST_YEAR_CUTOFF = 1990;
+
+const MIN_YEAR = 1890;
+const MAX_YEAR = new Date().getFullYear();
+
+const RecordingSchema = z.object({
+  orchestra: z.string().trim().min(1),
+  title: z.string().trim().min(1),
+  singers: z.array(z.string().trim().min(1)).optional(),
+  year: z.number().int().min(MIN_YEAR).max(MAX_YEAR),
+  date: z.string().trim().min(1).optional(),
+  source: z.string().trim().min(1).optional(),
+});
+
+const TableSchema = z.object({
+  recordings: z.array(RecordingSchema).default([]),
+});
+
+// ---------- matching keys ----------
+// "Pregonera (Remastered 2010)" / "Pregonera - Remaster" -> "pregonera"
+const foldTitle = (s) =>
+  foldName(String(s ?? "").replace(/\s*[([].*?[)\]]/g, "").replace(/\s+-\s+(remaster|version|live|en vivo).*$/i, ""));
+
+const singerKey = (singers) => [...new Set(singers.map((s) => foldName(canonicalSinger(s))).filter(Boolean))].sort().join("+") || "instrumental";
+
+/** Lookup key of one recording; `singers` null/undefined = any line-up */
+export function recordingKey(orchestra, title, singers) {
+  const o = foldName(canonicalOrchestra(orchestra));
+  const t = foldTitle(title);
+  if (!o || !t) return null;
+  return `${o}|${t}|${singers == null ? "*" : singerKey(singers)}`;
+}
+
+// ---------- table file ----------
+let table = { recordings: [] };
+let index = new Map(); // key -> entry
+
+const yearsFile = jsonTable({
+  path: RECORDING_YEARS_PATH,
+  label: "years",
+  keeping: "table",
+  apply(doc) {
+    table = TableSchema.parse(doc);
+    index = new Map();
+    for (const r of table.recordings) {
+      const k = recordingKey(r.orchestra, r.title, r.singers);
+      if (k && !index.has(k)) index.set(k, r);
+    }
+  },
+});
+export const refreshRecordingYears = yearsFile.refresh;
+refreshRecordingYears();
+
+/** The table as stored */
+export function recordingYearsTable() {
+  refreshRecordingYears();
+  return table;
+}
+
+/** Validate and write a new table (throws on an invalid document) */
+export function saveRecordingYears(doc) {
+  yearsFile.save(TableSchema.parse(doc));
+  return table;
+}
+
+/** Table entry for a track (its line-up first, then an entry for any line-up), or null */
+export function lookupRecording(t) {
+  const orchestra = t?.orchestra ?? t?.tags?.orchestra ?? t?.tags?.artist;
+  const title = t?.tags?.title ?? t?.title;
+  const exact = recordingKey(orchestra, title, Array.isArray(t?.singers) ? t.singers : []);
+  if (!exact) return null;
+  return index.get(exact) ?? index.get(exact.replace(/\|[^|]*$/, "|*")) ?? null;
+}
+
+// ---------- years ----------
+export function clampYear(y) {
+  const n = Number(y);
+  return Number.isFinite(n) ? Math.max(1900, Math.min(2100, Math.round(n))) : null;
+}
+
+export function looksRemasterish(t) {
+  const album = String(t?.tags?.album ?? t?.album ?? "").toLowerCase();
+  const title = String(t?.tags?.title ?? t?.title ?? "").toLowerCase();
+  const hay = album + " " + title;
+  // common flags on reissues/anthologies
+  return /(remaster|remastered|reissue|anthology|collection|best of|archive|deluxe|box set)/i.test(hay);
+}
+
+/** Catalog load step: track.recordedYear + recordedYearSource from the first source that has one */
+export function resolveRecordedYear(t) {
+  let year = null;
+  let source = null;
+  const hit = lookupRecording(t);
+  if (t?.overlay?.fields?.includes("year") && clampYear(t.tags?.year) != null) {
+    year = clampYear(t.tags.year);
+    source = "overlay";
+  } else if (hit) {
+    year = hit.year;
+    source = hit.source ? `table:${hit.source}` : "table";
+  } else {
+    for (const f of ["recordingYear", "originalYear"]) {
+      if (clampYear(t?.tags?.[f]) == null) continue;
+      year = clampYear(t.tags[f]);
+      source = `tags.${f}`;
+      break;
+    }
+  }
+  return year == null ? t : { ...t, recordedYear: year, recordedYearSource: source };
+}
+
+/**
+ * The year planners and scorers use: the recorded year when known; otherwise
+ * recording/original/tag year, treating a modern tag year on a remaster or
+ * compilation of tango/vals/milonga as unknown (null).
+ */
+export function effectiveYear(t) {
+  if (clampYear(t?.recordedYear) != null) return clampYear(t.recordedYear);
+  const candidates = [
+    t?.tags?.recordingYear,
+    t?.tags?.originalYear,
+    t?.metadata?.recordingYear,
+    t?.metadata?.originalYear,
+    t?.tags?.year,
+    t?.year,
+    t?.metadata?.year,
+  ];
+  const y = clampYear(candidates.find((v) => v != null));
+  if (y == null) return null;
+  if (y >= TRUST_YEAR_CUTOFF && bpmStyleOf(t) && looksRemasterish(t)) return null;
+  return y;
+}
+
+// ---------- CSV import ----------
+/** Split CSV text into rows of cells (quoted cells may hold the delimiter, quotes and newlines) */
+function csvRows(text, delim) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === delim) { row.push(cell); cell = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += c;
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
+// Header names accepted for each column
+const CSV_COLUMNS = {
+  orchestra: ["orchestra", "orquesta", "artist"],
+  title: ["title", "titulo", "track"],
+  singers: ["singer", "singers", "vocalist", "vocalists", "cantor"],
+  year: ["year", "ano"],
+  date: ["date", "recorded", "recording date", "fecha"],
+  source: ["source"],
+};
+
+const splitSingers = (s) => String(s).split(/\s*(?:[,;/&]|\by\b)\s*/).map((x) => x.trim()).filter(Boolean);
+
+/**
+ * CSV text -> { recordings, errors: [{ line, error }] }. Needs orchestra, title
+ * and year or date columns; singer is optional (empty = any line-up, "instrumental" = none).
+ * Comma, semicolon or tab delimited, detected from the header.
+ */
+export function parseRecordingYearsCsv(text, { source = null } = {}) {
+  const body = String(text).replace(/^\uFEFF/, "");
+  const header = body.split(/\r?\n/, 1)[0];
+  const delim = [",", ";", "\t"].sort((a, b) => header.split(b).length - header.split(a).length)[0];
+  const [head = [], ...rows] = csvRows(body, delim);
+  const names = head.map((h) => foldName(h));
+  const col = Object.fromEntries(Object.entries(CSV_COLUMNS).map(([k, aliases]) => [k, names.findIndex((n) => aliases.includes(n))]));
+  if (col.orchestra < 0 || col.title < 0 || (col.year < 0 && col.date < 0)) {
+    throw new Error(`CSV needs orchestra, title and year (or date) columns; found: ${head.join(", ")}`);
+  }
+
+  const recordings = [];
+  const errors = [];
+  rows.forEach((r, i) => {
+    const cell = (k) => (col[k] >= 0 ? String(r[col[k]] ?? "").trim() : "");
+    const date = cell("date");
+    const year = Number(cell("year") || date.match(/\b(1[89]\d\d|20\d\d)\b/)?.[1]);
+    const singer = cell("singers");
+    const entry = {
+      orchestra: cell("orchestra"),
+      title: cell("title"),
+      ...(singer ? { singers: foldName(singer) === "instrumental" ? [] : splitSingers(singer) } : {}),
+      year,
+      ...(date ? { date } : {}),
+      ...(cell("source") || source ? { source: cell("source") || source } : {}),
+    };
+    const parsed = RecordingSchema.safeParse(entry);
+    if (parsed.success) recordings.push(parsed.data);
+    else errors.push({ line: i + 2, error: parsed.error.issues.map((e) => `${e.path.join(".")}: ${e.message}`).join("; ") });
+  });
+  return { recordings, errors };
+}
+
+/**
+ * Merge imported recordings into a table: new keys are added; for a key already
+ * present a different year is a conflict, kept unless `replace`.
+ * -> { recordings, added, updated, same, conflicts: [{ existing, incoming }] }
+ */
+export function mergeRecordings(existing, incoming, { replace = false } = {}) {
+  const out = [...existing];
+  const at = new Map(out.map((r, i) => [recordingKey(r.orchestra, r.title, r.singers), i]));
+  let added = 0;
+  let updated = 0;
+  let same = 0;
+  const conflicts = [];
+  for (const r of incoming) {
+    const k = recordingKey(r.orchestra, r.title, r.singers);
+    if (!at.has(k)) {
+      at.set(k, out.length);
+      out.push(r);
+      added++;
+    } else if (out[at.get(k)].year === r.year) {
+      same++;
+    } else {
+      conflicts.push({ existing: out[at.get(k)], incoming: r });
+      if (replace) {
+        out[at.get(k)] = r;
+        updated++;
+      }
+    }
+  }
+  return { recordings: out, added, updated, same, conflicts };
+}
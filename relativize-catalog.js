@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * Rewrite a catalog's absolute paths (file.absPath, file.wavPath, tags.coverPath)
+ * into root-relative form ("music:Artist/Album/x.mp3") using the library roots
+ * (and their aliases) from milonga.config.json. Paths under no root are left as-is
+ * and counted.
+ *
+ * Usage:
+ *   node relativize-catalog.js --catalog ./catalog-Art.json [--out ./catalog-Art.json] [--dry-run]
+ *
+ * If --out is omitted the catalog is rewritten in place.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { config, toRootedPath } from "./library-config.js";
+
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--catalog") out.catalog = argv[++i];
+    else if (a === "--out") out.out = argv[++i];
+    else if (a === "--dry-run") out.dryRun = true;
+    else if (a === "--help" || a === "-h") out.help = true;
+  }
+  return out;
+}
+
+async function main() {
+  const { catalog, out, dryRun, help } = parseArgs(process.argv);
+  if (help || !catalog) {
+    console.log(`Store catalog paths relative to the configured library roots.
+
+Usage:
+  node relativize-catalog.js --catalog ./catalog-Art.json [--out ./catalog-Art.json] [--dry-run]
+
+Roots: ${config.roots.map((r) => `${r.name}=${r.path}`).join(", ")}
+`);
+    return;
+  }
+
+  const doc = JSON.parse(await fs.readFile(catalog, "utf8"));
+  const tracks = Array.isArray(doc) ? doc : Array.isArray(doc?.tracks) ? doc.tracks : [];
+
+  const stats = { tracks: tracks.length, rewritten: 0, alreadyRooted: 0, outsideRoots: 0 };
+  const outside = new Set();
+  const rewrite = (obj, key) => {
+    const v = obj?.[key];
+    if (!v) return;
+    const rooted = toRootedPath(v);
+    if (rooted === v) stats.alreadyRooted++;
+    else if (rooted) { obj[key] = rooted; stats.rewritten++; }
+    else { stats.outsideRoots++; outside.add(path.dirname(v)); }
+  };
+
+  for (const t of tracks) {
+    for (const k of ["absPath", "absolutePath", "wavPath"]) rewrite(t.file, k);
+    rewrite(t.tags, "coverPath");
+  }
+
+  console.log(`Tracks:          ${stats.tracks}`);
+  console.log(`Paths rewritten: ${stats.rewritten}`);
+  console.log(`Already rooted:  ${stats.alreadyRooted}`);
+  console.log(`Outside roots:   ${stats.outsideRoots}`);
+  for (const d of [...outside].slice(0, 10)) console.log(`  ? ${d}`);
+  if (outside.size > 10) console.log(`  … ${outside.size - 10} more folders`);
+
+  if (dryRun) {
+    console.log("Dry run: nothing written.");
+    return;
+  }
+  const dest = out || catalog;
+  await fs.writeFile(dest, JSON.stringify(doc, null, 2) + "\n");
+  console.log(`Wrote:           ${dest}`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Rewrite track ids in saved playlists and tandas after the music moved.
+ * Prefix-mapped first; ids under no mapped prefix that no longer exist are
+ * re-resolved against the active catalog by title, artist and duration.
+ * Anything left over is listed in the report.
+ *
+ * Usage:
+ *   node relocate-library.js [--map /old/prefix=/new/prefix ...] [--dry-run] [--report ./relocate-report.json]
+ *
+ * Without --map, the aliases of each library root in milonga.config.json are used.
+ * Directories: PLAYLISTS_DIR / TANDAS_DIR (default ./playlists, ./tandas).
+ */
+
+import dotenv from "dotenv";
+dotenv.config();
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { catalog } from "./catalog.js";
+import { relocateSaved } from "./relocate.js";
+
+const PLAYLISTS_DIR = process.env.PLAYLISTS_DIR || path.join(process.cwd(), "playlists");
+const TANDAS_DIR = process.env.TANDAS_DIR || path.join(process.cwd(), "tandas");
+
+function parseArgs(argv) {
+  const out = { map: [] };
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--map") out.map.push(argv[++i]);
+    else if (a === "--dry-run") out.dryRun = true;
+    else if (a === "--report") out.report = argv[++i];
+    else if (a === "--help" || a === "-h") out.help = true;
+  }
+  return out;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  if (args.help) {
+    console.log(`Relocate saved playlists/tandas to the current music location.
+
+Usage:
+  node relocate-library.js --map /Users/john/Music/MyMusic=/Volumes/Tango/MyMusic [--dry-run] [--report ./relocate-report.json]
+`);
+    return;
+  }
+  const snap = catalog.snapshot();
+  console.log(`Catalog: ${snap.file} (${snap.count} tracks)`);
+
+  const report = await relocateSaved({
+    dirs: [PLAYLISTS_DIR, TANDAS_DIR],
+    tracks: snap.tracks,
+    mappings: args.map,
+    dryRun: args.dryRun,
+  });
+  const reportPath = path.resolve(args.report || "./relocate-report.json");
+  await fs.writeFile(reportPath, JSON.stringify(report, null, 2) + "\n");
+
+  const c = report.counts;
+  for (const m of report.mappings) console.log(`Map:        ${m.from} -> ${m.to}`);
+  console.log(`Files:      ${c.files} (${c.filesChanged} ${args.dryRun ? "would change" : "changed"})`);
+  console.log(`Track ids:  ${c.tracks}`);
+  console.log(`Unchanged:  ${c.unchanged}`);
+  console.log(`Mapped:     ${c.mapped}`);
+  console.log(`Matched:    ${c.matched} (by title/artist/duration)`);
+  console.log(`Unresolved: ${c.unresolved}`);
+  for (const u of report.unresolved.slice(0, 20)) console.log(`  ✗ ${u.file} ${u.where}: ${u.title ?? u.path} (${u.reason})`);
+  if (report.unresolved.length > 20) console.log(`  … ${report.unresolved.length - 20} more in report`);
+  if (args.dryRun) console.log("Dry run: nothing written.");
+  console.log(`Report:     ${reportPath}`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
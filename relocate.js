@@ -0,0 +1,219 @@
+// relocate.js (ESM)
+//
+// Rewrites the track ids stored in saved playlists (playlists/) and tandas (tandas/)
+// after the music has moved. Ids are raw absolute paths or base64url-encoded paths;
+// each keeps its encoding. Stable ids (track-id.js) don't depend on paths and are left alone.
+//
+//   1. prefix mapping: "/Users/john/Music/MyMusic/..." -> "/Volumes/Tango/MyMusic/..."
+//      (default mappings: every library root's aliases -> the root, see library-config.js)
+//   2. ids under no mapped prefix that are missing from the catalog and the disk are
+//      re-resolved against the active catalog by title, artist and duration
+//   3. anything else is left as-is and listed in the report
+//
+// Used by relocate-library.js (CLI) and POST /api/relocate (server.js).
+
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { config, resolveLibraryPath, b64u } from "./library-config.js";
+import { foldName } from "./orchestra.js";
+
+// Fields holding a file path (raw) next to the id on saved track objects
+const PATH_FIELDS = ["absPath", "absolutePath", "path"];
+// Seconds two durations may differ by and still be the same recording
+const DURATION_TOLERANCE = 3;
+
+const slash = (p) => String(p).replace(/\\/g, "/");
+const trimSlash = (p) => slash(p).replace(/\/+$/, "");
+const looksLikePath = (s) => /^(\/|[A-Za-z]:\/|[A-Za-z][\w-]+:(?!\/\/))/.test(slash(s));
+
+/** Stored id -> { path, encoding: "raw" | "b64u" } or null if it isn't a file id */
+export function decodeId(id) {
+  if (typeof id !== "string" || !id) return null;
+  if (looksLikePath(id)) return { path: id, encoding: "raw" };
+  if (!/^[A-Za-z0-9_-]+$/.test(id)) return null;
+  const p = b64u.dec(id);
+  return looksLikePath(p) && b64u.enc(p) === id ? { path: p, encoding: "b64u" } : null;
+}
+
+function encodeId(p, encoding) {
+  return encoding === "b64u" ? b64u.enc(p) : p;
+}
+
+/** Normalise mappings: [{from,to}] | ["from=to"] -> longest prefix first */
+export function parseMappings(list) {
+  return (list || [])
+    .map((m) => {
+      if (typeof m === "string") {
+        const i = m.indexOf("=");
+        return i > 0 ? { from: m.slice(0, i), to: m.slice(i + 1) } : null;
+      }
+      return m?.from && m?.to != null ? { from: String(m.from), to: String(m.to) } : null;
+    })
+    .filter(Boolean)
+    .map((m) => ({ from: trimSlash(m.from), to: trimSlash(m.to) }))
+    .sort((a, b) => b.from.length - a.from.length);
+}
+
+/** The library roots' aliases as mappings (alias -> root path) */
+export function defaultMappings() {
+  return parseMappings(config.roots.flatMap((r) => r.aliases.map((a) => ({ from: a, to: r.path }))));
+}
+
+function applyMapping(p, mappings) {
+  const x = slash(p);
+  for (const m of mappings) {
+    if (x === m.from || x.startsWith(m.from + "/")) return m.to + x.slice(m.from.length);
+  }
+  return null;
+}
+
+// ---------- catalog lookup ----------
+function catalogIndex(tracks) {
+  const byPath = new Map();
+  const byTitle = new Map();
+  for (const t of tracks || []) {
+    const abs = t?.file?.absPath ?? t?.file?.absolutePath ?? t?.file?.path;
+    if (!abs) continue;
+    byPath.set(abs, t);
+    const titles = new Set([foldName(t.tags?.title), foldName(path.basename(abs, path.extname(abs)))]);
+    for (const k of titles) {
+      if (!k) continue;
+      if (!byTitle.has(k)) byTitle.set(k, []);
+      byTitle.get(k).push({ abs, t });
+    }
+  }
+  return { byPath, byTitle };
+}
+
+const durationOf = (x) => {
+  const n = Number(x?.tags?.durationSec ?? x?.format?.durationSec ?? x?.durationSec ?? x?.seconds);
+  return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+/**
+ * Best catalog match for a saved track by title, artist and duration.
+ * -> { abs, ambiguous } | { reason }
+ */
+function resolveByMetadata(saved, oldPath, index) {
+  const titleKeys = [foldName(saved.title), foldName(path.basename(oldPath, path.extname(oldPath)))].filter(Boolean);
+  const pool = [...new Map(titleKeys.flatMap((k) => index.byTitle.get(k) || []).map((c) => [c.abs, c])).values()];
+  if (!pool.length) return { reason: "no catalog track with this title" };
+
+  const artist = foldName(saved.artist);
+  const knownArtist = artist && artist !== "unknown";
+  const dur = durationOf(saved);
+  const base = path.basename(slash(oldPath)).toLowerCase();
+
+  const scored = [];
+  for (const c of pool) {
+    const a = foldName(c.t.tags?.artist);
+    const aa = foldName(c.t.tags?.albumartist);
+    const artistHit = knownArtist && [a, aa].some((x) => x && (x === artist || x.includes(artist) || artist.includes(x)));
+    if (knownArtist && !artistHit) continue;
+    const cd = durationOf(c.t);
+    if (dur && cd && Math.abs(cd - dur) > DURATION_TOLERANCE) continue;
+    scored.push({
+      abs: c.abs,
+      score: (artistHit ? 2 : 0) + (dur && cd ? 2 - Math.abs(cd - dur) / DURATION_TOLERANCE : 0) +
+        (path.basename(c.abs).toLowerCase() === base ? 1 : 0),
+    });
+  }
+  if (!scored.length) return { reason: knownArtist ? "title found, but not by this artist/duration" : "title found, but duration differs" };
+  scored.sort((x, y) => y.score - x.score);
+  return { abs: scored[0].abs, ambiguous: scored.length > 1 && scored[1].score === scored[0].score };
+}
+
+// ---------- saved records ----------
+/** Every track-like slot in a playlist or tanda record: { obj, idKey, where } */
+export function* trackSlots(record) {
+  const tandas = record?.plan?.tandas;
+  if (Array.isArray(tandas)) {
+    for (const [i, blk] of tandas.entries()) {
+      if (blk?.streamId) yield { obj: blk, idKey: "streamId", where: `plan.tandas[${i}].streamId` };
+      for (const [j, tr] of (blk?.tracks || []).entries()) {
+        if (tr) yield { obj: tr, idKey: "id", where: `plan.tandas[${i}].tracks[${j}]` };
+      }
+    }
+  }
+  for (const [j, tr] of (record?.tanda?.tracks || []).entries()) {
+    if (tr) yield { obj: tr, idKey: "id", where: `tanda.tracks[${j}]` };
+  }
+}
+
+/**
+ * Relocate every saved playlist/tanda in `dirs`.
+ *   { dirs, tracks (catalog), mappings (default: root aliases), dryRun }
+ * -> report { ranAt, dryRun, mappings, counts, files[], matched[], unresolved[] }
+ */
+export async function relocateSaved({ dirs, tracks, mappings, dryRun = false }) {
+  const maps = mappings?.length ? parseMappings(mappings) : defaultMappings();
+  const index = catalogIndex(tracks);
+  const exists = (p) => index.byPath.has(p) || fs.existsSync(p);
+
+  const counts = { files: 0, filesChanged: 0, tracks: 0, unchanged: 0, mapped: 0, matched: 0, unresolved: 0 };
+  const report = { ranAt: new Date().toISOString(), dryRun: !!dryRun, mappings: maps, counts, files: [], matched: [], unresolved: [] };
+
+  for (const dir of dirs) {
+    let names = [];
+    try {
+      names = (await fsp.readdir(dir)).filter((f) => f.endsWith(".json")).sort();
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+    }
+    for (const name of names) {
+      const file = path.join(dir, name);
+      const label = path.join(path.basename(dir), name);
+      let record;
+      try {
+        record = JSON.parse(await fsp.readFile(file, "utf8"));
+      } catch (e) {
+        report.files.push({ file: label, error: e.message });
+        continue;
+      }
+      counts.files++;
+      const fileCounts = { file: label, mapped: 0, matched: 0, unresolved: 0 };
+
+      for (const { obj, idKey, where } of trackSlots(record)) {
+        const id = decodeId(obj[idKey]);
+        if (!id) continue;
+        counts.tracks++;
+
+        let next = applyMapping(id.path, maps);
+        let kind = "mapped";
+        if (next == null) {
+          if (exists(resolveLibraryPath(id.path))) {
+            counts.unchanged++;
+            continue;
+          }
+          const hit = resolveByMetadata(obj, id.path, index);
+          if (!hit.abs) {
+            counts.unresolved++;
+            fileCounts.unresolved++;
+            report.unresolved.push({ file: label, where, path: id.path, title: obj.title ?? null, artist: obj.artist ?? null, reason: hit.reason });
+            continue;
+          }
+          next = hit.abs;
+          kind = "matched";
+          report.matched.push({ file: label, where, from: id.path, to: next, title: obj.title ?? null, ambiguous: hit.ambiguous });
+        }
+
+        obj[idKey] = encodeId(next, id.encoding);
+        for (const k of PATH_FIELDS) if (typeof obj[k] === "string" && looksLikePath(obj[k])) obj[k] = next;
+        counts[kind]++;
+        fileCounts[kind]++;
+      }
+
+      if (fileCounts.mapped || fileCounts.matched) {
+        counts.filesChanged++;
+        if (!dryRun) {
+          const tmp = `${file}.tmp`;
+          await fsp.writeFile(tmp, JSON.stringify(record, null, 2), "utf8");
+          await fsp.rename(tmp, file);
+        }
+      }
+      if (fileCounts.mapped || fileCounts.matched || fileCounts.unresolved) report.files.push(fileCounts);
+    }
+  }
+  return report;
+}
@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+/**
+ * Scan a music folder with music-metadata and write a catalog in the
+ * catalog-Art.json shape: { tracks: [{ file:{absPath,wavPath}, tags:{...}, artUrl }] }.
+ *
+ * Incremental: files whose mtime + size match the previous catalog entry are
+ * kept as-is (no re-parse). Changed files are re-read; fields the tags don't
+ * carry (BPM/Energy/Key from analysis, wavPath, coverUrl) are kept from the
+ * previous entry. Files under the scanned root that no longer exist are dropped;
+ * entries outside it (other library roots) are carried over untouched, so scanning
+ * one root into the live catalog never loses the others.
+ *
+ * Embedded cover art is written once per album to ART_DIR and linked as
+ * /album-art/<file> (the path server.js serves ART_DIR under); without one,
+ * Folder.jpg / cover.jpg in the album folder is used. track.art records which
+ * (art.js), and server.js serves either as a thumbnail from /art/:trackId.
+ *
+ * Every track gets file.contentHash and a stable id (track-id.js); a track keeps
+ * its id across retags, and a moved/renamed file gets the same id back.
+ *
+ * Root, art dir and output default to milonga.config.json / env (library-config.js);
+ * files under a configured root are stored root-relative ("music:Artist/Album/x.mp3").
+ *
+ * Usage:
+ *   node scan-library.js [--root $MUSIC_ROOT] [--out ./catalog-Art.json] [--art-dir $ART_DIR]
+ *                        [--report ./scan-report.json] [--full]
+ *
+ *   --full   ignore mtime/size and re-read every file
+ */
+
+import dotenv from "dotenv";
+dotenv.config();
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import { parseFile, selectCover } from "music-metadata";
+import { config, primaryRoot, resolveLibraryPath, toRootedPath } from "./library-config.js";
+import { contentHash, stableTrackId, assignTrackIds, isStableId } from "./track-id.js";
+import { findFolderArt, recordedArt } from "./art.js";
+import { parseKey } from "./key.js";
+
+const MUSIC_ROOT = primaryRoot.path;
+const ART_DIR = config.artDir;
+const OUT_PATH = process.env.LIBRARY_JSON || "./catalog-Art.json";
+
+const AUDIO_EXT = new Set([".mp3", ".m4a", ".aac", ".wav", ".flac", ".ogg", ".opus", ".aif", ".aiff"]);
+const PIC_EXT = { "image/jpeg": ".jpg", "image/jpg": ".jpg", "image/png": ".png", "image/gif": ".gif", "image/webp": ".webp" };
+const CONCURRENCY = 4;
+
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--root") out.root = argv[++i];
+    else if (a === "--out") out.out = argv[++i];
+    else if (a === "--art-dir") out.artDir = argv[++i];
+    else if (a === "--report") out.report = argv[++i];
+    else if (a === "--full") out.full = true;
+    else if (a === "--help" || a === "-h") out.help = true;
+  }
+  return out;
+}
+
+// ---------- walk ----------
+async function* walk(dir, failures) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (e) {
+    failures.push({ absPath: dir, error: `readdir: ${e.message}` });
+    return;
+  }
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+  for (const ent of entries) {
+    if (ent.name.startsWith(".")) continue;
+    const p = path.join(dir, ent.name);
+    if (ent.isDirectory()) yield* walk(p, failures);
+    else if (ent.isFile() && AUDIO_EXT.has(path.extname(ent.name).toLowerCase())) yield p;
+  }
+}
+
+// ---------- previous catalog (for incremental rescans) ----------
+async function loadPrevious(file) {
+  try {
+    const doc = JSON.parse(await fs.readFile(file, "utf8"));
+    const tracks = Array.isArray(doc) ? doc : Array.isArray(doc?.tracks) ? doc.tracks : [];
+    const byPath = new Map();
+    for (const t of tracks) {
+      const abs = resolveLibraryPath(t?.file?.absPath ?? t?.file?.absolutePath);
+      if (abs) byPath.set(abs, t);
+    }
+    return byPath;
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn(`Could not read previous catalog ${file}: ${e.message}`);
+    return new Map();
+  }
+}
+
+// ---------- tags ----------
+const first = (v) => (Array.isArray(v) ? v[0] : v) ?? null;
+
+function commentText(c) {
+  const v = first(c);
+  if (v == null) return null;
+  return typeof v === "string" ? v : v.text ?? null;
+}
+
+function slug(s) {
+  return String(s || "")
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+}
+
+/** Write the embedded cover once per album; returns "/album-art/<name>" or null */
+async function saveEmbeddedArt(common, absPath, artDir, written) {
+  const pic = selectCover(common.picture);
+  if (!pic?.data?.length) return null;
+  const ext = PIC_EXT[String(pic.format).toLowerCase()] || ".jpg";
+  const base = [slug(common.album), slug(common.albumartist || common.artist)].filter(Boolean).join("-") ||
+    crypto.createHash("sha1").update(absPath).digest("hex").slice(0, 12);
+  const name = base + ext;
+  if (!written.has(name)) {
+    const dest = path.join(artDir, name);
+    try {
+      await fs.access(dest);
+    } catch {
+      await fs.mkdir(artDir, { recursive: true });
+      await fs.writeFile(dest, pic.data);
+    }
+    written.add(name);
+  }
+  return `/album-art/${name}`;
+}
+
+async function readTrack(absPath, st, prev, artDir, written) {
+  const { common, format } = await parseFile(absPath, { duration: true });
+  // music-metadata doesn't throw on junk; it just finds no audio stream
+  if (!format.container && !format.codec && !format.duration) throw new Error("No audio stream found");
+  const old = prev?.tags || {};
+  const key = common.key ?? null;
+  const tags = {
+    title: common.title ?? old.title ?? path.basename(absPath, path.extname(absPath)),
+    artist: common.artist ?? old.artist ?? null,
+    album: common.album ?? old.album ?? null,
+    albumartist: common.albumartist ?? old.albumartist ?? null,
+    year: common.year ?? old.year ?? null,
+    genre: common.genre?.length ? common.genre : old.genre ?? [],
+    composer: first(common.composer) ?? old.composer ?? null,
+    tempoBPM: common.bpm ?? old.tempoBPM ?? null,
+    Energy: old.Energy ?? null,
+    Key: key ?? old.Key ?? null,
+    camelotKey: parseKey(key) ?? old.camelotKey ?? null, // "Am", "F#m", "1m", "8A" ... (key.js)
+    comment: commentText(common.comment) ?? old.comment ?? null,
+    durationSec: Number.isFinite(format.duration) ? Math.round(format.duration) : old.durationSec ?? null,
+    coverUrl: old.coverUrl ?? null,
+    coverPath: old.coverPath ?? null,
+  };
+  const embedded = await saveEmbeddedArt(common, absPath, artDir, written);
+  const folder = embedded ? null : await findFolderArt(absPath);
+  const art = embedded
+    ? { source: "embedded", url: embedded }
+    : folder
+      ? { source: "folder", path: toRootedPath(folder) ?? folder }
+      : prev?.art ?? (prev?.artUrl ? null : { source: "none" }); // keep a hand-set artUrl as is
+  const artUrl = embedded ?? prev?.artUrl ?? null;
+  const track = {
+    file: {
+      // Root-relative when the file is under a configured library root (portable catalog)
+      absPath: toRootedPath(absPath) ?? absPath,
+      wavPath: prev?.file?.wavPath ?? null,
+      sizeBytes: st.size,
+      mtimeMs: st.mtimeMs,
+      contentHash: await contentHash(absPath),
+    },
+    tags,
+    artUrl,
+    ...(art && { art }),
+  };
+  return { id: isStableId(prev?.id) ? prev.id : stableTrackId(track), ...track };
+}
+
+/** Unchanged entry from a catalog written before stable ids: hash it, keep everything else */
+async function withStableId(prev, absPath) {
+  if (isStableId(prev.id) && prev.file?.contentHash) return prev;
+  const file = { ...prev.file, contentHash: prev.file?.contentHash ?? (await contentHash(absPath)) };
+  const track = { ...prev, file };
+  return { ...track, id: isStableId(prev.id) ? prev.id : stableTrackId(track) };
+}
+
+// ---------- main ----------
+async function main() {
+  const args = parseArgs(process.argv);
+  if (args.help) {
+    console.log(`Scan a music folder into a catalog ({tracks:[...]}), incrementally.
+
+Usage:
+  node scan-library.js --root /path/to/MyMusic --out ./catalog-Art.json [--art-dir /path/to/Art] [--report ./scan-report.json] [--full]
+`);
+    return;
+  }
+  const root = path.resolve(args.root || MUSIC_ROOT);
+  const outPath = path.resolve(args.out || OUT_PATH);
+  const artDir = path.resolve(args.artDir || ART_DIR);
+  const reportPath = path.resolve(args.report || outPath.replace(/\.json$/i, "") + ".scan-report.json");
+
+  const previous = await loadPrevious(outPath);
+  const failures = [];
+  const written = new Set();
+  const counts = { files: 0, unchanged: 0, added: 0, updated: 0, failed: 0, removed: 0, kept: 0 };
+
+  const files = [];
+  for await (const p of walk(root, failures)) files.push(p);
+  counts.files = files.length;
+  console.log(`Found ${files.length} audio files under ${root}`);
+
+  const tracks = new Array(files.length);
+  let next = 0;
+  async function worker() {
+    while (next < files.length) {
+      const i = next++;
+      const absPath = files[i];
+      const prev = previous.get(absPath) ?? null;
+      try {
+        const st = await fs.stat(absPath);
+        const same = prev && prev.file?.mtimeMs === st.mtimeMs && (prev.file?.sizeBytes ?? prev.file?.size) === st.size;
+        if (same && !args.full) {
+          tracks[i] = await withStableId(prev, absPath);
+          counts.unchanged++;
+        } else {
+          tracks[i] = await readTrack(absPath, st, prev, artDir, written);
+          prev ? counts.updated++ : counts.added++;
+        }
+      } catch (e) {
+        failures.push({ absPath, error: e?.message || String(e) });
+        counts.failed++;
+        // Keep the last good entry so a transient read error doesn't drop the track
+        if (prev) tracks[i] = prev;
+      }
+      if ((i + 1) % 500 === 0) console.log(`  ${i + 1}/${files.length}`);
+    }
+  }
+  await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+
+  const seen = new Set(files);
+  const underRoot = (p) => p === root || p.startsWith(root + path.sep);
+  // Entries outside the root, unless they are a scanned file under a path this machine doesn't map
+  const scannedIds = new Set(tracks.filter(Boolean).flatMap((t) => [t.id, stableTrackId(t, { content: false })]));
+  const others = [...previous]
+    .filter(([p, t]) => !underRoot(p) && !scannedIds.has(t.id) && !scannedIds.has(stableTrackId(t, { content: false })))
+    .map(([, t]) => t);
+  counts.removed = [...previous.keys()].filter((p) => underRoot(p) && !seen.has(p)).length;
+  counts.kept = others.length;
+
+  // Write via temp file + rename so the server's watcher never sees a half-written catalog
+  const out = { tracks: assignTrackIds([...tracks.filter(Boolean), ...others]) };
+  const tmp = `${outPath}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(out, null, 2) + "\n");
+  await fs.rename(tmp, outPath);
+
+  const report = { root, out: outPath, scannedAt: new Date().toISOString(), counts, failures };
+  await fs.writeFile(reportPath, JSON.stringify(report, null, 2) + "\n");
+
+  console.log(`Tracks:     ${out.tracks.length}`);
+  console.log(`Unchanged:  ${counts.unchanged}`);
+  console.log(`Added:      ${counts.added}`);
+  console.log(`Updated:    ${counts.updated}`);
+  console.log(`Removed:    ${counts.removed}`);
+  console.log(`Kept:       ${counts.kept} outside the root`);
+  console.log(`Failed:     ${failures.length}`);
+  const artCounts = {};
+  for (const t of out.tracks) {
+    const src = recordedArt(t).source;
+    artCounts[src] = (artCounts[src] ?? 0) + 1;
+  }
+  console.log(`Art:        ${Object.entries(artCounts).map(([k, n]) => `${k} ${n}`).join(", ")}`);
+  for (const f of failures.slice(0, 20)) console.log(`  ✗ ${f.absPath}: ${f.error}`);
+  if (failures.length > 20) console.log(`  … ${failures.length - 20} more in report`);
+  console.log(`Wrote:      ${outPath}`);
+  console.log(`Report:     ${reportPath}`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
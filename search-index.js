@@ -0,0 +1,156 @@
+// search-index.js (ESM)
+//
+// In-memory fuzzy search over catalog tracks, for the `search` filter of
+// /api/catalog/compact and /api/catalog/query (via CatalogDb). What the DJ
+// types and what the tags say are both folded the same way (orchestra.js
+// foldName): accents, case, apostrophes and punctuation don't matter, so
+// "dagostino", "D Agostino" and "Ángel D'Agostino" find the same tracks.
+//
+// Every query word must match a word of some field:
+//   exact word > word prefix ("pug" -> "pugliese") > typo ("pugliesse", 1 edit per 4 letters, max 2)
+// Words shorter than 3 letters only match exactly, and an exact hit scores
+// several times a fuzzy one, so short queries don't surface unrelated tracks.
+// Two adjacent words may also match as one ("d agostino" <-> "dagostino").
+// Score = sum over query words of (field weight x match quality), + a bonus when
+// the whole query appears in one field; higher is more relevant.
+
+import { foldName } from "./orchestra.js";
+
+// Field weights: a hit in the title beats the same hit in the album
+const FIELDS = [
+  ["title", 5, (t) => [t.tags?.title]],
+  ["orchestra", 4, (t) => [t.orchestra]],
+  ["singer", 3, (t) => t.singers || []],
+  ["artist", 3, (t) => [t.tags?.artist ?? t.artist]],
+  ["composer", 2, (t) => [].concat(t.tags?.composer ?? [])],
+  ["album", 2, (t) => [t.tags?.album, t.tags?.albumartist]],
+  ["other", 1, (t) => [t.tags?.year, fileBase(t)]],
+];
+
+const EXACT = 1;
+const PREFIX = 0.4;
+const TYPO = 0.3;
+const TYPO_PREFIX = 0.2;
+const PHRASE_BONUS = 2;
+const MIN_FUZZY = 3; // shorter query words only match whole words
+
+function fileBase(t) {
+  const p = t?.file?.absPath ?? t?.file?.absolutePath ?? t?.file?.path ?? "";
+  return String(p).split(/[\\/]/).pop().replace(/\.[^.]+$/, "");
+}
+
+/** Edits allowed for a query word of this length */
+const maxTypos = (len) => (len < 4 ? 0 : len < 8 ? 1 : 2);
+
+/** Optimal string alignment distance (transpositions count as one edit); gives up above `max` */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) v = Math.min(v, prev2[j - 2] + 1);
+      cur[j] = v;
+      if (v < rowMin) rowMin = v;
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/** How well query word `q` matches field word `w` (0 = not at all) */
+function wordMatch(q, w) {
+  if (q === w) return EXACT;
+  if (q.length < MIN_FUZZY) return 0;
+  if (w.startsWith(q)) return PREFIX;
+  const max = maxTypos(q.length);
+  if (!max) return 0;
+  if (editDistance(q, w, max) <= max) return TYPO;
+  if (w.length > q.length && editDistance(q, w.slice(0, q.length), max) <= max) return TYPO_PREFIX;
+  return 0;
+}
+
+/** Field value -> its words, plus adjacent pairs joined ("d agostino" also as "dagostino") */
+function fieldWords(value) {
+  const words = foldName(value).split(" ").filter(Boolean);
+  const joined = words.slice(1).map((w, i) => words[i] + w);
+  return { words: [...new Set([...words, ...joined])], compact: words.join("") };
+}
+
+/**
+ * Build the index once per catalog version.
+ * `entries` = [{ key, track }]; search() returns Map(key -> score), best first.
+ */
+export function buildSearchIndex(entries) {
+  const docs = entries.map(({ key, track }) => ({
+    key,
+    fields: FIELDS.map(([name, weight, get]) => {
+      const values = get(track).filter((v) => v != null && v !== "").map(fieldWords);
+      return {
+        name,
+        weight,
+        words: [...new Set(values.flatMap((v) => v.words))],
+        compacts: values.map((v) => v.compact),
+      };
+    }),
+  }));
+
+  /** Best weighted match of one (possibly joined) query word over all fields */
+  function bestHit(doc, q) {
+    let best = 0;
+    for (const f of doc.fields) {
+      if (f.weight * EXACT <= best) continue;
+      for (const w of f.words) {
+        const m = wordMatch(q, w) * f.weight;
+        if (m > best) best = m;
+        if (m === f.weight * EXACT) break;
+      }
+    }
+    return best;
+  }
+
+  /** Every query word matched (alone or joined with the next one) -> score, else 0 */
+  function scoreDoc(doc, words, phrase) {
+    const memo = new Map();
+    const solve = (i) => {
+      if (i >= words.length) return 0;
+      if (memo.has(i)) return memo.get(i);
+      let best = -Infinity;
+      const single = bestHit(doc, words[i]);
+      if (single > 0) best = single + solve(i + 1);
+      if (i + 1 < words.length) {
+        const pair = bestHit(doc, words[i] + words[i + 1]);
+        if (pair > 0) best = Math.max(best, pair * 2 + solve(i + 2));
+      }
+      memo.set(i, best);
+      return best;
+    };
+    const score = solve(0);
+    if (!(score > 0)) return 0;
+    const phraseField = doc.fields.find((f) => f.compacts.some((c) => c.includes(phrase)));
+    return score + (phraseField ? PHRASE_BONUS * phraseField.weight : 0);
+  }
+
+  return {
+    size: docs.length,
+    /** Map(key -> score) of matching entries, most relevant first */
+    search(query) {
+      const words = foldName(query).split(" ").filter(Boolean);
+      if (!words.length) return new Map();
+      const phrase = words.join("");
+      const hits = [];
+      for (const doc of docs) {
+        const score = scoreDoc(doc, words, phrase);
+        if (score > 0) hits.push([doc.key, score]);
+      }
+      hits.sort((a, b) => b[1] - a[1]);
+      return new Map(hits);
+    },
+  };
+}
@@ -3,7 +3,9 @@
 // Env:
 //   PORT=3000
 //   LIBRARY_JSON=./catalog-Art.json"
-//   CORTINAS_DIR=/path/to/cortinas   (optional)
+//   CATALOG_DB=./catalog.db          (indexed copy of LIBRARY_JSON, rebuilt when it changes)
+//   CORTINAS_DIR=/path/to/cortinas   (optional; overrides milonga.config.json)
+//   MILONGA_CONFIG=./milonga.config.json  (library roots, artDir, cortinasDir)
 //   OPENAI_API_KEY=...               (optional; used by agent in generate.js)
 
 import fs from "node:fs";
@@ -18,6 +20,32 @@ import { z } from "zod";
 // Route module that registers /api/agent/generate (Agent-only planner)
 // ---------- Register Agent routes (LLM planning) ----------
 import {registerAgentRoutes, registerAgentStreamRoutes } from "./generate.js";
+import { cassetteSessions } from "./agent/cassette.js";
+import { catalog } from "./catalog.js";
+import { relocateSaved, trackSlots } from "./relocate.js";
+import { ALIASES_PATH, aliasTable, saveAliases } from "./orchestra.js";
+import { overlayEntry, saveTrackEdit } from "./track-overlay.js";
+import { startHealthJob, healthJob, healthReportCsv } from "./catalog-health.js";
+import { recordedArt, trackThumbnail, clearArtCache } from "./art.js";
+import { energyOf } from "./energy.js";
+import { bpmOf } from "./bpm.js";
+import { keyToCamelot, keysCompatible } from "./key.js";
+import { effectiveYear } from "./recording-years.js";
+import { orchestraSummaries, orchestraDiscography } from "./orchestra-profiles.js";
+import {
+  REGISTRY_PATH,
+  orchestraRegistry,
+  findOrchestra,
+  saveOrchestra,
+  deleteOrchestra,
+} from "./orchestra-registry.js";
+import { canonStyles, matchesStyle, coreStyleOf, genreLabel, genreTaxonomy, GENRES_PATH } from "./genres.js";
+import {
+  config,
+  primaryRoot,
+  resolveLibraryPath,
+  b64u, // file path ids
+} from "./library-config.js";
 import { time } from "node:console";
 //import { registerCortinaRoutes } from "./generate.js"; // adjust path if needed
 
@@ -30,8 +58,10 @@ dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname  = path.dirname(__filename);
 const PUBLIC_DIR = path.resolve(__dirname, "public");
-const MUSIC_ROOT = "/Users/johnwilliams/Music/MyMusic"
-const ART_DIR    = "/Users/johnwilliams/Music/Art"; 
+// Library roots / art / cortinas come from milonga.config.json (library-config.js)
+const MUSIC_ROOT = primaryRoot.path;
+const ART_DIR    = config.artDir;
+const ART_PLACEHOLDER_URL = "/art-placeholder.svg"; // served from public/
 // ---- Config (top of server.js) ----
 const PAIRS_JSON = process.env.PAIRS_JSON || path.join(process.cwd(), "catalog-Art.json");
 
@@ -47,78 +77,34 @@ app.use("/files", express.static(MUSIC_ROOT, {
   dotfiles: "ignore",
   fallthrough: false,
 }));
+// Every other library root is served under /roots/<name>
+for (const r of config.roots.slice(1)) {
+  app.use(`/roots/${r.name}`, express.static(r.path, { maxAge: "1d", dotfiles: "ignore", fallthrough: false }));
+}
 app.use(express.static(path.join(__dirname, 'public')));
 
+app.use("/api/agent", cassetteSessions); // fresh cassette PRNG + replay cursor per request
 registerAgentRoutes(app);         // existing JSON endpoint
 registerAgentStreamRoutes(app);   // NEW: NDJSON streaming endpoint
 
 
 
 const PORT         = process.env.PORT || 4000;
-const LIBRARY_JSON = process.env.LIBRARY_JSON || path.join(process.cwd(), "catalog-Art.json");
-const CORTINAS_DIR = process.env.CORTINAS_DIR || "";
-
-// ---------- Utility: base64url encode/decode for file path IDs ----------
-const b64u = {
-  enc: (s) => Buffer.from(String(s)).toString("base64url"),
-  dec: (s) => Buffer.from(String(s), "base64url").toString(),
-};
+const CORTINAS_DIR = config.cortinasDir || "";
 
-// ---------- Load library (supports array OR {tracks:[]}) ----------
-function loadLibrary() {
-  const raw = fs.readFileSync(LIBRARY_JSON, "utf8");
-  const data = JSON.parse(raw);
-  if (Array.isArray(data)) return data;                 // common for enriched exports
-  if (data && Array.isArray(data.tracks)) return data.tracks;
-  throw new Error("Invalid library JSON: expected array or {tracks:[]}");
-}
-let LIBRARY = [];
-try {
-  LIBRARY = loadLibrary();
-  console.log(`[lib] loaded ${LIBRARY.length} tracks from ${LIBRARY_JSON}`);
-} catch (e) {
-  console.error("[lib] failed to load:", e.message);
-  LIBRARY = [];
+// ---------- Library: one shared snapshot (catalog.js) for every route and the planner ----------
+const libraryTracks = () => catalog.snapshot().tracks;
+{
+  const snap = catalog.snapshot();
+  console.log(`[lib] loaded ${snap.count} tracks from ${snap.source} (version ${snap.version})`);
 }
-
-// Auto-reload if file changes (simple watcher)
-fs.watch(LIBRARY_JSON, { persistent: false }, () => {
-  try {
-    LIBRARY = loadLibrary();
-    console.log("[lib] reloaded:", LIBRARY.length);
-  } catch (e) {
-    console.error("[lib] reload error:", e.message);
-  }
+catalog.on("change", (snap) => {
+  console.log(`[lib] reloaded: ${snap.count} (version ${snap.version})`);
+  clearArtCache();
 });
+catalog.watch();
 
 // ---- Loader with caching / hot reload ----
-// ---------- BPM helper: accept both legacy BPM and new tempoBPM ----------
-function readBPM(tags) {
-  const a = tags?.BPM;
-  const b = tags?.tempoBPM;
-  const na = a == null ? null : Number.parseFloat(a);
-  const nb = b == null ? null : Number.parseFloat(b);
-  if (Number.isFinite(na)) return na;
-  if (Number.isFinite(nb)) return nb;
-  return null;
-}
-function getBPM(x) {
-  // accept object-level or nested tags/audio; prefer explicit BPM over tempoBPM
-  const cands = [
-    x?.BPM,        // UIs / bulk responses (PascalCase)
-    x?.bpm,        // streaming responses (lowercase)
-    x?.tempoBPM,
-    x?.tags?.BPM,
-    x?.tags?.tempoBPM,
-    x?.audio?.bpm,
-  ];
-  for (const v of cands) {
-    const n = Number.parseFloat(v);
-    if (Number.isFinite(n)) return Math.round(n * 10) / 10;
-  }
-  return null;
-}
-
 // ---------- File path helper: accept absPath | absPath | path | fullPath ----------
 function getAbsolutePath(file) {
   if (!file) return null;
@@ -140,74 +126,47 @@ async function writeJSONAtomic(p, obj, spaces = 2) {
   await fs.promises.writeFile(tmp, json, 'utf8');
   await fs.promises.rename(tmp, p);
 }
-// ---------- Style canon ----------
-function canonStyles(arrOrStr) {
-  if (!arrOrStr) return [];
-  const raw = Array.isArray(arrOrStr) ? arrOrStr : [arrOrStr];
-  const set = new Set();
-  for (const s of raw) {
-    const v = String(s || "").trim().toLowerCase();
-    if (v === "tango") set.add("Tango");
-    else if (v === "vals" || v === "valse" || v === "waltz") set.add("Vals");
-    else if (v === "milonga") set.add("Milonga");
-  }
-  return [...set];
-}
-
 // ---------- Compact catalog row ----------
-// server.js (same module where toCompactTrack lives)
-function toFilesUrl(p) {
-  if (!p) return null;
-  const MUSIC_ROOT = "/Users/johnwilliams/Music/MyMusic";
-  let x = String(p).replace(/\\/g, "/");
-
-  // Already a web path?
-  if (x.startsWith("/files/")) return x;
-
-  // Absolute filesystem path under MUSIC_ROOT -> convert to /files/...
-  const root = MUSIC_ROOT.replace(/\\/g, "/");
-  if (x.startsWith(root)) return "/files" + x.slice(root.length);
-
-  // Some catalogs store only the tail (e.g., "ROCK Artists/.../Folder.jpg")
-  if (!x.startsWith("/")) x = "/" + x;
-  // Assume it's relative to MUSIC_ROOT:
-  return "/files" + x; // -> /files/ROCK Artists/.../Folder.jpg
-}
-
 function toCompactTrack(t) {
   const genres = Array.isArray(t.tags?.genre) ? t.tags.genre : (t.tags?.genre ? [t.tags.genre] : []);
   const abs = getAbsolutePath(t.file);
-
-  // compute cover fallback once
-  const coverFallback =
-    toFilesUrl(t.tags?.coverUrl) ??
-    toFilesUrl(t.tags?.coverPath) ?? null;
+  const id = t.id ?? (abs ? b64u.enc(abs) : null);
 
   return {
-    id: abs ? b64u.enc(abs) : null,
+    id, // stable id (track-id.js)
     title: t.tags?.title ?? (abs ? path.basename(abs) : "Unknown"),
     artist: t.tags?.artist ?? null,
+    orchestra: t.orchestra ?? null, // canonical (orchestra.js)
+    singers: t.singers ?? [],
+    notes: t.notes ?? null, // track overlay (track-overlay.js)
+    excludeFromPlanning: t.excludeFromPlanning === true,
+    edited: t.overlay?.fields ?? [],
     album: t.tags?.album ?? null,
     durationSec: t.format?.durationSec != null && Number.isFinite(t.format.durationSec)
       ? Math.round(t.format.durationSec) : null,
     BPM: (() => {
-      const v = readBPM(t.tags);
+      const v = bpmOf(t);
       return v == null ? null : Math.round(v * 10) / 10;
     })(),
-    Energy: (t.tags?.Energy ?? null) == null ? null : Math.round(t.tags.Energy * 10) / 10,
+    bpmConfidence: t.bpmCorrection?.confidence ?? null,
+    Energy: (() => {
+      const v = energyOf(t); // 0–10 (energy.js)
+      return v == null ? null : Math.round(v * 10) / 10;
+    })(),
+    loudnessDb: t.tags?.loudnessDb ?? null,
     Key: t.tags?.Key ?? null,
-    camelotKey: t.tags?.camelotKey ?? null,
+    camelotKey: keyToCamelot(t),
     absolutePath: abs,
     styles: canonStyles(genres),
 
-    // Prefer artUrl if present; else normalized cover
-    artUrl: t.artUrl ?? coverFallback,
-    // (optional) also surface coverUrl itself
-    coverUrl: coverFallback,
+    // One URL for every cover (art.js): thumbnail or placeholder
+    artUrl: id ? `/art/${encodeURIComponent(id)}` : ART_PLACEHOLDER_URL,
+    artSource: recordedArt(t).source,
     year: t.tags?.year,
+    recordedYear: t.recordedYear ?? null, // recording-years.js; the planners prefer it over year
+    recordedYearSource: t.recordedYearSource ?? null,
 
-    // keep tags (with normalized coverUrl for convenience)
-    tags: { ...t.tags, coverUrl: coverFallback },
+    tags: t.tags,
   };
 }
 
@@ -218,37 +177,46 @@ app.use("/files", express.static(MUSIC_ROOT, {
   dotfiles: "ignore",
   fallthrough: false,
 }));
-// GET /api/catalog/full  -> returns an array of tracks
-app.get('/api/catalog/full', async (_req, res) => {
+// GET /api/catalog/full  -> returns an array of tracks (the active snapshot)
+app.get('/api/catalog/full', (_req, res) => {
   try {
-    const artHyphen = 'catalog-Art.json';
-    const fullHyphen = 'catalog-Full.json';
-    const fullCamel  = 'catalogFull.json';
-
-    // pick the first existing file
-    const filePath =
-      (fs.existsSync(artHyphen)  && artHyphen)  ||
-      (fs.existsSync(fullHyphen) && fullHyphen) ||
-      (fs.existsSync(fullCamel)  && fullCamel);
-
-    if (!filePath) {
-      // no catalog present -> return empty list (front-end expects an array)
-      return res.json([]);
-    }
-
-    const doc = await readJSONSafe(filePath);
-    // Support both shapes:
-    // 1) { tracks: [...] }
-    // 2) [...] (rare, but be tolerant)
-    const tracks = Array.isArray(doc) ? doc : Array.isArray(doc?.tracks) ? doc.tracks : [];
-
-    return res.json(tracks);
+    const snap = catalog.snapshot();
+    res.set("X-Catalog-Version", String(snap.version ?? ""));
+    return res.json(snap.tracks);
   } catch (e) {
     console.error('GET /api/catalog/full error:', e);
     return res.status(500).json([]);
   }
 });
 
+// GET /api/catalog/info -> which catalog file/version is active
+app.get("/api/catalog/info", (_req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json(catalog.info());
+});
+
+// GET /api/catalogs -> { active, catalogs:[{name,file,sizeBytes,modifiedAt,active}] }
+app.get("/api/catalogs", (_req, res) => {
+  try {
+    res.set("Cache-Control", "no-store");
+    res.json({ active: catalog.info(), catalogs: catalog.list() });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// POST /api/catalogs/activate { name: "Fall" } | { names: ["Art","Fall"] } (merged) -> active info
+app.post("/api/catalogs/activate", (req, res) => {
+  const names = Array.isArray(req.body?.names) ? req.body.names : req.body?.name ? [req.body.name] : [];
+  if (!names.length) return res.status(400).json({ error: "name or names[] is required" });
+  try {
+    res.json({ ok: true, active: catalog.activate(names) });
+  } catch (e) {
+    const msg = String(e?.message || e);
+    res.status(/^Unknown catalog/.test(msg) ? 404 : 500).json({ error: msg });
+  }
+});
+
 // ---------- GET /api/catalog/compact ----------
 app.get("/api/catalog/compact", (req, res) => {
   const styles = String(req.query.style || "")
@@ -256,53 +224,68 @@ app.get("/api/catalog/compact", (req, res) => {
     .map((s) => s.trim().toLowerCase())
     .filter(Boolean); // e.g., ["tango","vals"]
 
-  const q = String(req.query.search || "").trim().toLowerCase();
+  const q = String(req.query.search || "").trim();
   const page = Math.max(1, parseInt(String(req.query.page || "1"), 10));
   const pageSize = Math.min(1000, Math.max(50, parseInt(String(req.query.pageSize || "500"), 10)));
 
-  // filter by style (from tags.genre) and free-text (title/artist/album/path)
-  let list = LIBRARY.filter((t) => {
-    const genres = Array.isArray(t.tags?.genre) ? t.tags.genre : (t.tags?.genre ? [t.tags.genre] : []);
-    const gset = genres.map((g) => String(g).toLowerCase());
-    const hasStyle = !styles.length || gset.some((g) => styles.includes(g));
-    if (!hasStyle) return false;
-    if (!q) return true;
-    const hay = [
-      t.tags?.title,
-      t.tags?.artist,
-      t.tags?.album,
-      t.tags?.albumartist,
-      t.file?.absPath,
-      t.artUrl,
-      t.tags?.year
-    ]
-      .filter(Boolean)
-      .join(" • ")
-      .toLowerCase();
-    return hay.includes(q);
-  });
-
-  // map to compact
-  const all = list.map(toCompactTrack);
-
-  // stable sort (artist -> album -> title)
-  all.sort(
-    (a, b) =>
-      (a.artist || "").localeCompare(b.artist || "") ||
-      (a.album || "").localeCompare(b.album || "") ||
-      (a.title || "").localeCompare(b.title || "")
-  );
-
-  const start = (page - 1) * pageSize;
-  const slice = all.slice(start, start + pageSize);
+  // filter by style (genre index) and fuzzy free-text (search-index.js); sorted by relevance
+  // when searching, else artist -> album -> title
+  const { total, tracks } = catalog.query({ styles, search: q, page, pageSize });
+  const slice = tracks.map(toCompactTrack);
 
   res.set("Cache-Control", "no-store");
   res.json({
-    paging: { page, pageSize, total: all.length, pages: Math.ceil(all.length / pageSize) },
+    paging: { page, pageSize, total, pages: Math.ceil(total / pageSize) },
     tracks: slice,
   });
 });
 
+// ---------- GET /api/catalog/query ----------
+// Faceted search: ranges, key + Camelot neighbours, orchestra, singer, has-art.
+const numParam = (v) => {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+const csvParam = (v) => String(v || "").split(",").map((s) => s.trim()).filter(Boolean);
+const boolParam = (v) => (v == null || v === "" ? null : !/^(0|false|no)$/i.test(String(v)));
+
+app.get("/api/catalog/query", (req, res) => {
+  try {
+    const q = req.query;
+    const opts = {
+      styles: csvParam(q.style).map((s) => s.toLowerCase()),
+      orchestra: String(q.orchestra || "").trim() || null,
+      singer: String(q.singer || "").trim() || null,
+      yearMin: numParam(q.yearMin),
+      yearMax: numParam(q.yearMax),
+      bpmMin: numParam(q.bpmMin),
+      bpmMax: numParam(q.bpmMax),
+      energyMin: numParam(q.energyMin),
+      energyMax: numParam(q.energyMax),
+      durationMin: numParam(q.durationMin),
+      durationMax: numParam(q.durationMax),
+      camelotKeys: csvParam(q.key),
+      keyNeighbors: boolParam(q.keyNeighbors) ?? false,
+      hasArt: boolParam(q.hasArt),
+      search: String(q.search || "").trim(),
+      orderBy: ["relevance", "artist", "catalog"].includes(q.orderBy) ? q.orderBy : undefined,
+    };
+    const page = Math.max(1, parseInt(String(q.page || "1"), 10) || 1);
+    const pageSize = Math.min(1000, Math.max(1, parseInt(String(q.pageSize || "100"), 10) || 100));
+
+    const { total, tracks } = catalog.query({ ...opts, page, pageSize });
+    res.set("Cache-Control", "no-store");
+    res.json({
+      paging: { page, pageSize, total, pages: Math.ceil(total / pageSize) },
+      facets: boolParam(q.facets) === false ? null : catalog.facets(opts),
+      tracks: tracks.map(toCompactTrack),
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
 // ---------- Cortinas ----------
 async function listCortinas() {
   if (!CORTINAS_DIR) return [];
@@ -331,10 +314,31 @@ const MIME = {
   ".opus": "audio/opus",
 };
 
+// ---------- Cover art (art.js) ----------
+// GET /art/:trackId?size=256 -> cached JPEG thumbnail of the track's cover, or the placeholder.
+// X-Art-Source says where it came from (embedded | folder | catalog | none).
+app.get("/art/:trackId", async (req, res) => {
+  try {
+    const track = catalog.resolveId(req.params.trackId);
+    const thumb = track ? await trackThumbnail(track, req.query.size) : null;
+    if (!thumb) {
+      res.set({ "X-Art-Source": "none", "Cache-Control": "no-cache" });
+      return res.sendFile(path.join(PUBLIC_DIR, ART_PLACEHOLDER_URL));
+    }
+    res.set({ "X-Art-Source": thumb.source, "Cache-Control": "public, max-age=3600" });
+    res.sendFile(thumb.file);
+  } catch (e) {
+    console.error("GET /art error:", e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
 // ---------- Stream local files with Range support ----------
 app.get("/stream/:id", async (req, res) => {
   try {
-    const absPath = b64u.dec(req.params.id);
+    // Stable catalog id, or a legacy base64url path (absolute, root-relative, another machine's, a cortina file)
+    const track = catalog.resolveId(req.params.id);
+    const absPath = track ? getAbsolutePath(track.file) : resolveLibraryPath(b64u.dec(req.params.id));
     console.log(`[STREAM] Requested path: ${absPath}`);
     if (!fs.existsSync(absPath)) {
       console.log(`[STREAM] File not found: ${absPath}`);
@@ -372,9 +376,9 @@ app.get("/stream/:id", async (req, res) => {
   }
 });
 // DELETE /api/playlists/:id  -> { ok: true }
-// GET /api/files-status -> check which files are available
+// GET /api/files-status -> check which files are available (first 10 only; full audit: /api/catalog/health)
 app.get("/api/files-status", (req, res) => {
-  const sampleTracks = LIBRARY.slice(0, 10);
+  const sampleTracks = libraryTracks().slice(0, 10);
   const status = sampleTracks.map(track => {
     const absPath = track.file?.absPath || track.absolutePath;
     return {
@@ -385,12 +389,72 @@ app.get("/api/files-status", (req, res) => {
     };
   });
   res.json({
-    totalTracks: LIBRARY.length,
+    totalTracks: libraryTracks().length,
     sampledTracks: status,
     availableFiles: status.filter(s => s.exists).length
   });
 });
 
+// ---------- Catalog health audit (catalog-health.js) ----------
+// POST starts a background job (or returns the running one)
+app.post("/api/catalog/health", (_req, res) => {
+  const job = startHealthJob();
+  res.status(202).json({
+    ...job.info(),
+    eventsUrl: `/api/catalog/health/${job.id}/events`,
+    reportUrl: `/api/catalog/health/${job.id}/report`,
+  });
+});
+
+app.get("/api/catalog/health/:id", (req, res) => {
+  const job = healthJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Unknown job" });
+  res.json(job.info());
+});
+
+// NDJSON: {type:"status"} now, {type:"progress"} while running, then {type:"done"} or {type:"failed"}
+app.get("/api/catalog/health/:id/events", (req, res) => {
+  const job = healthJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Unknown job" });
+  res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+  res.setHeader("Cache-Control", "no-store");
+  const send = (obj) => res.write(JSON.stringify(obj) + "\n");
+
+  send({ type: "status", ...job.info() });
+  if (job.status !== "running") {
+    send(job.status === "done" ? { type: "done", summary: job.report.summary } : { type: "failed", error: job.error });
+    return res.end();
+  }
+  const onProgress = (p) => send({ type: "progress", ...p });
+  const onDone = (summary) => finish({ type: "done", summary });
+  const onFailed = (error) => finish({ type: "failed", error });
+  function finish(last) {
+    send(last);
+    cleanup();
+    res.end();
+  }
+  function cleanup() {
+    job.off("progress", onProgress).off("done", onDone).off("failed", onFailed);
+  }
+  job.on("progress", onProgress).once("done", onDone).once("failed", onFailed);
+  req.on("close", cleanup);
+});
+
+// Download: ?format=csv for one row per issue, JSON otherwise
+app.get("/api/catalog/health/:id/report", (req, res) => {
+  const job = healthJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Unknown job" });
+  if (job.status !== "done") return res.status(409).json({ error: `Job is ${job.status}` });
+  const stamp = job.finishedAt.slice(0, 19).replace(/[:T]/g, "-");
+  if (req.query.format === "csv") {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="catalog-health-${stamp}.csv"`);
+    return res.send(healthReportCsv(job.report));
+  }
+  res.setHeader("Content-Disposition", `attachment; filename="catalog-health-${stamp}.json"`);
+  res.json(job.report);
+});
+
 // DELETE /api/playlists/:id  -> { ok: true }
 app.delete("/api/playlists/:id", (req, res) => {
   const id = req.params.id;
@@ -404,35 +468,22 @@ app.delete("/api/playlists/:id", (req, res) => {
 });
 
 // ---------- Simple deterministic planner (kept for /api/plan demo UI) ----------
-function hasStyle(track, style) {
-  const g = Array.isArray(track?.tags?.genre) ? track.tags.genre : (track?.tags?.genre ? [track.tags.genre] : []);
-  return g.map((x) => String(x).toLowerCase()).includes(style.toLowerCase());
-}
 function dec(y) {
   return y && Number.isFinite(y) ? Math.floor(y / 10) * 10 : null;
 }
-function camelotOk(prev, curr) {
-  if (!prev || !curr) return true;
-  const a = /^(\d{1,2})([AB])$/.exec(prev);
-  const b = /^(\d{1,2})([AB])$/.exec(curr);
-  if (!a || !b) return true;
-  const na = parseInt(a[1], 10),
-    nb = parseInt(b[1], 10);
-  const d = Math.abs(na - nb);
-  return na === nb || d === 1 || d === 11; // wrap
-}
 function durMin(t) {
   return Math.max(2, (t.format?.durationSec ?? 180) / 60);
 }
 function pickId(tr) {
   const abs = getAbsolutePath(tr.file);
-  return abs ? b64u.enc(abs) : null;
+  return tr.id ?? (abs ? b64u.enc(abs) : null);
 }
 
+// BPM proximity uses the half/double-time corrected value (bpm.js), eras the recording year (recording-years.js)
 function scoreWithinTanda(cand, size) {
   const byCluster = new Map();
   for (const t of cand) {
-    const key = `${t.tags?.artist ?? "Unknown"}|${dec(t.tags?.year) ?? "?"}`;
+    const key = `${t.tags?.artist ?? "Unknown"}|${dec(effectiveYear(t)) ?? "?"}`;
     if (!byCluster.has(key)) byCluster.set(key, []);
     byCluster.get(key).push(t);
   }
@@ -440,11 +491,11 @@ function scoreWithinTanda(cand, size) {
     [...byCluster.entries()].sort((a, b) => b[1].length - a[1].length)[0] || [null, cand.slice()];
   const pool = seedPool ?? cand.slice();
 
-  const bpms = pool.map((x) => getBPM(x) ?? 0).filter(Boolean).sort((a, b) => a - b);
+  const bpms = pool.map((x) => bpmOf(x) ?? 0).filter(Boolean).sort((a, b) => a - b);
   const median = bpms.length ? bpms[Math.floor(bpms.length / 2)] : null;
   pool.sort((a, b) => {
-    const da = Math.abs((getBPM(a) ?? median ?? 0) - (median ?? 0));
-    const db = Math.abs((getBPM(b) ?? median ?? 0) - (median ?? 0));
+    const da = Math.abs((bpmOf(a) ?? median ?? 0) - (median ?? 0));
+    const db = Math.abs((bpmOf(b) ?? median ?? 0) - (median ?? 0));
     return da - db;
   });
 
@@ -456,11 +507,11 @@ function scoreWithinTanda(cand, size) {
       continue;
     }
     const last = chosen[chosen.length - 1];
-    const bt = getBPM(t), bl = getBPM(last);
+    const bt = bpmOf(t), bl = bpmOf(last);
     const bpmOk = !bt || !bl || Math.abs(bt - bl) <= 6;
-    const eraOk = dec(t.tags?.year) === dec(last.tags?.year);
+    const eraOk = dec(effectiveYear(t)) === dec(effectiveYear(last));
     const artOk = (t.tags?.artist ?? "") === (last.tags?.artist ?? "");
-    const keyOk = camelotOk(last.tags?.camelotKey ?? null, t.tags?.camelotKey ?? null);
+    const keyOk = keysCompatible(keyToCamelot(last), keyToCamelot(t));
     if (bpmOk && keyOk && (eraOk || artOk)) chosen.push(t);
     if (chosen.length === size) break;
   }
@@ -469,8 +520,8 @@ function scoreWithinTanda(cand, size) {
     const rest = cand
       .filter((t) => !chosen.includes(t))
       .sort((a, b) =>
-        Math.abs((getBPM(a) ?? median ?? 0) - (median ?? 0)) -
-        Math.abs((getBPM(b) ?? median ?? 0) - (median ?? 0))
+        Math.abs((bpmOf(a) ?? median ?? 0) - (median ?? 0)) -
+        Math.abs((bpmOf(b) ?? median ?? 0) - (median ?? 0))
       );
     chosen.push(...rest.slice(0, need));
   }
@@ -484,11 +535,9 @@ function makePlan(
   sizes = { Tango: 4, Vals: 3, Milonga: 3 },
   cortinas = []
 ) {
-  const byStyle = {
-    Tango: library.filter((t) => hasStyle(t, "Tango")),
-    Vals:  library.filter((t) => hasStyle(t, "Vals")),
-    Milonga: library.filter((t) => hasStyle(t, "Milonga")),
-  };
+  // Pool per pattern entry; a sub-genre ("Candombe") takes only its own tracks
+  const byStyle = {};
+  const poolOf = (style) => (byStyle[style] ??= library.filter((t) => matchesStyle(t, style)));
 
   const tandas = [];
   let minutes = 0;
@@ -500,13 +549,13 @@ function makePlan(
   outer: while (minutes < minutesTarget - 5) {
     for (const style of pattern) {
       // Use normalized absolute path & the used set
-      const pool = byStyle[style].filter((t) => {
+      const pool = poolOf(style).filter((t) => {
         const abs = getAbsolutePath(t.file);
         return abs && !used.has(abs);
       });
       if (pool.length === 0) break outer;
 
-      const size = sizes[style];
+      const size = sizes[style] ?? sizes[genreLabel(coreStyleOf(style))] ?? 3;
       const chosen = scoreWithinTanda(pool, size);
       if (chosen.length < Math.min(3, size)) break outer;
 
@@ -531,10 +580,10 @@ function makePlan(
             title: t.tags?.title || (abs ? path.basename(abs) : "Unknown"),
             artist: t.tags?.artist || null,
             album: t.tags?.album || null,
-            BPM: (() => { const v = getBPM(t); return v == null ? null : Math.round(v * 10) / 10; })(),
-            Energy: t.tags?.Energy || null,
+            BPM: (() => { const v = bpmOf(t); return v == null ? null : Math.round(v * 10) / 10; })(),
+            Energy: energyOf(t),
             Key: t.tags?.Key || null,
-            camelotKey: t.tags?.camelotKey || null,
+            camelotKey: keyToCamelot(t),
             absPath: abs || null,
           };
         }),
@@ -575,7 +624,7 @@ function makePlan(
 // ---------- API: library / cortinas / deterministic plan ----------
 app.get("/api/library", (_req, res) => {
   res.json({
-    tracks: LIBRARY.map((t) => {
+    tracks: libraryTracks().map((t) => {
 
       const abs = getAbsolutePath(t.file);
       return ({
@@ -584,10 +633,10 @@ app.get("/api/library", (_req, res) => {
         artist: t.tags?.artist || null,
         album: t.tags?.album || null,
         styles: Array.isArray(t.tags?.genre) ? t.tags.genre : t.tags?.genre ? [t.tags.genre] : [],
-        BPM: (() => { const v = readBPM(t.tags); return v == null ? null : Math.round(v * 10) / 10; })(),
-        Energy: t.tags?.Energy || null,
+        BPM: (() => { const v = bpmOf(t); return v == null ? null : Math.round(v * 10) / 10; })(),
+        Energy: energyOf(t),
         Key: t.tags?.Key || null,
-        camelotKey: t.tags?.camelotKey || null,
+        camelotKey: keyToCamelot(t),
         absPath: abs,
       });
     })
@@ -599,6 +648,11 @@ app.get("/api/cortinas", async (_req, res) => {
   res.json({ cortinas: pool });
 });
 
+// Dance-genre taxonomy (genres.js): core styles, sub-genres, cortina-only genres
+app.get("/api/genres", (_req, res) => {
+  res.json({ file: GENRES_PATH, genres: genreTaxonomy() });
+});
+
 app.post("/api/plan", async (req, res) => {
   try {
     const minutes = Number(req.body?.minutes || 180);
@@ -607,7 +661,7 @@ app.post("/api/plan", async (req, res) => {
       : ["Tango", "Tango", "Vals", "Tango", "Tango", "Milonga"];
     const sizes = req.body?.sizes || { Tango: 4, Vals: 3, Milonga: 3 };
     const cortinas = await listCortinas();
-    const plan = makePlan(LIBRARY, pattern, minutes, sizes, cortinas);
+    const plan = makePlan(libraryTracks(), pattern, minutes, sizes, cortinas);
     res.json({ plan });
   } catch (e) {
     res.status(400).json({ error: String(e.message || e) });
@@ -651,6 +705,37 @@ function slugifyName(name) {
     .slice(0, 64) || "playlist";
 }
 
+/** Swap legacy track ids (base64url/raw paths) in a playlist/tanda record for stable catalog ids, in place */
+function withStableIds(record) {
+  for (const { obj, idKey } of trackSlots(record)) {
+    const id = catalog.canonicalId(obj[idKey]);
+    if (id) obj[idKey] = id;
+  }
+  return record;
+}
+
+/** Stable ids of every track placed in a saved playlist or tanda */
+async function usedTrackIds() {
+  const ids = new Set();
+  for (const dir of [PLAYLISTS_DIR, TANDAS_DIR]) {
+    let files = [];
+    try {
+      files = (await fsp.readdir(dir)).filter((f) => f.endsWith(".json"));
+    } catch {
+      continue;
+    }
+    for (const f of files) {
+      try {
+        const record = JSON.parse(await fsp.readFile(path.join(dir, f), "utf8"));
+        for (const { obj, idKey } of trackSlots(record)) if (obj[idKey]) ids.add(catalog.canonicalId(obj[idKey]));
+      } catch (e) {
+        console.warn(`[orchestras] skipped ${f}:`, e.message);
+      }
+    }
+  }
+  return ids;
+}
+
 function playlistMetaFromFile(fn) {
   // filename format: <timestamp>-<id>-<slug>.json
   const m = /^(\d{13})-([a-f0-9]{12})-(.+)\.json$/.exec(fn);
@@ -679,13 +764,13 @@ app.post("/api/playlists", async (req, res) => {
     const filename = `${ts}-${id}-${slug}.json`;
     const abs = path.join(PLAYLISTS_DIR, filename);
 
-    const record = {
+    const record = withStableIds({
       id,
       name,
       createdAt: new Date(ts).toISOString(),
       plan,                       // store full plan object you already send to client
       meta: { version: 1 },       // room to evolve format
-    };
+    });
     await fsp.writeFile(abs, JSON.stringify(record, null, 2), "utf8");
     return res.json({ id, name, createdAt: record.createdAt });
   } catch (e) {
@@ -726,7 +811,7 @@ app.get("/api/playlists/:id", async (req, res) => {
     // If multiple due to same id (shouldn't happen), pick most recent
     files.sort().reverse();
     const record = JSON.parse(await fsp.readFile(path.join(PLAYLISTS_DIR, files[0]), "utf8"));
-    res.json(record);
+    res.json(withStableIds(record));
   } catch (e) {
     res.status(500).json({ error: String(e?.message || e) });
   }
@@ -781,13 +866,14 @@ app.post("/api/tandas", async (req, res) => {
           totalSeconds,
           approxMinutes,
           avgBPM,
-          keys: tanda.tracks.map(t => t.camelotKey || t.Key).filter(Boolean),
+          keys: tanda.tracks.map(t => keyToCamelot(t) ?? t.Key).filter(Boolean),
           artists: [...new Set(tanda.tracks.map(t => t.artist).filter(Boolean))],
           savedFrom: "manual" // vs "generated"
         }
       },
       meta: { version: 1 }
     };
+    withStableIds(record);
     
     await fsp.writeFile(abs, JSON.stringify(record, null, 2), "utf8");
     console.log(`[tandas] Saved tanda "${name}" (${trackCount} tracks, ${tanda.orchestra})`);
@@ -849,7 +935,7 @@ app.get("/api/tandas/:id", async (req, res) => {
     
     files.sort().reverse(); // Most recent if duplicates
     const record = JSON.parse(await fsp.readFile(path.join(TANDAS_DIR, files[0]), "utf8"));
-    res.json(record);
+    res.json(withStableIds(record));
   } catch (e) {
     console.error("[tandas] Get failed:", e);
     res.status(500).json({ error: String(e?.message || e) });
@@ -877,6 +963,166 @@ app.delete("/api/tandas/:id", async (req, res) => {
   }
 });
 
+// ====== Relocation (music moved to another drive/machine) ======
+
+// POST /api/relocate { mappings?: [{from,to}] | ["from=to"], dryRun?: boolean }
+// -> report { counts, mappings, files[], matched[], unresolved[] } (see relocate.js)
+app.post("/api/relocate", async (req, res) => {
+  try {
+    const mappings = Array.isArray(req.body?.mappings) ? req.body.mappings : [];
+    const report = await relocateSaved({
+      dirs: [PLAYLISTS_DIR, TANDAS_DIR],
+      tracks: libraryTracks(),
+      mappings,
+      dryRun: !!req.body?.dryRun,
+    });
+    const c = report.counts;
+    console.log(`[relocate] ${report.dryRun ? "dry run: " : ""}${c.mapped} mapped, ${c.matched} matched, ${c.unresolved} unresolved in ${c.filesChanged}/${c.files} files`);
+    res.json(report);
+  } catch (e) {
+    console.error("[relocate] failed:", e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// ---------- Orchestra / singer alias table (orchestra.js) ----------
+app.get("/api/orchestra-aliases", (_req, res) => {
+  res.json({ file: ALIASES_PATH, ...aliasTable() });
+});
+
+// Replace the table; the catalog is regrouped right away
+app.put("/api/orchestra-aliases", (req, res) => {
+  if (!req.body?.orchestras) return res.status(400).json({ error: "orchestras is required" });
+  let table;
+  try {
+    table = saveAliases({ orchestras: req.body.orchestras, singers: req.body.singers });
+  } catch (e) {
+    return res.status(400).json({ error: String(e?.message || e) });
+  }
+  try {
+    const snap = catalog.reload();
+    res.json({ file: ALIASES_PATH, ...table, catalogVersion: snap?.version ?? null });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// ---------- Orchestra profiles and discographies (orchestra-profiles.js) ----------
+// "Unused" = in no saved playlist or tanda
+
+// Discography row: the compact track without its raw tags
+function toDiscographyTrack(t) {
+  const { tags, ...row } = toCompactTrack(t);
+  return row;
+}
+
+app.get("/api/orchestras", async (_req, res) => {
+  try {
+    const snap = catalog.snapshot();
+    res.json({ catalogVersion: snap.version ?? null, orchestras: orchestraSummaries(snap.tracks, await usedTrackIds()) });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+app.get("/api/orchestras/:name", async (req, res) => {
+  try {
+    const snap = catalog.snapshot();
+    const usedIds = await usedTrackIds();
+    const disco = orchestraDiscography(snap.tracks, req.params.name, usedIds);
+    if (!disco) return res.status(404).json({ error: "Unknown orchestra" });
+    res.json({
+      catalogVersion: snap.version ?? null,
+      orchestra: {
+        ...disco,
+        // effectiveYear: the year the timeline counts the track under (null = undated)
+        tracks: disco.tracks.map((t) => ({ ...toDiscographyTrack(t), effectiveYear: effectiveYear(t), used: usedIds.has(t.id) })),
+      },
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// ---------- Orchestra registry (orchestra-registry.js) ----------
+const registryError = (e) =>
+  e?.issues ? e.issues.map((i) => `${i.path.join(".") || "body"}: ${i.message}`).join("; ") : String(e?.message || e);
+
+app.get("/api/orchestra-registry", (_req, res) => {
+  res.json({ file: REGISTRY_PATH, ...orchestraRegistry() });
+});
+
+// Any of the entry's names or aliases (or a spelling the alias table knows)
+app.get("/api/orchestra-registry/:name", (req, res) => {
+  orchestraRegistry();
+  const entry = findOrchestra(req.params.name);
+  if (!entry) return res.status(404).json({ error: "Unknown orchestra" });
+  res.json({ orchestra: entry });
+});
+
+// Body: { name, aliases?, eras?, character?, singers?, roles? }
+app.post("/api/orchestra-registry", (req, res) => {
+  orchestraRegistry();
+  const existing = findOrchestra(req.body?.name);
+  if (existing) return res.status(409).json({ error: `Already in the registry as ${existing.name}` });
+  try {
+    res.status(201).json({ orchestra: saveOrchestra(req.body) });
+  } catch (e) {
+    res.status(400).json({ error: registryError(e) });
+  }
+});
+
+// Replaces the whole entry; body.name may rename it
+app.put("/api/orchestra-registry/:name", (req, res) => {
+  orchestraRegistry();
+  const existing = findOrchestra(req.params.name);
+  if (!existing) return res.status(404).json({ error: "Unknown orchestra" });
+  try {
+    res.json({ orchestra: saveOrchestra({ name: existing.name, ...req.body }, existing.name) });
+  } catch (e) {
+    res.status(400).json({ error: registryError(e) });
+  }
+});
+
+app.delete("/api/orchestra-registry/:name", (req, res) => {
+  orchestraRegistry();
+  try {
+    const removed = deleteOrchestra(req.params.name);
+    if (!removed) return res.status(404).json({ error: "Unknown orchestra" });
+    res.json({ ok: true, removed });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// ---------- Track corrections (track-overlay.js) ----------
+app.get("/api/tracks/:id", (req, res) => {
+  const t = catalog.resolveId(req.params.id);
+  if (!t) return res.status(404).json({ error: "Unknown track" });
+  res.json({ track: toCompactTrack(t), overlay: overlayEntry(t) });
+});
+
+// Body: any of genre, year, orchestra, singer(s), BPM, key, notes, excludeFromPlanning; null clears a correction
+app.patch("/api/tracks/:id", (req, res) => {
+  const t = catalog.resolveId(req.params.id);
+  if (!t) return res.status(404).json({ error: "Unknown track" });
+  let overlay;
+  try {
+    overlay = saveTrackEdit(t, req.body);
+  } catch (e) {
+    const msg = e?.issues ? e.issues.map((i) => `${i.path.join(".") || "body"}: ${i.message}`).join("; ") : e?.message;
+    return res.status(400).json({ error: String(msg || e) });
+  }
+  try {
+    const snap = catalog.reload();
+    const updated = catalog.resolveId(t.id) ?? t;
+    console.log(`[overlay] ${t.id} ${overlay ? `edited (${Object.keys(req.body || {}).join(", ")})` : "reset"}`);
+    res.json({ track: toCompactTrack(updated), overlay, catalogVersion: snap?.version ?? null });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
 let viewerWin = null;
 
 function openOrUpdateViewer(trackMeta) {
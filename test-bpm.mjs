@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+// Checks for the half/double-time BPM correction (bpm.js): readings inside a
+// style's window are kept, readings clearly outside it are folded in.
+
+import assert from "node:assert/strict";
+import { foldBpm, correctBpm } from "./bpm.js";
+
+const cases = [
+  // tango: the dense 140–155 band is read as is
+  ["tango", 138, 138, 1],
+  ["tango", 141, 141, 1],
+  ["tango", 146.5, 146.5, 1],
+  ["tango", 155, 155, 1],
+  ["tango", 118, 118, 1],
+  // double- and half-time readings of a tango
+  ["tango", 230, 115, 0.5],
+  ["tango", 62, 124, 2],
+  // milonga: fast readings stay
+  ["milonga", 172, 172, 1],
+  ["milonga", 190, 190, 1],
+  ["milonga", 80, 160, 2],
+  ["vals", 160, 160, 1],
+];
+
+let failed = 0;
+for (const [style, raw, bpm, factor] of cases) {
+  try {
+    const r = foldBpm(raw, style);
+    assert.equal(r.bpm, bpm);
+    assert.equal(r.factor, factor);
+    console.log(`✅ ${style} ${raw} -> ${r.bpm} (x${r.factor}, confidence ${r.confidence})`);
+  } catch (e) {
+    failed++;
+    console.log(`❌ ${style} ${raw}: ${e.message}`);
+  }
+}
+
+// A catalog tango at 146.5 keeps its reading
+const track = { tags: { genre: ["Tango"], tempoBPM: 146.5 } };
+const c = correctBpm(track);
+if (c?.bpm === 146.5 && c.factor === 1) console.log("✅ catalog tango 146.5 is not halved");
+else { failed++; console.log("❌ catalog tango 146.5 read as", c); }
+
+process.exit(failed ? 1 : 0);
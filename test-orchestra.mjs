@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+
+// Checks for artist parsing (orchestra.js) against the shipped alias table.
+
+import assert from "node:assert/strict";
+import { parseArtist } from "./orchestra.js";
+
+const cases = [
+  // leading track / catalog numbers are not part of the name
+  ["585 Carlos Di Sarli", { orchestra: "Carlos Di Sarli", singers: [] }],
+  ["03 - Osvaldo Pugliese", { orchestra: "Osvaldo Pugliese", singers: [] }],
+  // subtitle phrases are not singers
+  ["Roberto Alvarez, Estilo Para Bailar", { orchestra: "Orquesta Color Tango", singers: [] }],
+  // unchanged
+  ["Alfredo de Angelis O.T. con Oscar Larroca", { orchestra: "Alfredo de Angelis", singers: ["Oscar Larroca"] }],
+  ["Alberto Morán, Osvaldo Pugliese", { orchestra: "Osvaldo Pugliese", singers: ["Alberto Morán"] }],
+];
+
+let failed = 0;
+for (const [artist, expected] of cases) {
+  try {
+    assert.deepEqual(parseArtist(artist), expected);
+    console.log(`✅ "${artist}" -> ${expected.orchestra} [${expected.singers.join(", ")}]`);
+  } catch (e) {
+    failed++;
+    console.log(`❌ "${artist}": ${JSON.stringify(parseArtist(artist))}`);
+  }
+}
+
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+// Checks that hand edits (track-overlay.js) survive a rescan that gives the
+// track a content-hash id (scan-library.js / track-id.js).
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "milonga-overlay-"));
+process.env.TRACK_OVERLAY = path.join(dir, "track-overlay.json");
+
+const { saveTrackEdit, applyOverlay, overlayEntry } = await import("./track-overlay.js");
+const { assignTrackIds } = await import("./track-id.js");
+
+const scanned = {
+  file: { absPath: "/music/Carlos Di Sarli/Bahía Blanca/01 - Bahía Blanca.mp3" },
+  tags: { title: "Bahía Blanca", artist: "Carlos Di Sarli", album: "Bahía Blanca", genre: ["Tango"] },
+};
+
+let failed = 0;
+function check(label, fn) {
+  try {
+    fn();
+    console.log(`✅ ${label}`);
+  } catch (e) {
+    failed++;
+    console.log(`❌ ${label}: ${e.message}`);
+  }
+}
+
+try {
+  // Edited while the track had its file-name based id
+  const [before] = assignTrackIds([scanned]);
+  saveTrackEdit(before, { year: 1957, notes: "check the transfer" });
+
+  // Rescanned: same file, now with a content hash -> new id
+  const [after] = assignTrackIds([{ ...scanned, file: { ...scanned.file, contentHash: "0123456789abcdef0123" } }]);
+  check("rescan changes the id", () => assert.notEqual(after.id, before.id));
+
+  check("the edit is still applied", () => {
+    const t = applyOverlay(after);
+    assert.equal(t.tags.year, 1957);
+    assert.equal(t.notes, "check the transfer");
+  });
+
+  // The next edit moves everything to the new id
+  saveTrackEdit(after, { BPM: 118 });
+  check("the next edit moves the entry to the new id", () => {
+    const doc = JSON.parse(fs.readFileSync(process.env.TRACK_OVERLAY, "utf8"));
+    assert.deepEqual(Object.keys(doc.tracks), [after.id]);
+    assert.equal(overlayEntry(after).year, 1957);
+    assert.equal(overlayEntry(after).BPM, 118);
+  });
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,131 @@
+// track-id.js (ESM)
+//
+// Stable track ids. A track's id no longer depends on which folder the file is in:
+//
+//   id = "trk_" + sha1(contentHash | title | artist)[0..16]
+//
+// contentHash is a sampled hash of the audio file (size + first/last 64 KiB),
+// written to file.contentHash by scan-library.js, which also stores the id; such
+// an id survives moving and renaming the file. Catalogs built elsewhere (the
+// hand-built catalog-*.json) have neither: catalog.js derives their ids on every
+// load from the file name + normalized title/artist/album, so moving a folder
+// keeps the id but renaming the file or editing those tags changes it, until
+// the catalog is scanned.
+//
+// The old ids keep working as aliases: base64url(absPath), the raw absolute or
+// root-relative path, the extensionless path generate.js matches on, and the
+// file-name based id a track had before it was hashed.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import { resolveLibraryPath, b64u } from "./library-config.js";
+import { foldName } from "./orchestra.js";
+
+export const STABLE_ID_RE = /^trk_[0-9a-f]{16}(-\d+)?$/;
+const SAMPLE_BYTES = 64 * 1024;
+
+export const isStableId = (id) => typeof id === "string" && STABLE_ID_RE.test(id);
+
+const absOf = (t) => t?.file?.absPath ?? t?.file?.absolutePath ?? t?.file?.path ?? null;
+
+/** Case-insensitive, extensionless form of a path (the same tolerance generate.js matchKey has) */
+function aliasKey(p) {
+  return String(p).replace(/\\/g, "/").toLowerCase().replace(/\.[a-z0-9]+$/i, "");
+}
+
+/** Sampled content hash of an audio file: sha1(size + first and last 64 KiB) */
+export async function contentHash(absPath) {
+  const fh = await fs.open(absPath, "r");
+  try {
+    const { size } = await fh.stat();
+    const hash = crypto.createHash("sha1").update(String(size));
+    const head = Buffer.alloc(Math.min(SAMPLE_BYTES, size));
+    await fh.read(head, 0, head.length, 0);
+    hash.update(head);
+    if (size > SAMPLE_BYTES) {
+      const tail = Buffer.alloc(Math.min(SAMPLE_BYTES, size - SAMPLE_BYTES));
+      await fh.read(tail, 0, tail.length, size - tail.length);
+      hash.update(tail);
+    }
+    return hash.digest("hex").slice(0, 20);
+  } finally {
+    await fh.close();
+  }
+}
+
+/**
+ * Stable id for a catalog track (content hash + normalized tags; see header).
+ * { content: false } gives the file-name based id the track had before it was hashed.
+ */
+export function stableTrackId(t, { content = true } = {}) {
+  const tags = t?.tags || {};
+  const abs = absOf(t);
+  const name = abs ? path.basename(String(abs).replace(/\\/g, "/"), path.extname(abs)) : "";
+  const basis = content && t?.file?.contentHash
+    ? [t.file.contentHash, foldName(tags.title), foldName(tags.artist)]
+    : ["name", foldName(name), foldName(tags.title), foldName(tags.artist), foldName(tags.album)];
+  return "trk_" + crypto.createHash("sha1").update(basis.join("|")).digest("hex").slice(0, 16);
+}
+
+/**
+ * Give every track a stable `id` (kept if it already has one). Duplicate
+ * files with identical content and tags get "-2", "-3", ... in catalog order.
+ */
+export function assignTrackIds(tracks) {
+  const seen = new Set();
+  return tracks.map((t) => {
+    let id = isStableId(t?.id) ? t.id : stableTrackId(t);
+    if (seen.has(id)) {
+      const base = id.replace(/-\d+$/, "");
+      let n = 2;
+      while (seen.has(`${base}-${n}`)) n++;
+      id = `${base}-${n}`;
+    }
+    seen.add(id);
+    return t.id === id ? t : { ...t, id };
+  });
+}
+
+/** Lookup by stable id or any legacy alias (base64url path, raw path, extensionless path) */
+export function buildIdIndex(tracks) {
+  const byId = new Map();
+  const byAlias = new Map();
+  const put = (k, t) => { if (!byAlias.has(k)) byAlias.set(k, t); }; // first wins
+  // Audio paths first, so a wavPath never shadows another track's own file
+  for (const pick of [absOf, (t) => t?.file?.wavPath]) {
+    for (const t of tracks || []) {
+      if (t?.id) byId.set(t.id, t);
+      const p = pick(t);
+      if (!p) continue;
+      put(p, t);
+      put(b64u.enc(p), t);
+      put(aliasKey(p), t);
+    }
+  }
+  // Ids handed out before the catalog had content hashes
+  for (const t of tracks || []) if (t?.file?.contentHash) put(stableTrackId(t, { content: false }), t);
+
+  /** Track for any id form, or null */
+  function resolve(id) {
+    if (!id) return null;
+    const s = String(id);
+    const hit = byId.get(s) ?? byAlias.get(s);
+    if (hit) return hit;
+    if (isStableId(s)) return null;
+    // base64url of a path that is root-relative / from another machine, or such a raw path
+    const paths = [s];
+    if (/^[A-Za-z0-9_-]+$/.test(s)) {
+      const decoded = b64u.dec(s);
+      if (b64u.enc(decoded) === s) paths.unshift(decoded);
+    }
+    for (const p of paths) {
+      const abs = resolveLibraryPath(p);
+      const t = byAlias.get(abs) ?? byAlias.get(aliasKey(abs));
+      if (t) return t;
+    }
+    return null;
+  }
+
+  return { resolve, size: byId.size };
+}
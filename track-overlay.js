@@ -0,0 +1,174 @@
+// track-overlay.js (ESM)
+//
+// Per-track corrections kept outside the catalog JSON, so a rescan
+// (scan-library.js) never loses them. Keyed by stable track id (track-id.js):
+//
+//   { "tracks": { "trk_…": { "genre": ["Vals"], "year": 1941, "BPM": 92, "notes": "…",
+//                            "excludeFromPlanning": true, "updatedAt": "…" } } }
+//
+// Editable: genre, year, orchestra, singers, BPM, key, notes, excludeFromPlanning.
+// Edits saved while a track had its file-name based id (before scan-library.js
+// hashed it) still apply under its content-hash id; the next edit moves them there.
+// catalog.js merges the overlay into every track on load (applyOverlay), the same
+// way the planner routes merge client catalog overrides (mergeSlotsAndTagsIntoTrack).
+//
+// Env:
+//   TRACK_OVERLAY=./track-overlay.json
+
+import path from "node:path";
+import { z } from "zod";
+import { parseKey, keyName } from "./key.js";
+import { jsonTable } from "./json-table.js";
+import { stableTrackId } from "./track-id.js";
+
+export const OVERLAY_PATH = path.resolve(process.env.TRACK_OVERLAY || "track-overlay.json");
+
+export const EDITABLE_FIELDS = ["genre", "year", "orchestra", "singers", "BPM", "key", "notes", "excludeFromPlanning"];
+
+const name = z.string().trim().min(1);
+
+// PATCH body: a field set to null drops that correction (back to the scanned value)
+export const TrackEditSchema = z
+  .object({
+    genre: z.union([name, z.array(name).min(1)]).nullable(),
+    year: z.number().int().min(1880).max(2100).nullable(),
+    orchestra: name.nullable(),
+    singer: z.union([z.string().trim(), z.array(name)]).nullable(), // "" / [] = instrumental
+    singers: z.array(name).nullable(),
+    BPM: z.number().positive().max(400).nullable(),
+    key: name.refine((k) => parseKey(k) != null, "Unrecognised key (e.g. 8A, Am, F#m, Bb major, 1m)").nullable(),
+    notes: z.string().max(2000).nullable(),
+    excludeFromPlanning: z.boolean().nullable(),
+  })
+  .partial()
+  .strict();
+
+const OverlaySchema = z.object({
+  tracks: z.record(z.object({}).passthrough()).default({}),
+});
+
+// ---------- overlay file ----------
+let overlay = { tracks: {} };
+
+const overlayFile = jsonTable({
+  path: OVERLAY_PATH,
+  label: "overlay",
+  keeping: "edits",
+  apply: (doc) => (overlay = OverlaySchema.parse(doc)),
+});
+export const refreshOverlay = overlayFile.refresh;
+refreshOverlay();
+
+// Ids a track's edits may be stored under: its id, then the file-name based one it had before it was hashed
+function entryIds(track) {
+  if (!track?.id) return [];
+  const legacy = track.file?.contentHash ? stableTrackId(track, { content: false }) : null;
+  return legacy && legacy !== track.id ? [track.id, legacy] : [track.id];
+}
+
+// Entry of a track, legacy-id edits under the current ones
+function entryOf(track) {
+  const found = entryIds(track).map((id) => overlay.tracks[id]).filter(Boolean).reverse();
+  return found.length ? Object.assign({}, ...found) : null;
+}
+
+/** Stored corrections for a catalog track (null if none) */
+export function overlayEntry(track) {
+  refreshOverlay();
+  return entryOf(track);
+}
+
+/**
+ * Validate a PATCH body and merge it into the entry for `track` (stored under its id,
+ * edits kept under an older id move along); writes the file.
+ * Returns the new entry (null when every correction was cleared). Throws a ZodError on bad input.
+ */
+export function saveTrackEdit(track, edits) {
+  const parsed = TrackEditSchema.parse(edits ?? {});
+  if ("singer" in parsed) {
+    parsed.singers = parsed.singer == null ? null : [].concat(parsed.singer).map((s) => s.trim()).filter(Boolean);
+    delete parsed.singer;
+  }
+  if (typeof parsed.genre === "string") parsed.genre = [parsed.genre];
+
+  refreshOverlay();
+  const id = track.id;
+  const entry = { ...(entryOf(track) ?? {}) };
+  for (const [k, v] of Object.entries(parsed)) {
+    if (v == null) delete entry[k];
+    else entry[k] = v;
+  }
+  delete entry.updatedAt;
+
+  const tracks = { ...overlay.tracks };
+  for (const old of entryIds(track)) delete tracks[old];
+  if (Object.keys(entry).length) tracks[id] = { ...entry, updatedAt: new Date().toISOString() };
+  else delete tracks[id];
+
+  overlayFile.save({ tracks });
+  return overlay.tracks[id] ?? null;
+}
+
+// ---------- merging ----------
+/**
+ * Merge catalog-provided overrides into a library track.
+ * We do not mutate the original track; we return a new object.
+ */
+export function mergeSlotsAndTagsIntoTrack(track, override) {
+  if (!override) return track;
+
+  const mergedTags = { ...(track.tags ?? {}), ...(override.tags ?? {}) };
+
+  // sync genre to both top-level and tags.genre (array or string tolerated)
+  const mergedGenre = override.genre ?? track.genre ?? mergedTags?.genre;
+  if (mergedGenre) {
+    mergedTags.genre = mergedGenre;
+  }
+
+  // adopt schedule “slots” and artUrl if provided
+  const merged = {
+    ...track,
+    tags: mergedTags,
+    styles: { ...(track.styles ?? {}), ...(override.styles ?? {}) },
+    genre: mergedGenre,
+    artUrl: override.tags?.artUrl ?? override.artUrl ?? track.artUrl ?? null,
+    // normalize a usable year on top-level to simplify scorers:
+    year: mergedTags.year ?? track.year ?? null,
+    // carry optional catalog slot signals:
+    slot: override.slot ?? track.slot ?? null,
+    role: override.role ?? track.role ?? null,
+  };
+
+  return merged;
+}
+
+/** Overlay entry -> the override shape mergeSlotsAndTagsIntoTrack takes */
+function overrideFromEntry(e) {
+  const tags = {};
+  if (e.genre) tags.genre = e.genre;
+  if (e.year != null) tags.year = e.year;
+  if (e.orchestra) tags.orchestra = e.orchestra;
+  if (e.singers) tags.singers = e.singers;
+  if (e.BPM != null) tags.BPM = e.BPM;
+  const cam = parseKey(e.key);
+  if (cam) {
+    tags.camelotKey = cam;
+    tags.Key = keyName(cam);
+  }
+  return { tags, genre: e.genre ?? null };
+}
+
+/**
+ * Track with its overlay corrections applied (unchanged if it has none).
+ * Adds `notes`, `excludeFromPlanning` and `overlay: { fields, updatedAt }`.
+ */
+export function applyOverlay(track) {
+  const e = entryOf(track);
+  if (!e) return track;
+  return {
+    ...mergeSlotsAndTagsIntoTrack(track, overrideFromEntry(e)),
+    notes: e.notes ?? null,
+    excludeFromPlanning: e.excludeFromPlanning === true,
+    overlay: { fields: EDITABLE_FIELDS.filter((k) => e[k] != null), updatedAt: e.updatedAt ?? null },
+  };
+}